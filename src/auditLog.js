@@ -0,0 +1,295 @@
+/*
+
+Audit log and undo for collection changes made by the agent.
+
+Every mutating tracker call is recorded with a snapshot of each affected card before and after the call. Cards are
+identified by the path parameters of the tracker's single-card get operation (tracker_getCard: set_code and
+card_number), taken from the call's parameters, its body, or each entry of a batch's operations list. A change looks like:
+
+  { change_id, created_at, owner, conversation_id, tool, arguments,
+    cards: [{ key, identity, before, after }],   // before/after are null when the card did not exist
+    undo_of, undone_at }
+
+undoLastChange() restores the cards of the owner's most recent change that was not undone yet, with
+tracker_createCard / tracker_updateCard / tracker_deleteCard, and records that as a change of its own. It refuses
+when a card was changed again since, so an undo never overwrites newer edits. planUndo() returns those tracker calls
+without making them, so they can be confirmed like any other (see confirmations.js).
+
+The store is selected by AUDIT_STORE ("memory", the default, or "file" with AUDIT_DIR) and has the same caveats on
+Lambda as the session store (see sessions.js).
+
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { getTrackerBinding, getTrackerBindings } = require('./tools.js');
+const { bindArguments } = require('./openapiTools.js');
+
+const READ_METHODS = ["get", "head", "options"];
+
+// Cards snapshotted at the same time
+const SNAPSHOT_CONCURRENCY = 8;
+
+/* STORES */
+
+// Newest first, optionally filtered by owner (null for the service account) and conversation.
+function filterChanges(changes, { owner, conversationId, limit = 50 } = {}) {
+  // Reversed first, so changes made within the same millisecond still come out newest first
+  return [...changes].reverse()
+    .filter(change => owner === undefined || (change.owner ?? null) === (owner ?? null))
+    .filter(change => !conversationId || change.conversation_id === conversationId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+function createMemoryAuditStore() {
+  const changes = new Map();
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    async get(changeId) {
+      return changes.has(changeId) ? copy(changes.get(changeId)) : null;
+    },
+    async put(change) {
+      changes.set(change.change_id, copy(change));
+      return change;
+    },
+    async list(options) {
+      return filterChanges([...changes.values()], options).map(copy);
+    }
+  };
+}
+
+// One JSON file per change in the given directory.
+function createFileAuditStore(dir) {
+  const fileFor = changeId => /^[A-Za-z0-9_-]+$/.test(changeId || "") ? path.join(dir, `${changeId}.json`) : null;
+  const readChange = async file => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+  return {
+    async get(changeId) {
+      const file = fileFor(changeId);
+      return file ? await readChange(file) : null;
+    },
+    async put(change) {
+      const file = fileFor(change.change_id);
+      if (!file) throw new Error(`Invalid change id: ${change.change_id}`);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(change));
+      await fs.promises.rename(tmp, file);
+      return change;
+    },
+    async list(options) {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const changes = await Promise.all(files.filter(f => f.endsWith(".json")).map(f => readChange(path.join(dir, f))));
+      return filterChanges(changes.filter(Boolean), options);
+    }
+  };
+}
+
+let auditStore = null;
+
+function getAuditStore() {
+  if (!auditStore) {
+    auditStore = process.env.AUDIT_STORE === "file"
+      ? createFileAuditStore(process.env.AUDIT_DIR || path.join(process.cwd(), ".audit"))
+      : createMemoryAuditStore();
+  }
+  return auditStore;
+}
+
+// Replace the active store, e.g. with a fresh one in tests.
+function setAuditStore(store) {
+  auditStore = store;
+}
+
+/* SNAPSHOTS */
+
+// The single-card get operation: a GET whose arguments are all path parameters, e.g. tracker_getCard.
+async function snapshotOperation() {
+  const bindings = await getTrackerBindings();
+  const [name, binding] = Object.entries(bindings).find(([, b]) =>
+    b.method === "get" && b.params.length > 0 && b.params.every(p => p.in === "path") && !b.body) || [];
+  return name ? { name, keys: binding.params.map(p => p.name) } : null;
+}
+
+// The cards a call touches, as identities like { set_code, card_number }.
+function identitiesOf(binding, args, keys) {
+  const { parameters, requestBody } = bindArguments(binding, args);
+  const pathValues = Object.fromEntries(
+    Object.entries(parameters).filter(([k]) => k.startsWith("path.")).map(([k, v]) => [k.slice(5), v]));
+  const candidates = [{ ...(requestBody && typeof requestBody === "object" && !Array.isArray(requestBody) ? requestBody : {}), ...pathValues }];
+  if (requestBody && Array.isArray(requestBody.operations)) candidates.push(...requestBody.operations);
+
+  const identities = new Map();
+  for (const candidate of candidates) {
+    if (!candidate || !keys.every(key => candidate[key] !== undefined && candidate[key] !== null)) continue;
+    const identity = Object.fromEntries(keys.map(key => [key, String(candidate[key])]));
+    identities.set(keys.map(key => identity[key]).join(":"), identity);
+  }
+  return [...identities].map(([key, identity]) => ({ key, identity }));
+}
+
+// Current state of a card, or null when it does not exist.
+async function fetchCard(callTracker, operation, identity) {
+  const result = await callTracker(operation.name, identity);
+  if (result.status === "success") return result.message ?? null;
+  if (result.http_status === 404) return null;
+  throw new Error(`Could not read ${Object.values(identity).join(":")} from the tracker: ${result.message}`);
+}
+
+// Snapshot many cards, SNAPSHOT_CONCURRENCY at a time. Returns the states in the order of the cards.
+async function fetchCards(callTracker, operation, cards) {
+  const states = new Array(cards.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < cards.length) {
+      const index = next++;
+      states[index] = await fetchCard(callTracker, operation, cards[index].identity);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(SNAPSHOT_CONCURRENCY, cards.length) }, worker));
+  return states;
+}
+
+// The cards a tracker call touches with their current state: [{ key, identity, state }], state null when missing.
+async function currentCards(toolName, args, callTracker) {
+  const binding = await getTrackerBinding(toolName);
+  const operation = await snapshotOperation();
+  if (!binding || !operation) return [];
+  const cards = identitiesOf(binding, args, operation.keys);
+  const states = await fetchCards(callTracker, operation, cards);
+  return cards.map((card, i) => ({ ...card, state: states[i] }));
+}
+
+/*
+Run a tracker call and record what it changed. callTracker(toolName, args) executes a tracker tool; run() executes
+the call itself. Reads and failed calls are not recorded. Snapshot and audit store failures never reach the call's
+result: the change is recorded without snapshots (and cannot be undone), or not at all.
+*/
+async function recordChange({ toolName, args, owner, conversationId, undoOf = null }, callTracker, run) {
+  const binding = await getTrackerBinding(toolName);
+  if (!binding || READ_METHODS.includes(binding.method)) return await run();
+
+  let operation = null;
+  let cards = [];
+  let snapshotError = null;
+  try {
+    operation = await snapshotOperation();
+    cards = operation ? identitiesOf(binding, args, operation.keys) : [];
+    (await fetchCards(callTracker, operation, cards)).forEach((state, i) => { cards[i].before = state; });
+  } catch (err) {
+    snapshotError = err.message;
+  }
+
+  const result = await run();
+  if (result?.status === "error") return result;
+
+  if (!snapshotError) {
+    try {
+      (await fetchCards(callTracker, operation, cards)).forEach((state, i) => { cards[i].after = state; });
+    } catch (err) {
+      snapshotError = err.message;
+    }
+  }
+  try {
+    await getAuditStore().put({
+      change_id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      owner: owner ?? null,
+      conversation_id: conversationId ?? null,
+      tool: toolName,
+      arguments: args,
+      cards,
+      ...(snapshotError && { snapshot_error: snapshotError }),
+      undo_of: undoOf,
+      undone_at: null
+    });
+  } catch (err) {
+    console.log(`Could not record the change made by ${toolName}:`, err.message);
+  }
+  return result;
+}
+
+/* UNDO */
+
+// The tracker call that puts a card back into its previous state.
+function restoreCall(card) {
+  if (card.before === null) return { toolName: "tracker_deleteCard", args: card.identity };
+  const { finishes, notes } = card.before;
+  const args = { ...card.identity, finishes, ...(notes !== undefined && { notes }) };
+  return card.after === null ? { toolName: "tracker_createCard", args } : { toolName: "tracker_updateCard", args };
+}
+
+/*
+Plan the undo of the most recent change of this owner (or the given one), without changing anything.
+Returns { change, calls: [{ card, toolName, args }] }, or { error } when there is nothing that can be undone.
+*/
+async function planUndo({ owner, changeId }, callTracker) {
+  const store = getAuditStore();
+  const change = changeId
+    ? await store.get(changeId)
+    : (await store.list({ owner, limit: 1000 })).find(c => !c.undone_at && !c.undo_of);
+  if (!change || (change.owner ?? null) !== (owner ?? null)) {
+    return { error: changeId ? `Change ${changeId} not found` : "There is no change to undo" };
+  }
+  if (change.undone_at) {
+    return { error: `Change ${change.change_id} was already undone` };
+  }
+  if (change.snapshot_error || change.cards.length === 0) {
+    return { error: `Change ${change.change_id} cannot be undone: its before state was not recorded` };
+  }
+
+  const current = await fetchCards(callTracker, await snapshotOperation(), change.cards);
+  const edited = change.cards.find((card, i) => !isDeepStrictEqual(current[i], card.after));
+  if (edited) {
+    return { error: `${edited.key} was changed again after this change, so it was not undone` };
+  }
+  const calls = change.cards
+    .filter(card => !isDeepStrictEqual(card.before, card.after))
+    .map(card => ({ card, ...restoreCall(card) }));
+  return { change, calls };
+}
+
+// Undo the most recent change of this owner (or the given one). Returns tool output in the usual { status, message } shape.
+async function undoLastChange({ owner, conversationId, changeId }, callTracker) {
+  const plan = await planUndo({ owner, changeId }, callTracker);
+  if (plan.error) return { status: "error", message: plan.error };
+  const { change } = plan;
+
+  const restored = [];
+  for (const { card, toolName, args } of plan.calls) {
+    const result = await recordChange({ toolName, args, owner, conversationId, undoOf: change.change_id }, callTracker,
+      () => callTracker(toolName, args));
+    if (result.status === "error") {
+      return { status: "error", message: `Undo stopped at ${card.key}: ${result.message}`, restored };
+    }
+    restored.push({ key: card.key, state: card.before });
+  }
+  await getAuditStore().put({ ...change, undone_at: new Date().toISOString() });
+  return { status: "success", message: { undone: change.change_id, tool: change.tool, restored } };
+}
+
+module.exports = {
+  recordChange,
+  currentCards,
+  planUndo,
+  undoLastChange,
+  createMemoryAuditStore,
+  createFileAuditStore,
+  getAuditStore,
+  setAuditStore
+};
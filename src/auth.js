@@ -0,0 +1,92 @@
+/*
+
+End user authentication.
+
+Clients may send the user's own tracker JWT as "Authorization: Bearer <token>". We verify it and forward the same
+token to every tracker call, so each user works on their own collection instead of the shared service account.
+
+Verification uses the key the tracker signs its tokens with:
+- TRACKER_JWT_SECRET:      shared secret for HS256/384/512 tokens, or
+- TRACKER_JWT_PUBLIC_KEY:  PEM public key for RS/ES/PS tokens
+- TRACKER_JWT_ISSUER, TRACKER_JWT_AUDIENCE: optional, checked when set
+
+Requests without an Authorization header fall back to the service account (JWT_CREDENTIALS / Secrets Manager, see
+getBearerToken in executors.js), unless REQUIRE_USER_TOKEN=true.
+
+*/
+
+const jwt = require('jsonwebtoken');
+
+const HMAC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const PUBLIC_KEY_ALGORITHMS = ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512", "PS256", "PS384", "PS512"];
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+function verificationOptions() {
+  if (process.env.TRACKER_JWT_PUBLIC_KEY) {
+    // Keys in environment variables often have their newlines escaped
+    return { key: process.env.TRACKER_JWT_PUBLIC_KEY.replace(/\\n/g, "\n"), algorithms: PUBLIC_KEY_ALGORITHMS };
+  }
+  if (process.env.TRACKER_JWT_SECRET) {
+    return { key: process.env.TRACKER_JWT_SECRET, algorithms: HMAC_ALGORITHMS };
+  }
+  return null;
+}
+
+/*
+Resolve the user from an Authorization header value.
+Returns { id, token, claims } for a valid token, null when there is no header and anonymous use is allowed,
+and throws an AuthError otherwise.
+*/
+function authenticateHeader(header) {
+  if (!header) {
+    if (process.env.REQUIRE_USER_TOKEN === "true") {
+      throw new AuthError(401, "Missing Authorization header");
+    }
+    return null;
+  }
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw new AuthError(401, "Authorization header must be 'Bearer <token>'");
+  }
+  const options = verificationOptions();
+  if (!options) {
+    throw new AuthError(500, "User tokens cannot be verified: TRACKER_JWT_SECRET or TRACKER_JWT_PUBLIC_KEY is not configured");
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(match[1], options.key, {
+      algorithms: options.algorithms,
+      ...(process.env.TRACKER_JWT_ISSUER && { issuer: process.env.TRACKER_JWT_ISSUER }),
+      ...(process.env.TRACKER_JWT_AUDIENCE && { audience: process.env.TRACKER_JWT_AUDIENCE })
+    });
+  } catch (err) {
+    throw new AuthError(401, err.name === "TokenExpiredError" ? "Token has expired" : `Invalid token: ${err.message}`);
+  }
+  const id = claims.sub || claims.username || claims.user;
+  if (!id) {
+    throw new AuthError(401, "Invalid token: no subject");
+  }
+  return { id: String(id), token: match[1], claims };
+}
+
+// Express middleware: sets req.user (or null for the service account) or answers 401/500.
+function authenticate(req, res, next) {
+  try {
+    req.user = authenticateHeader(req.headers.authorization);
+    next();
+  } catch (err) {
+    if (!(err instanceof AuthError)) return next(err);
+    if (err.status === 401) res.set("WWW-Authenticate", "Bearer");
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+module.exports = { authenticate, authenticateHeader, AuthError };
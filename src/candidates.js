@@ -0,0 +1,88 @@
+/*
+
+Card candidates: the printings the user picks from when scryfall_search matches more than one.
+
+Scryfall card objects are large, so candidates are normalized to the fields the app shows:
+
+  { id, name, set, set_name, collector_number, rarity, finishes, image_uris, prices }
+
+image_uris come from the first face for double-faced cards. A candidate set is kept under a candidates_id, sent to the
+client with the card_candidates event, and can be fetched again with GET /api/candidates/:id. The history only gets a
+short assistant message listing the first MAX_LISTED_CANDIDATES printings, which is all the model needs to understand
+the user's pick.
+
+Candidate sets are kept in memory for CANDIDATES_TTL_MS, with the same caveats as pending actions (see confirmations.js).
+At most MAX_CANDIDATE_SETS are kept; the least recently used go first.
+
+*/
+
+const crypto = require('crypto');
+
+const CANDIDATES_TTL_MS = 60 * 60 * 1000;
+const MAX_CANDIDATE_SETS = 500;
+const MAX_LISTED_CANDIDATES = 20;
+
+// Key = candidates id, value = { candidates_id, owner, call_id, cards, created_at, expires_at }, least recently used first
+const candidateSets = new Map();
+
+function toCandidate(card) {
+  const imageUris = card.image_uris || card.card_faces?.find(face => face.image_uris)?.image_uris || null;
+  return {
+    id: card.id,
+    name: card.name,
+    set: card.set,
+    set_name: card.set_name,
+    collector_number: card.collector_number,
+    rarity: card.rarity,
+    finishes: card.finishes || [],
+    image_uris: imageUris && {
+      small: imageUris.small ?? null,
+      normal: imageUris.normal ?? null,
+      large: imageUris.large ?? null
+    },
+    prices: card.prices || {}
+  };
+}
+
+// Store the candidates for the cards of one scryfall_search call.
+function saveCandidates(owner, callId, cards) {
+  const now = Date.now();
+  const set = {
+    candidates_id: crypto.randomUUID(),
+    owner: owner ?? null,
+    call_id: callId,
+    cards: cards.map(toCandidate),
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + CANDIDATES_TTL_MS).toISOString()
+  };
+  candidateSets.set(set.candidates_id, set);
+  while (candidateSets.size > MAX_CANDIDATE_SETS) candidateSets.delete(candidateSets.keys().next().value);
+  setTimeout(() => candidateSets.delete(set.candidates_id), CANDIDATES_TTL_MS).unref();
+  return set;
+}
+
+// A stored candidate set, or null when it does not exist, expired, or belongs to another user.
+function getCandidates(candidatesId, owner) {
+  const set = candidateSets.get(candidatesId);
+  if (!set || (set.owner ?? null) !== (owner ?? null) || Date.parse(set.expires_at) <= Date.now()) return null;
+  candidateSets.delete(candidatesId);
+  candidateSets.set(candidatesId, set);
+  return set;
+}
+
+// The card_candidates event payload.
+function candidatesEvent(set) {
+  return { call_id: set.call_id, candidates_id: set.candidates_id, cards: set.cards };
+}
+
+// The assistant message that stands in for the candidates in the history.
+function candidatesMessage(set) {
+  const lines = set.cards.slice(0, MAX_LISTED_CANDIDATES).map((card, index) =>
+    `${index + 1}. ${card.name} - ${card.set_name} (${String(card.set).toUpperCase()} ${card.collector_number}), ${card.rarity}, ${card.finishes.join("/")}`);
+  if (set.cards.length > MAX_LISTED_CANDIDATES) {
+    lines.push(`... and ${set.cards.length - MAX_LISTED_CANDIDATES} more, see candidates_id ${set.candidates_id}`);
+  }
+  return `Several printings match. Which one do you mean?\n${lines.join("\n")}`;
+}
+
+module.exports = { MAX_CANDIDATE_SETS, MAX_LISTED_CANDIDATES, toCandidate, saveCandidates, getCandidates, candidatesEvent, candidatesMessage };
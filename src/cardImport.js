@@ -0,0 +1,148 @@
+/*
+
+Bulk import of card lists (decklists, tradelists, collection exports) into the collection.
+
+prepareImport() parses the list (see cardLists.js) and resolves every line to one exact printing:
+- lines with a Scryfall id, or a set code and collector number, name their printing directly
+- lines with only a name (and maybe a set) match every paper printing of that name. When exactly one of them exists in
+  the line's finish the line is resolved; otherwise it is ambiguous and the user picks one of its candidates
+  (see candidates.js). choices: [{ line, card_id }] resolve such lines with a Scryfall id.
+- lines that match nothing, or whose printing does not exist in the requested finish, are unresolved
+
+The resolved lines become tracker batch operations, merged with what the user already owns: quantities are added to
+the existing ones and a card that is not in the collection yet is created (a card whose finishes are all at 0 is still
+in it, and is updated). The tracker keeps one condition per finish, so copies added to an existing finish keep its
+condition (reported as a warning when the list says otherwise).
+
+The operations hold absolute quantities, so they are only valid for the collection they were built from. They are
+applied with commitBatch() from collection.js, as one tracker_batch call, right after prepareImport() read the
+collection: committing a previewed list prepares it again instead of reusing the preview's operations.
+
+*/
+
+const { parseCardList } = require('./cardLists.js');
+const { findPrintings, findPrintingsByNames, identifierKey, nameKey } = require('./cardResolver.js');
+const { fetchCollection } = require('./collection.js');
+const { toCandidate } = require('./candidates.js');
+
+// Candidates listed per ambiguous line
+const MAX_CANDIDATES = 10;
+
+const lineInfo = entry => ({ line: entry.line, text: entry.text });
+
+// Resolve parsed entries. Returns { resolved: [{ entry, card }], ambiguous, unresolved }.
+async function resolveEntries(entries, choices, { signal }) {
+  const chosen = new Map((choices || []).map(choice => [choice.line, String(choice.card_id).toLowerCase()]));
+  const identifierOf = entry => {
+    if (chosen.has(entry.line)) return { id: chosen.get(entry.line) };
+    if (entry.scryfall_id) return { id: entry.scryfall_id };
+    if (entry.set && entry.collector_number) return { set: entry.set, collector_number: entry.collector_number };
+    return null;
+  };
+
+  const exact = entries.map(identifierOf);
+  const printings = await findPrintings(exact.filter(Boolean), { signal });
+
+  const byName = await findPrintingsByNames(entries.filter((entry, index) => !exact[index] && entry.name), { signal });
+
+  const resolved = [];
+  const ambiguous = [];
+  const unresolved = [];
+  entries.forEach((entry, index) => {
+    const inFinish = card => (card.finishes || ["nonfoil"]).includes(entry.finish);
+    if (exact[index]) {
+      const card = printings.get(identifierKey(exact[index]));
+      if (!card) {
+        unresolved.push({ ...lineInfo(entry), reason: exact[index].id ? `Unknown Scryfall id ${exact[index].id}` : `No printing ${entry.set.toUpperCase()} ${entry.collector_number}` });
+      } else if (!inFinish(card)) {
+        unresolved.push({ ...lineInfo(entry), reason: `${card.name} (${card.set.toUpperCase()} ${card.collector_number}) is not printed in ${entry.finish}` });
+      } else {
+        resolved.push({ entry, card });
+      }
+      return;
+    }
+    if (!entry.name) {
+      unresolved.push({ ...lineInfo(entry), reason: "No card name" });
+      return;
+    }
+    const matches = byName.get(nameKey(entry.name, entry.set));
+    const candidates = matches.filter(inFinish);
+    if (matches.length === 0) {
+      unresolved.push({ ...lineInfo(entry), reason: `No card named "${entry.name}"${entry.set ? ` in ${entry.set.toUpperCase()}` : ""}` });
+    } else if (candidates.length === 0) {
+      unresolved.push({ ...lineInfo(entry), reason: `${entry.name} is not printed in ${entry.finish}` });
+    } else if (candidates.length === 1) {
+      resolved.push({ entry, card: candidates[0] });
+    } else {
+      const newestFirst = [...candidates].sort((a, b) => (b.released_at || "").localeCompare(a.released_at || ""));
+      ambiguous.push({
+        ...lineInfo(entry),
+        quantity: entry.quantity,
+        finish: entry.finish,
+        candidate_count: candidates.length,
+        candidates: newestFirst.slice(0, MAX_CANDIDATES).map(toCandidate)
+      });
+    }
+  });
+  return { resolved, ambiguous, unresolved };
+}
+
+// Merge resolved lines with the collection into tracker batch operations.
+function buildOperations(resolved, collection) {
+  const owned = new Map(collection.map(card => [`${card.set_code}:${card.card_number}`, card]));
+  const cards = new Map();
+  const warnings = [];
+
+  for (const { entry, card } of resolved) {
+    const key = `${card.set}:${card.collector_number}`;
+    if (!cards.has(key)) {
+      const existing = owned.get(key);
+      cards.set(key, {
+        action: existing ? "update" : "create",
+        set_code: card.set,
+        card_number: card.collector_number,
+        finishes: JSON.parse(JSON.stringify(existing?.finishes || {}))
+      });
+    }
+    const finishes = cards.get(key).finishes;
+    const current = finishes[entry.finish];
+    if (current && current.quantity > 0) {
+      if (entry.condition && current.condition && entry.condition !== current.condition) {
+        warnings.push(`Line ${entry.line}: ${key} ${entry.finish} is kept as ${current.condition}, the list says ${entry.condition}`);
+      }
+      current.quantity += entry.quantity;
+    } else {
+      finishes[entry.finish] = { quantity: entry.quantity, ...(entry.condition && { condition: entry.condition }) };
+    }
+  }
+  return { operations: [...cards.values()], warnings };
+}
+
+/*
+Parse and resolve a card list. callTracker(toolName, args) executes a tracker tool, to read the current collection.
+Returns { format, resolved, ambiguous, unresolved, warnings, operations }.
+*/
+async function prepareImport(text, { format, choices, callTracker, signal } = {}) {
+  const parsed = parseCardList(text, format);
+  const { resolved, ambiguous, unresolved } = await resolveEntries(parsed.entries, choices, { signal });
+  const collection = resolved.length > 0 ? await fetchCollection(callTracker, { keepEmpty: true }) : [];
+  const { operations, warnings } = buildOperations(resolved, collection);
+  return {
+    format: parsed.format,
+    resolved: resolved.map(({ entry, card }) => ({
+      ...lineInfo(entry),
+      quantity: entry.quantity,
+      name: card.name,
+      set: card.set,
+      collector_number: card.collector_number,
+      finish: entry.finish,
+      condition: entry.condition
+    })),
+    ambiguous,
+    unresolved,
+    warnings,
+    operations
+  };
+}
+
+module.exports = { prepareImport, resolveEntries, buildOperations };
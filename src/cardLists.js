@@ -0,0 +1,211 @@
+/*
+
+Parse pasted or uploaded card lists into entries:
+
+  { line, text, quantity, name, set, collector_number, scryfall_id, finish, condition, language, section }
+
+line is the 1-based line number in the input (for CSV: the row's line) and text the line itself, so problems can be
+reported back to the user. Fields that a format does not have are null.
+
+Supported formats (detectFormat() picks one when none is given):
+- "dek":   MTGO .dek XML, <Cards Quantity="4" Name="Lightning Bolt" Sideboard="false" />
+- "csv":   exports from Moxfield (Count, Name, Edition, Condition, Language, Foil, Collector Number) and Archidekt
+           (Quantity, Name, Finish, Condition, Language, Edition Code, Collector Number, Scryfall ID); other CSVs
+           work when their header uses similar column names
+- "text":  one card per line, as exported by Arena and Moxfield or typed by hand: "4 Lightning Bolt (M10) 146",
+           "4x Lightning Bolt", "Lightning Bolt". "*F*" / "*E*" mark foil / etched and "*LP*", "*MP*", ... the
+           condition. Arena section headers (Deck, Sideboard, Commander, ...) set the section of the lines below them.
+
+*/
+
+const FORMATS = ["dek", "csv", "text"];
+
+const CONDITIONS = {
+  nm: "NM", m: "NM", mint: "NM", "near mint": "NM",
+  lp: "LP", sp: "LP", ex: "LP", "lightly played": "LP", "slightly played": "LP", excellent: "LP", good: "LP",
+  "good (lightly played)": "LP",
+  mp: "MP", pl: "MP", gd: "MP", played: "MP", "moderately played": "MP",
+  hp: "HP", "heavily played": "HP", poor: "HP",
+  d: "DMG", dmg: "DMG", damaged: "DMG"
+};
+
+const SECTIONS = ["deck", "sideboard", "commander", "companion", "maybeboard", "about"];
+
+function normalizeCondition(value) {
+  if (!value) return null;
+  return CONDITIONS[String(value).trim().toLowerCase()] || null;
+}
+
+function normalizeFinish(value) {
+  const finish = String(value ?? "").trim().toLowerCase();
+  if (["foil", "true", "yes", "1", "f"].includes(finish)) return "foil";
+  if (["etched", "foil etched", "etched foil", "e"].includes(finish)) return "etched";
+  return "nonfoil";
+}
+
+function detectFormat(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("<?xml") || /^<Deck[\s>]/i.test(trimmed)) return "dek";
+  const header = trimmed.split(/\r?\n/, 1)[0].toLowerCase();
+  if (header.includes(",") && /(^|,)\s*"?(card )?name"?\s*(,|$)/.test(header)) return "csv";
+  return "text";
+}
+
+const entry = (line, text, fields) => ({
+  line,
+  text,
+  quantity: 1,
+  name: null,
+  set: null,
+  collector_number: null,
+  scryfall_id: null,
+  finish: "nonfoil",
+  condition: null,
+  language: null,
+  section: null,
+  ...fields
+});
+
+/* MTGO .dek */
+
+const xmlUnescape = value => value
+  .replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+
+function parseDek(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((lineText, index) => {
+    for (const [tag] of lineText.matchAll(/<Cards\b[^>]*>/g)) {
+      const attributes = Object.fromEntries([...tag.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, xmlUnescape(value)]));
+      entries.push(entry(index + 1, lineText.trim(), {
+        quantity: parseInt(attributes.Quantity, 10) || 1,
+        name: attributes.Name || null,
+        section: attributes.Sideboard === "true" ? "sideboard" : "deck"
+      }));
+    }
+  });
+  return entries;
+}
+
+/* CSV */
+
+// Split CSV text into rows of fields, honoring quotes. Each row remembers the line it started on.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+  return rows.filter(r => r.fields.some(value => value.trim() !== ""));
+}
+
+// Column names per field, most specific first
+const CSV_COLUMNS = {
+  quantity: ["count", "quantity", "qty", "amount"],
+  name: ["name", "card name", "card"],
+  set: ["edition code", "set code", "set", "edition"],
+  collector_number: ["collector number", "card number", "number", "collector #"],
+  scryfall_id: ["scryfall id", "scryfall_id"],
+  finish: ["foil", "finish", "printing"],
+  condition: ["condition"],
+  language: ["language", "lang"]
+};
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const names = header.fields.map(name => name.trim().toLowerCase());
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, candidates]) =>
+    [field, candidates.map(candidate => names.indexOf(candidate)).find(index => index !== -1) ?? -1]));
+  const lines = text.split(/\r?\n/);
+  const value = (row, field) => (columns[field] === -1 ? "" : (row.fields[columns[field]] || "").trim());
+
+  return rows.map(row => entry(row.line, (lines[row.line - 1] || "").trim(), {
+    quantity: parseInt(value(row, "quantity"), 10) || 1,
+    name: value(row, "name") || null,
+    set: value(row, "set").toLowerCase() || null,
+    collector_number: value(row, "collector_number") || null,
+    scryfall_id: value(row, "scryfall_id").toLowerCase() || null,
+    finish: normalizeFinish(value(row, "finish")),
+    condition: normalizeCondition(value(row, "condition")),
+    language: value(row, "language") || null
+  }));
+}
+
+/* TEXT (Arena, Moxfield, hand-typed) */
+
+// "4x Lightning Bolt (M10) 146 *F*", every part but the name optional
+const TEXT_LINE = /^(?:(\d+)\s*x?\s+)?(.+?)(?:\s+[([]([A-Za-z0-9]{2,6})[)\]](?:\s+([A-Za-z0-9★-]+))?)?((?:\s+\*[A-Za-z]+\*)*)$/;
+
+function parseText(text) {
+  const entries = [];
+  let section = null;
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const lineText = raw.trim();
+    // Blank lines, comments and Arena's "About" / "Name ..." metadata
+    if (!lineText || lineText.startsWith("//") || lineText.startsWith("#") || /^name\s/i.test(lineText)) return;
+    if (SECTIONS.includes(lineText.toLowerCase().replace(/:$/, ""))) {
+      section = lineText.toLowerCase().replace(/:$/, "");
+      return;
+    }
+    const match = lineText.match(TEXT_LINE);
+    if (!match) return;
+    const [, quantity, name, set, number, markers] = match;
+    const flags = [...markers.matchAll(/\*([A-Za-z]+)\*/g)].map(([, flag]) => flag);
+    entries.push(entry(index + 1, lineText, {
+      quantity: quantity ? parseInt(quantity, 10) : 1,
+      name: name.trim(),
+      set: set ? set.toLowerCase() : null,
+      collector_number: number || null,
+      finish: /\*E\*/i.test(markers) ? "etched" : /\*F\*/i.test(markers) ? "foil" : "nonfoil",
+      condition: flags.map(normalizeCondition).find(Boolean) || null,
+      section
+    }));
+  });
+  return entries;
+}
+
+/*
+Parse a card list. format is one of FORMATS, or "auto" / empty to detect it.
+Returns { format, entries }.
+*/
+function parseCardList(text, format) {
+  const chosen = FORMATS.includes(format) ? format : detectFormat(String(text ?? ""));
+  const parsers = { dek: parseDek, csv: parseCsv, text: parseText };
+  return { format: chosen, entries: parsers[chosen](String(text ?? "")) };
+}
+
+module.exports = { FORMATS, parseCardList, detectFormat, normalizeCondition };
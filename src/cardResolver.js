@@ -0,0 +1,401 @@
+/*
+
+Answer scryfall_search from the local Scryfall mirror (see scryfallMirror.js).
+
+The structured scryfall_search arguments are evaluated directly against the mirrored cards, with the same meaning they
+have in scryfallQuery.js. raw_query is Scryfall search syntax, which we do not interpret locally: searches that use it
+(or an order we cannot sort by) still go to Scryfall.
+
+SCRYFALL_SOURCE selects where searches go:
+- "remote" (default): always Scryfall
+- "local":   the mirror when it can answer, Scryfall otherwise
+- "offline": only the mirror; searches it cannot answer fail
+
+Results have the same shape as searchCards() in scryfallClient.js, including the page cap.
+
+The exact lookups (by printing, id and name, and name autocompletion) mirror Scryfall's /cards/:set/:number,
+/cards/:id, /cards/named?fuzzy= and /cards/autocomplete. Fuzzy names are matched on their words rather than with
+Scryfall's spelling correction, so a misspelled name is not found locally.
+
+findPrintings() and findPrintingsByNames() resolve many cards at once (for imports, valuations, ...), in as few
+Scryfall requests as possible. They use the mirror or Scryfall following SCRYFALL_SOURCE, like the tools do.
+
+*/
+
+const { maxPages, PAGE_SIZE, getCardsByPrinting, getCardsByName, searchCards } = require('./scryfallClient.js');
+const { getMirror, normalizeName, printingKey } = require('./scryfallMirror.js');
+const { priceOf } = require('./pricing.js');
+
+const SOURCES = ["remote", "local", "offline"];
+const scryfallSource = () => SOURCES.includes(process.env.SCRYFALL_SOURCE) ? process.env.SCRYFALL_SOURCE : "remote";
+
+const RARITIES = ["common", "uncommon", "rare", "special", "mythic", "bonus"];
+const PERMANENT_TYPES = ["artifact", "battle", "creature", "enchantment", "land", "planeswalker"];
+const DFC_LAYOUTS = ["transform", "modal_dfc", "meld", "reversible_card", "double_faced_token"];
+
+const has = value => value !== undefined && value !== null;
+const lower = value => String(value ?? "").toLowerCase();
+
+// Text of the card and each of its faces
+const texts = (card, field) => [card[field], ...(card.card_faces || []).map(face => face[field])].filter(has).map(lower);
+const colorsOf = card => card.colors || [...new Set((card.card_faces || []).flatMap(face => face.colors || []))];
+const numberOf = value => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+function inRange(value, min, max) {
+  if (!has(min) && !has(max)) return true;
+  if (value === null) return false;
+  return (!has(min) || value >= min) && (!has(max) || value <= max);
+}
+
+function colorsMatch(cardColors, colors, match) {
+  const wanted = new Set(colors);
+  const actual = new Set(cardColors);
+  const covers = (a, b) => [...b].every(color => a.has(color));
+  if (match === "exactly") return covers(actual, wanted) && covers(wanted, actual);
+  if (match === "at_most") return covers(wanted, actual);
+  return covers(actual, wanted);
+}
+
+// Lowest price of any finish of the printing in this currency (see pricing.js)
+function lowestPrice(card, currency) {
+  const prices = (card.finishes || ["nonfoil"]).map(finish => priceOf(card, finish, currency)).filter(has);
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+const IS_FLAGS = {
+  commander: card => (texts(card, "type_line").some(t => t.includes("legendary") && t.includes("creature")) ||
+    texts(card, "oracle_text").some(t => t.includes("can be your commander"))),
+  companion: card => (card.keywords || []).includes("Companion"),
+  reprint: card => Boolean(card.reprint),
+  firstprint: card => !card.reprint,
+  promo: card => Boolean(card.promo),
+  fullart: card => Boolean(card.full_art),
+  showcase: card => (card.frame_effects || []).includes("showcase"),
+  extendedart: card => (card.frame_effects || []).includes("extendedart"),
+  textless: card => Boolean(card.textless),
+  retro: card => ["1993", "1997"].includes(card.frame),
+  dfc: card => DFC_LAYOUTS.includes(card.layout),
+  split: card => card.layout === "split",
+  flip: card => card.layout === "flip",
+  transform: card => card.layout === "transform",
+  modal: card => card.layout === "modal_dfc",
+  meld: card => card.layout === "meld",
+  spell: card => !texts(card, "type_line").some(t => t.includes("land")),
+  permanent: card => texts(card, "type_line").some(t => PERMANENT_TYPES.some(type => t.includes(type))),
+  vanilla: card => lower(card.type_line).includes("creature") && !card.oracle_text && !card.card_faces,
+  funny: card => ["silver", "gold"].includes(card.border_color) || (card.promo_types || []).includes("playtest")
+};
+
+// Why the mirror cannot answer these arguments, or null when it can.
+function unsupportedLocally(args = {}) {
+  if (typeof args.raw_query === "string" && args.raw_query.trim()) {
+    return "raw_query uses Scryfall search syntax, which only Scryfall can evaluate";
+  }
+  if (args.order === "penny") return "the mirror has no Penny Dreadful ranks to sort by";
+  return null;
+}
+
+// One predicate per argument given.
+function buildFilter(args) {
+  const {
+    name, oracle_text, type, reserved, colors, colors_match, color_identity, color_identity_match,
+    mana_value_min, mana_value_max, power_min, power_max, toughness_min, toughness_max,
+    rarity, legal_in, is, artist, frame, border, finishes, language, set,
+    collector_number_min, collector_number_max, price_min, price_max, currency, game
+  } = args;
+  const checks = [];
+  const words = text => text.split(/\s+/).filter(Boolean).map(lower);
+
+  if (name) {
+    const wanted = normalizeName(name);
+    checks.push(card => texts(card, "name").some(n => normalizeName(n).includes(wanted)));
+  }
+  if (oracle_text) checks.push(card => words(oracle_text).every(word => texts(card, "oracle_text").some(t => t.includes(word))));
+  if (type) checks.push(card => words(type).every(word => texts(card, "type_line").some(t => t.includes(word))));
+  if (reserved) checks.push(card => Boolean(card.reserved));
+  if (Array.isArray(colors) && (colors.length > 0 || colors_match === "exactly")) {
+    checks.push(card => colorsMatch(colorsOf(card), colors, colors_match || "at_least"));
+  }
+  if (Array.isArray(color_identity)) {
+    checks.push(card => colorsMatch(card.color_identity || [], color_identity, color_identity_match || "at_most"));
+  }
+  if (has(mana_value_min) || has(mana_value_max)) checks.push(card => inRange(numberOf(card.cmc), mana_value_min, mana_value_max));
+  if (has(power_min) || has(power_max)) checks.push(card => texts(card, "power").some(p => inRange(numberOf(p), power_min, power_max)));
+  if (has(toughness_min) || has(toughness_max)) {
+    checks.push(card => texts(card, "toughness").some(t => inRange(numberOf(t), toughness_min, toughness_max)));
+  }
+  if (Array.isArray(rarity) && rarity.length > 0) checks.push(card => rarity.includes(card.rarity));
+  if (Array.isArray(legal_in)) checks.push(card => legal_in.every(format => card.legalities?.[format] === "legal"));
+  if (Array.isArray(is)) checks.push(card => is.every(flag => (IS_FLAGS[flag] || (() => false))(card)));
+  if (artist) checks.push(card => texts(card, "artist").some(a => a.includes(lower(artist))));
+  if (frame) checks.push(card => card.frame === frame);
+  if (border) checks.push(card => card.border_color === border);
+  if (Array.isArray(finishes) && finishes.length > 0) checks.push(card => finishes.some(f => (card.finishes || []).includes(f)));
+  // The mirror holds Scryfall's default cards, which are already one language per printing
+  if (language && language !== "any") checks.push(card => card.lang === language);
+  if (set) checks.push(card => lower(card.set) === lower(set) || lower(card.set_name) === lower(set));
+  if (has(collector_number_min) || has(collector_number_max)) {
+    checks.push(card => inRange(parseInt(card.collector_number, 10), collector_number_min, collector_number_max));
+  }
+  if (has(price_min) || has(price_max)) {
+    const field = ["usd", "eur", "tix"].includes(currency) ? currency : "usd";
+    checks.push(card => inRange(lowestPrice(card, field), price_min, price_max));
+  }
+  checks.push(card => (card.games || ["paper"]).includes(game || "paper"));
+
+  return card => checks.every(check => check(card));
+}
+
+const SORT_KEYS = {
+  name: card => lower(card.name),
+  set: card => `${lower(card.set)}:${String(card.collector_number).padStart(6, "0")}`,
+  released: card => card.released_at || "",
+  rarity: card => RARITIES.indexOf(card.rarity),
+  color: card => colorsOf(card).length === 0 ? "z" : "WUBRG".split("").filter(c => colorsOf(card).includes(c)).join(""),
+  usd: card => lowestPrice(card, "usd"),
+  eur: card => lowestPrice(card, "eur"),
+  tix: card => lowestPrice(card, "tix"),
+  cmc: card => numberOf(card.cmc),
+  power: card => numberOf(card.power),
+  toughness: card => numberOf(card.toughness),
+  edhrec: card => card.edhrec_rank ?? null,
+  artist: card => lower(card.artist)
+};
+
+// Scryfall's "auto" direction: newest, rarest and most expensive first, everything else ascending
+const DESCENDING_BY_DEFAULT = ["released", "rarity", "usd", "eur", "tix"];
+
+function sortCards(cards, order = "name", dir = "auto") {
+  const key = SORT_KEYS[order] || SORT_KEYS.name;
+  const sign = dir === "desc" || (dir !== "asc" && DESCENDING_BY_DEFAULT.includes(order)) ? -1 : 1;
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return cards
+    .map(card => ({ card, key: key(card), name: lower(card.name) }))
+    .sort((a, b) => {
+      // Cards without a value sort last in either direction
+      if (a.key === null || b.key === null) return a.key === b.key ? compare(a.name, b.name) : a.key === null ? 1 : -1;
+      return sign * compare(a.key, b.key) || compare(a.name, b.name);
+    })
+    .map(entry => entry.card);
+}
+
+// Keep one printing per card (or per artwork), the most recent one
+function uniqueCards(cards, unique) {
+  if (unique !== "cards" && unique !== "art") return cards;
+  const keyOf = card => unique === "cards" ? card.oracle_id || card.name : card.illustration_id || card.id;
+  const kept = new Map();
+  for (const card of cards) {
+    const current = kept.get(keyOf(card));
+    if (!current || (card.released_at || "") > (current.released_at || "")) kept.set(keyOf(card), card);
+  }
+  return [...kept.values()];
+}
+
+/*
+Search the mirror with scryfall_search arguments.
+Returns { cards, total_cards, has_more, warnings, not_found } like searchCards().
+*/
+function searchMirror(mirror, args = {}) {
+  const matches = sortCards(uniqueCards(mirror.cards.filter(buildFilter(args)), args.unique), args.order, args.dir);
+  const page = Math.max(parseInt(args.page, 10) || 1, 1);
+  const start = (page - 1) * PAGE_SIZE;
+  const end = start + maxPages() * PAGE_SIZE;
+  return {
+    cards: matches.slice(start, end),
+    total_cards: matches.length,
+    has_more: matches.length > end,
+    warnings: [],
+    not_found: matches.length === 0
+  };
+}
+
+/* EXACT LOOKUPS */
+
+// Paper printings before digital ones, then the most recent
+function preferredPrinting(cards) {
+  const rank = card => `${(card.games || ["paper"]).includes("paper") ? 1 : 0}:${card.released_at || ""}`;
+  return cards.reduce((best, card) => (rank(card) > rank(best) ? card : best));
+}
+
+// The printing with this set code and collector number, or null.
+function findPrinting(mirror, set, collectorNumber, language) {
+  const card = mirror.byPrinting.get(printingKey(set, collectorNumber));
+  return card && (!language || card.lang === language) ? card : null;
+}
+
+function findById(mirror, id) {
+  return mirror.byId.get(String(id).toLowerCase()) || null;
+}
+
+/*
+Find a card by a (partial) name, optionally in one set.
+Returns { card }, { ambiguous: [names] } when several cards match, or null.
+*/
+function findNamed(mirror, name, set) {
+  const inSet = cards => set ? cards.filter(card => lower(card.set) === lower(set) || lower(card.set_name) === lower(set)) : cards;
+  const wanted = normalizeName(name);
+  const exact = inSet(mirror.byName.get(wanted) || []);
+  if (exact.length > 0) return { card: preferredPrinting(exact) };
+
+  const words = wanted.split(" ").filter(Boolean);
+  const matches = new Map();
+  for (const [key, cards] of mirror.byName) {
+    if (!words.every(word => key.includes(word))) continue;
+    const printings = inSet(cards);
+    if (printings.length > 0) matches.set(printings[0].name, printings);
+  }
+  if (matches.size === 0) return null;
+  if (matches.size > 1) return { ambiguous: [...matches.keys()].sort().slice(0, 20) };
+  return { card: preferredPrinting([...matches.values()][0]) };
+}
+
+// Up to 20 card names for a partial name: names starting with it first, then names containing it.
+function autocompleteNames(mirror, q) {
+  const wanted = normalizeName(q);
+  if (wanted.length < 2) return [];
+  const starts = new Set();
+  const contains = new Set();
+  for (const [key, cards] of mirror.byName) {
+    if (key.startsWith(wanted)) starts.add(cards[0].name);
+    else if (key.includes(wanted)) contains.add(cards[0].name);
+  }
+  return [...[...starts].sort(), ...[...contains].filter(name => !starts.has(name)).sort()].slice(0, 20);
+}
+
+/* BULK RESOLUTION */
+
+// Map key for an identifier: "id:<scryfall id>" or printingKey(set, collector_number)
+const identifierKey = identifier => identifier.id
+  ? `id:${String(identifier.id).toLowerCase()}`
+  : printingKey(identifier.set, identifier.collector_number);
+
+/*
+Look up printings by identifiers: [{ set, collector_number }] or [{ id }].
+Returns a Map from identifierKey(identifier) to the Scryfall card; unknown printings are missing from it.
+*/
+async function findPrintings(identifiers, { signal } = {}) {
+  const source = scryfallSource();
+  const found = new Map();
+  let missing = identifiers;
+  if (source !== "remote") {
+    const mirror = await getMirror();
+    if (mirror) {
+      missing = [];
+      for (const identifier of identifiers) {
+        const card = identifier.id ? findById(mirror, identifier.id) : findPrinting(mirror, identifier.set, identifier.collector_number);
+        if (card) found.set(identifierKey(identifier), card);
+        else missing.push(identifier);
+      }
+    }
+  }
+  if (missing.length > 0 && source !== "offline") {
+    const { cards } = await getCardsByPrinting(missing, { signal });
+    for (const card of cards) {
+      found.set(identifierKey({ id: card.id }), card);
+      found.set(identifierKey({ set: card.set, collector_number: card.collector_number }), card);
+    }
+  }
+  return found;
+}
+
+// Normalized names of a card and of each of its faces, to match names the way findPrintingsByName() does.
+const cardNames = card => texts(card, "name").map(normalizeName);
+
+// Map key for a name lookup of findPrintingsByNames()
+const nameKey = (name, set) => `${normalizeName(name)}|${lower(set)}`;
+
+// Names per Scryfall search, which keeps the query well under Scryfall's length limit
+const NAMES_PER_SEARCH = 20;
+// Pages one such search may follow: every printing of 20 cards rarely takes more than a few
+const NAME_SEARCH_PAGES = 10;
+
+const exactName = name => `!"${String(name).replace(/"/g, "")}"`;
+
+const namesQuery = (names, set) => `(${names.map(exactName).join(" OR ")})${set ? ` set:${set}` : ""} game:paper unique:prints`;
+
+/*
+Every paper printing of the cards with exactly these names: lookups [{ name, set }], set optional.
+Returns a Map from nameKey(name, set) to the printings, empty when there are none. Scryfall is searched for up to
+NAMES_PER_SEARCH exact names (!"name") at a time, instead of once per name. When such a search has more than
+NAME_SEARCH_PAGES pages (basic lands, reprinted staples), each of its names is searched on its own instead, following
+every page, so no printing is left out.
+*/
+async function findPrintingsByNames(lookups, { signal } = {}) {
+  const source = scryfallSource();
+  const mirror = source === "remote" ? null : await getMirror();
+  const found = new Map();
+  const inSet = set => card => !set || lower(card.set) === lower(set) || lower(card.set_name) === lower(set);
+  const distinct = [...new Map(lookups.map(lookup => [nameKey(lookup.name, lookup.set), lookup])).values()];
+
+  if (mirror || source === "offline") {
+    for (const { name, set } of distinct) {
+      const cards = mirror ? mirror.byName.get(normalizeName(name)) || [] : [];
+      found.set(nameKey(name, set), cards.filter(card => inSet(set)(card) && (card.games || ["paper"]).includes("paper")));
+    }
+    return found;
+  }
+
+  const bySet = new Map();
+  for (const lookup of distinct) {
+    const set = lower(lookup.set);
+    if (!bySet.has(set)) bySet.set(set, []);
+    bySet.get(set).push(lookup);
+  }
+  for (const [set, setLookups] of bySet) {
+    for (let i = 0; i < setLookups.length; i += NAMES_PER_SEARCH) {
+      const batch = setLookups.slice(i, i + NAMES_PER_SEARCH);
+      const search = await searchCards(namesQuery(batch.map(lookup => lookup.name), set), { pageLimit: NAME_SEARCH_PAGES, signal });
+      for (const { name } of batch) {
+        let { cards } = search;
+        if (search.has_more) {
+          // No card has more than a few thousand printings, so following every page of one name is bounded
+          ({ cards } = await searchCards(namesQuery([name], set), { pageLimit: Infinity, signal }));
+        }
+        const wanted = normalizeName(name);
+        found.set(nameKey(name, set), cards.filter(card => cardNames(card).includes(wanted) && inSet(set)(card)));
+      }
+    }
+  }
+  return found;
+}
+
+/*
+The cards with exactly these names, when any printing will do: lookups [{ name, set }], set optional.
+Returns a Map from nameKey(name, set) to printings: every paper printing in the mirror, or the one printing Scryfall
+picks. Scryfall is asked for 75 names per request (/cards/collection), so this suits long lists like decklists.
+*/
+async function findCardsByNames(lookups, { signal } = {}) {
+  const source = scryfallSource();
+  const mirror = source === "remote" ? null : await getMirror();
+  if (mirror || source === "offline") return await findPrintingsByNames(lookups, { signal });
+
+  const distinct = [...new Map(lookups.map(lookup => [nameKey(lookup.name, lookup.set), lookup])).values()];
+  const { cards } = await getCardsByName(distinct, { signal });
+  return new Map(distinct.map(({ name, set }) => [nameKey(name, set),
+    cards.filter(card => cardNames(card).includes(normalizeName(name)) && (!set || lower(card.set) === lower(set))).slice(0, 1)]));
+}
+
+// Every paper printing of the card with exactly this name, optionally in one set.
+async function findPrintingsByName(name, set, { signal } = {}) {
+  return (await findPrintingsByNames([{ name, set }], { signal })).get(nameKey(name, set));
+}
+
+module.exports = {
+  scryfallSource,
+  unsupportedLocally,
+  searchMirror,
+  findPrinting,
+  findById,
+  findNamed,
+  autocompleteNames,
+  identifierKey,
+  findPrintings,
+  findPrintingsByName,
+  findPrintingsByNames,
+  findCardsByNames,
+  nameKey,
+  cardNames
+};
@@ -0,0 +1,79 @@
+/*
+
+Read the user's whole collection from the tracker, for tools that work on all of it (valuation, export, ...).
+
+The collection comes from the tracker's list operation: a GET without parameters or body, e.g. tracker_getAllCards.
+The tracker answers with an object keyed by "set_code:card_number" or with an array; either way we return a list of
+
+  { set_code, card_number, name, finishes: { nonfoil: { quantity, condition }, ... }, notes }
+
+with one entry per card. Filters narrow that down to the finishes and conditions asked for; finishes with a quantity of
+0 are left out, unless keepEmpty asks for them (cards whose finishes are all at 0 still exist in the tracker).
+
+commitBatch() applies prepared changes (imports, trades) as one tracker_batch call, recorded in the audit log like any
+other change.
+
+*/
+
+const { getTrackerBindings } = require('./tools.js');
+const { recordChange } = require('./auditLog.js');
+
+// The tracker operation that lists the whole collection, or null when the spec has none.
+async function listOperation() {
+  const bindings = await getTrackerBindings();
+  const [name] = Object.entries(bindings).find(([, b]) =>
+    b.method === "get" && b.params.length === 0 && !b.body && !b.path.includes("{")) || [];
+  return name || null;
+}
+
+function normalizeCard(card, key) {
+  const [setFromKey, numberFromKey] = typeof key === "string" && key.includes(":") ? key.split(":") : [];
+  return {
+    set_code: String(card.set_code ?? setFromKey ?? "").toLowerCase(),
+    card_number: String(card.card_number ?? numberFromKey ?? ""),
+    name: card.name ?? card.scryfall?.name ?? null,
+    finishes: card.finishes || {},
+    ...(card.notes !== undefined && { notes: card.notes })
+  };
+}
+
+const lower = value => String(value ?? "").toLowerCase();
+
+/*
+Fetch the collection. callTracker(toolName, args) executes a tracker tool (see executors.js).
+filters: { set, finish, condition, name } narrow the result; set and name match case-insensitively, name partially.
+keepEmpty keeps finishes with a quantity of 0, and cards that only have those.
+Throws when the tracker has no list operation or the call fails.
+*/
+async function fetchCollection(callTracker, { set, finish, condition, name, keepEmpty = false } = {}) {
+  const operation = await listOperation();
+  if (!operation) throw new Error("The tracker has no operation to list the collection");
+  const result = await callTracker(operation, {});
+  if (result.status !== "success") throw new Error(`Could not read the collection: ${result.message}`);
+
+  const body = result.message || {};
+  const cards = Array.isArray(body)
+    ? body.map(card => normalizeCard(card))
+    : Object.entries(body).filter(([, card]) => card && typeof card === "object").map(([key, card]) => normalizeCard(card, key));
+
+  return cards
+    .filter(card => !set || card.set_code === lower(set))
+    .filter(card => !name || lower(card.name).includes(lower(name)))
+    .map(card => ({
+      ...card,
+      finishes: Object.fromEntries(Object.entries(card.finishes).filter(([finishName, entry]) =>
+        entry && (entry.quantity > 0 || (keepEmpty && entry.quantity === 0)) &&
+        (!finish || finishName === finish) &&
+        (!condition || (entry.condition || "NM") === condition)))
+    }))
+    .filter(card => keepEmpty || Object.keys(card.finishes).length > 0);
+}
+
+// Apply batch operations with one tracker_batch call. Returns the tool output of that call.
+async function commitBatch(operations, { owner, conversationId, callTracker }) {
+  const args = { operations };
+  return await recordChange({ toolName: "tracker_batch", args, owner, conversationId }, callTracker,
+    () => callTracker("tracker_batch", args));
+}
+
+module.exports = { fetchCollection, commitBatch };
@@ -0,0 +1,163 @@
+/*
+
+Export the collection in formats other sites and tools import.
+
+exportCollection() reads the collection from the tracker (see collection.js), joins every card with its Scryfall
+printing for the name, set name, language and price (see cardResolver.js and pricing.js), and renders one row per card
+and finish as:
+- "moxfield", "deckbox", "tcgplayer": CSV with the columns each site's collection import expects
+- "text":  a tradelist grouped by set, "2 Ancient Tomb (UMA) 236 *F* *LP*", which parseCardList() reads back
+- "json":  the rows themselves, with unit prices and values
+
+Filters: set, finish and condition as in fetchCollection(), and min_value: only rows whose printing is worth at least
+that much per copy in the chosen currency (rows without a price are then left out too). Cards whose printing is not
+found on Scryfall are not exported, since none of the formats work without a name; they are listed in unresolved.
+
+Exports are downloaded from GET /api/export, which needs the Authorization header. A link the user clicks cannot send
+one, so the export_collection tool hands out download links instead (createDownloadLink()): /api/export/<token> with a
+random token that stands for the user and the export options, valid for DOWNLOAD_LINK_TTL_MS. Like pending actions
+(see confirmations.js) they are kept in memory, so on Lambda the download has to reach the same instance.
+
+*/
+
+const crypto = require('crypto');
+const { fetchCollection } = require('./collection.js');
+const { findPrintings } = require('./cardResolver.js');
+const { printingKey } = require('./scryfallMirror.js');
+const { CURRENCIES, priceOf } = require('./pricing.js');
+
+const EXPORT_FORMATS = ["moxfield", "deckbox", "tcgplayer", "text", "json"];
+
+const DOWNLOAD_LINK_TTL_MS = 10 * 60 * 1000;
+
+// Key = link token, value = { user, options, expires_at }
+const downloadLinks = new Map();
+
+const LANGUAGES = {
+  en: "English", es: "Spanish", fr: "French", de: "German", it: "Italian", pt: "Portuguese", ja: "Japanese",
+  ko: "Korean", ru: "Russian", zhs: "Chinese Simplified", zht: "Chinese Traditional", ph: "Phyrexian"
+};
+
+// Condition names per site, for the tracker's NM / LP / MP / HP / DMG
+const CONDITION_NAMES = {
+  moxfield: { NM: "Near Mint", LP: "Lightly Played", MP: "Moderately Played", HP: "Heavily Played", DMG: "Damaged" },
+  deckbox: { NM: "Near Mint", LP: "Good (Lightly Played)", MP: "Played", HP: "Heavily Played", DMG: "Poor" },
+  tcgplayer: { NM: "Near Mint", LP: "Lightly Played", MP: "Moderately Played", HP: "Heavily Played", DMG: "Damaged" }
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+const byCollectorNumber = (a, b) => a.collector_number.localeCompare(b.collector_number, "en", { numeric: true });
+
+const csvField = value => `"${String(value ?? "").replace(/"/g, '""')}"`;
+const csv = (header, rows) => [header, ...rows].map(fields => fields.map(csvField).join(",")).join("\r\n") + "\r\n";
+
+const conditionName = (site, condition) => CONDITION_NAMES[site][condition] || CONDITION_NAMES[site].NM;
+const language = row => LANGUAGES[row.lang] || "English";
+const price = value => (value === null ? "" : value.toFixed(2));
+
+const RENDERERS = {
+  moxfield: rows => csv(
+    ["Count", "Tradelist Count", "Name", "Edition", "Condition", "Language", "Foil", "Tags", "Last Modified", "Collector Number", "Alter", "Proxy", "Purchase Price"],
+    rows.map(row => [row.quantity, row.quantity, row.name, row.set, conditionName("moxfield", row.condition), language(row),
+      row.finish === "nonfoil" ? "" : row.finish, "", "", row.collector_number, "False", "False", ""])),
+  deckbox: rows => csv(
+    ["Count", "Tradelist Count", "Name", "Edition", "Card Number", "Condition", "Language", "Foil", "Signed", "Artist Proof", "Altered Art", "Misprint", "Promo", "Textless", "My Price"],
+    rows.map(row => [row.quantity, row.quantity, row.name, row.set_name, row.collector_number, conditionName("deckbox", row.condition),
+      language(row), row.finish === "nonfoil" ? "" : "foil", "", "", "", "", "", "", ""])),
+  tcgplayer: rows => csv(
+    ["Quantity", "Name", "Set", "Set Code", "Card Number", "Printing", "Condition", "Language", "TCG Market Price"],
+    rows.map(row => [row.quantity, row.name, row.set_name, row.set.toUpperCase(), row.collector_number,
+      row.finish === "nonfoil" ? "Normal" : "Foil", conditionName("tcgplayer", row.condition), language(row),
+      row.currency === "usd" ? price(row.unit_price) : ""])),
+  text: rows => {
+    const sets = new Map();
+    for (const row of rows) {
+      if (!sets.has(row.set)) sets.set(row.set, []);
+      sets.get(row.set).push(row);
+    }
+    return [...sets.values()].map(setRows => [
+      `// ${setRows[0].set_name} (${setRows[0].set.toUpperCase()})`,
+      ...setRows.map(row => [
+        `${row.quantity} ${row.name} (${row.set.toUpperCase()}) ${row.collector_number}`,
+        ...(row.finish === "foil" ? ["*F*"] : row.finish === "etched" ? ["*E*"] : []),
+        ...(row.condition !== "NM" ? [`*${row.condition}*`] : [])
+      ].join(" "))
+    ].join("\n")).join("\n\n") + "\n";
+  },
+  json: rows => JSON.stringify({ cards: rows }, null, 2)
+};
+
+const CONTENT_TYPES = { text: "text/plain", json: "application/json" };
+
+/*
+Export the collection. callTracker(toolName, args) executes a tracker tool (see executors.js).
+Returns { format, content_type, filename, content, count, quantity, total, currency, unresolved }; count is the number
+of rows, quantity the number of copies and total their value. Throws when the collection cannot be read.
+*/
+async function exportCollection(callTracker, { format = "json", set, finish, condition, min_value, currency = "usd", signal } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format "${format}", use one of ${EXPORT_FORMATS.join(", ")}`);
+  if (!CURRENCIES.includes(currency)) currency = "usd";
+
+  const cards = await fetchCollection(callTracker, { set, finish, condition });
+  const printings = await findPrintings(cards.map(card => ({ set: card.set_code, collector_number: card.card_number })), { signal });
+
+  const rows = [];
+  const unresolved = [];
+  for (const card of cards) {
+    const printing = printings.get(printingKey(card.set_code, card.card_number));
+    for (const [finishName, { quantity, condition: cardCondition = "NM" }] of Object.entries(card.finishes)) {
+      if (!printing) {
+        unresolved.push({ set_code: card.set_code, card_number: card.card_number, name: card.name, finish: finishName, quantity });
+        continue;
+      }
+      const unitPrice = priceOf(printing, finishName, currency);
+      if (min_value != null && (unitPrice === null || unitPrice < min_value)) continue;
+      rows.push({
+        quantity,
+        name: printing.name,
+        set: printing.set,
+        set_name: printing.set_name,
+        collector_number: printing.collector_number,
+        lang: printing.lang || "en",
+        finish: finishName,
+        condition: cardCondition,
+        scryfall_id: printing.id,
+        currency,
+        unit_price: unitPrice,
+        value: unitPrice === null ? null : round(unitPrice * quantity)
+      });
+    }
+  }
+  rows.sort((a, b) => a.set_name.localeCompare(b.set_name) || byCollectorNumber(a, b) || a.finish.localeCompare(b.finish));
+
+  const csvFormat = !CONTENT_TYPES[format];
+  return {
+    format,
+    content_type: CONTENT_TYPES[format] || "text/csv",
+    filename: `collection-${format}.${csvFormat ? "csv" : format === "text" ? "txt" : "json"}`,
+    content: RENDERERS[format](rows),
+    count: rows.length,
+    quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+    total: round(rows.reduce((sum, row) => sum + (row.value || 0), 0)),
+    currency,
+    unresolved
+  };
+}
+
+// A link that downloads an export as the given user (null for the service account). Returns { url, expires_at }.
+function createDownloadLink(user, options) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const expiresAt = Date.now() + DOWNLOAD_LINK_TTL_MS;
+  downloadLinks.set(token, { user: user ?? null, options, expires_at: expiresAt });
+  setTimeout(() => downloadLinks.delete(token), DOWNLOAD_LINK_TTL_MS).unref();
+  return { url: `/api/export/${token}`, expires_at: new Date(expiresAt).toISOString() };
+}
+
+// The { user, options } of a download link, or null when it does not exist or expired.
+function getDownloadLink(token) {
+  const link = downloadLinks.get(token);
+  return link && link.expires_at > Date.now() ? link : null;
+}
+
+module.exports = { EXPORT_FORMATS, exportCollection, createDownloadLink, getDownloadLink };
@@ -0,0 +1,208 @@
+/*
+
+Confirmation step for destructive tracker operations.
+
+Before a tracker tool runs, classifyTrackerCall() decides whether it needs the user's go-ahead:
+- GET, HEAD and OPTIONS operations never do
+- DELETE operations and batches (tracker_batch, or any body with an operations list) always do
+- other writes do when they change a quantity by AGENT_CONFIRM_QUANTITY (default 10) or more, or set it to 0. The
+  quantities are compared with the card's current ones, read from the tracker; when that fails they count from 0.
+classifyUndoCall() does the same for undo_last_change: the tracker calls the undo would make are classified one by one.
+classifyImportCall() holds import_card_list calls that commit, like the batch they make.
+
+Such calls are not executed, and neither are the writes after them in the same model response: those may depend on
+the held change, so they are held with it. They become one pending action per model response, announced with a pending_action
+event that lists exactly which requests would be sent. The model gets a "pending_confirmation" tool output and the run
+stops. The client then posts { confirm: { action_id, approve: true | false } } to /api/stream with the same history
+or conversation_id: approved calls are executed and their real output replaces the pending one, declined calls get a
+"cancelled" output, and the model continues from there. When that run fails before the calls are resolved (e.g. the
+provider is unavailable), the action is put back and can be confirmed again.
+
+Pending actions are kept in memory for PENDING_ACTION_TTL_MS, like the replay buffer in events.js. On Lambda the
+confirmation has to reach the same instance.
+
+*/
+
+const crypto = require('crypto');
+const { getTrackerBinding } = require('./tools.js');
+const { bindArguments } = require('./openapiTools.js');
+const { planUndo, currentCards } = require('./auditLog.js');
+const { prepareImport } = require('./cardImport.js');
+
+const PENDING_ACTION_TTL_MS = 15 * 60 * 1000;
+const READ_METHODS = ["get", "head", "options"];
+
+const confirmQuantity = () => parseInt(process.env.AGENT_CONFIRM_QUANTITY, 10) > 0
+  ? parseInt(process.env.AGENT_CONFIRM_QUANTITY, 10)
+  : 10;
+
+// Key = action id, value = { action_id, owner, calls, created_at, expires_at }
+const pendingActions = new Map();
+
+// The quantities a write sets, per card and finish: [{ from, to }]. current are the cards it touches (see currentCards()).
+function quantityChanges(parameters, requestBody, current) {
+  const pathValues = Object.fromEntries(
+    Object.entries(parameters).filter(([k]) => k.startsWith("path.")).map(([k, v]) => [k.slice(5), v]));
+  const target = { ...(requestBody && typeof requestBody === "object" && !Array.isArray(requestBody) ? requestBody : {}), ...pathValues };
+  return Object.entries(target.finishes && typeof target.finishes === "object" ? target.finishes : {})
+    .filter(([, finish]) => typeof finish?.quantity === "number")
+    .map(([name, finish]) => {
+      const card = current.find(c => Object.entries(c.identity).every(([key, value]) => String(target[key]) === value));
+      return { from: card?.state?.finishes?.[name]?.quantity ?? 0, to: finish.quantity };
+    });
+}
+
+// The request a tracker call would make, e.g. "DELETE /cards/m10/146".
+function describeRequest(binding, parameters) {
+  const path = binding.path.replace(/\{([^}]+)\}/g, (match, name) => {
+    const value = parameters[`path.${name}`];
+    return value === undefined ? match : encodeURIComponent(value);
+  });
+  const query = binding.params
+    .filter(param => param.in === "query" && parameters[`query.${param.name}`] !== undefined)
+    .map(param => `${param.name}=${encodeURIComponent(parameters[`query.${param.name}`])}`);
+  return `${binding.method.toUpperCase()} ${path}${query.length ? `?${query.join("&")}` : ""}`;
+}
+
+/*
+Decide whether a tracker call may run without asking. callTracker(toolName, args) reads the current quantities.
+Returns { confirm, reasons, change } where change describes exactly what would be sent:
+{ call_id, name, request, body }
+*/
+async function classifyTrackerCall(call, args, { callTracker } = {}) {
+  const binding = await getTrackerBinding(call.name);
+  if (!binding) {
+    // Unknown operations fail in the executor anyway
+    return { confirm: false, reasons: [], change: null };
+  }
+  const { parameters, requestBody } = bindArguments(binding, args);
+  const change = {
+    call_id: call.call_id,
+    name: call.name,
+    request: describeRequest(binding, parameters),
+    ...(requestBody !== undefined && { body: requestBody })
+  };
+  if (READ_METHODS.includes(binding.method)) {
+    return { confirm: false, reasons: [], change };
+  }
+
+  const reasons = [];
+  if (binding.method === "delete") {
+    reasons.push("removes cards from the collection");
+  }
+  const operations = requestBody && Array.isArray(requestBody.operations) ? requestBody.operations : null;
+  if (call.name === "tracker_batch" || operations) {
+    // Held anyway, so the cards are not read
+    reasons.push(`changes ${operations ? operations.length : "several"} cards at once`);
+    return { confirm: true, reasons, change };
+  }
+
+  let current = [];
+  if (callTracker && requestBody?.finishes) {
+    try {
+      current = await currentCards(call.name, args, callTracker);
+    } catch (err) {
+      console.log(`Could not read the current quantities for ${call.name}:`, err.message);
+    }
+  }
+  const changes = quantityChanges(parameters, requestBody, current);
+  const threshold = confirmQuantity();
+  if (changes.some(({ from, to }) => Math.abs(to - from) >= threshold)) {
+    reasons.push(`changes a quantity by ${threshold} or more`);
+  }
+  if (changes.some(({ from, to }) => to === 0 && from > 0)) {
+    reasons.push("sets a quantity to 0");
+  }
+  return { confirm: reasons.length > 0, reasons, change };
+}
+
+/*
+Decide whether an undo_last_change call may run without asking, from the tracker calls it would make (see planUndo()
+in auditLog.js). Returns { confirm, reasons, change, arguments }: arguments name the planned change, so a confirmed
+undo restores exactly what was shown. An undo that cannot be planned runs and reports why.
+*/
+async function classifyUndoCall(call, args, { owner, callTracker }) {
+  const plan = await planUndo({ owner, changeId: args?.change_id || undefined }, callTracker);
+  if (plan.error) return { confirm: false, reasons: [], change: null, arguments: args };
+  const classified = await Promise.all(plan.calls.map(restore =>
+    classifyTrackerCall({ call_id: call.call_id, name: restore.toolName }, restore.args, { callTracker })));
+  const reasons = [...new Set(classified.flatMap(result => result.reasons))];
+  const change = {
+    call_id: call.call_id,
+    name: call.name,
+    request: `Undo change ${plan.change.change_id}: ${classified.map(result => result.change?.request).filter(Boolean).join(", ")}`
+  };
+  return { confirm: reasons.length > 0, reasons, change, arguments: { change_id: plan.change.change_id } };
+}
+
+/*
+Decide whether an import_card_list call may run without asking: previews may, commits are batches. The change shows the
+operations as they would be made now; the call prepares them again when it runs (see cardImport.js). A commit that
+cannot be made (nothing to import, ambiguous lines) runs and reports why.
+*/
+async function classifyImportCall(call, args, { callTracker, signal }) {
+  if (args?.commit !== true) return { confirm: false, reasons: [], change: null };
+  const report = await prepareImport(args.text, { format: args.format || undefined, choices: args.choices, callTracker, signal });
+  if (report.operations.length === 0 || report.ambiguous.length > 0) return { confirm: false, reasons: [], change: null };
+  const { reasons, change } = await classifyTrackerCall({ call_id: call.call_id, name: "tracker_batch" }, { operations: report.operations }, { callTracker });
+  // Without a batch operation the commit fails anyway
+  if (!change) return { confirm: false, reasons: [], change: null };
+  return { confirm: true, reasons, change: { ...change, name: call.name } };
+}
+
+// Keep calls for confirmation. calls: [{ call_id, name, arguments, reasons, change }]
+function createPendingAction(owner, calls) {
+  const now = Date.now();
+  const action = {
+    action_id: crypto.randomUUID(),
+    owner: owner ?? null,
+    calls,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + PENDING_ACTION_TTL_MS).toISOString()
+  };
+  pendingActions.set(action.action_id, action);
+  setTimeout(() => pendingActions.delete(action.action_id), PENDING_ACTION_TTL_MS).unref();
+  return action;
+}
+
+// Remove and return a pending action, so it can only be confirmed once. Returns null when it does not exist,
+// expired, or belongs to another user.
+function takePendingAction(actionId, owner) {
+  const action = pendingActions.get(actionId);
+  if (!action || (action.owner ?? null) !== (owner ?? null)) return null;
+  pendingActions.delete(actionId);
+  return Date.parse(action.expires_at) > Date.now() ? action : null;
+}
+
+// Put back an action whose run failed before all of its calls were resolved, so the user can confirm it again.
+// Only the calls that have not run are kept (see resolvePendingAction() in streamHandler.js).
+function restorePendingAction(action) {
+  if (action.calls.length === 0 || Date.parse(action.expires_at) <= Date.now()) return;
+  pendingActions.set(action.action_id, action);
+}
+
+// The pending_action event payload.
+function pendingActionEvent(action) {
+  return {
+    action_id: action.action_id,
+    expires_at: action.expires_at,
+    changes: action.calls.map(call => ({ ...call.change, reasons: call.reasons }))
+  };
+}
+
+// What we tell the user when the run stops for confirmation.
+function confirmationMessage(action) {
+  const lines = action.calls.map(call => `- ${call.change.request} (${call.reasons.join(", ")})`);
+  return `Before I make ${action.calls.length === 1 ? "this change" : "these changes"}, please confirm:\n${lines.join("\n")}`;
+}
+
+module.exports = {
+  classifyTrackerCall,
+  classifyUndoCall,
+  classifyImportCall,
+  createPendingAction,
+  takePendingAction,
+  restorePendingAction,
+  pendingActionEvent,
+  confirmationMessage
+};
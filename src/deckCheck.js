@@ -0,0 +1,204 @@
+/*
+
+Deck check: can this decklist be built from the user's collection, what do the missing cards cost, and is it legal.
+
+checkDeck() parses the decklist (see cardLists.js), resolves every line through Scryfall and compares it with the
+collection (see collection.js):
+- by default any printing of a card counts, in any finish
+- with exactPrintings, lines that name a printing (set and collector number) only count copies of that printing, and
+  of the marked finish when the line is foil or etched. Lines that only name a card still accept any printing.
+Cards needed more than once (several lines, deck and sideboard) are added up before they are compared.
+
+The whole list is resolved in one pass: printings in one /cards/collection lookup and names in another, 75 per request
+(see findCardsByNames() in cardResolver.js). Missing copies are priced from those printings, at Scryfall's prices (see
+pricing.js): the cheapest printing and finish with a local mirror, the cheapest finish of the printing Scryfall picked
+for the name otherwise (with exactPrintings: the printing asked for).
+
+With a format, the deck is checked against Scryfall's legalities and the construction rules in FORMAT_RULES: deck and
+sideboard size, copies per card (basic lands and "a deck can have any number of cards named ..." cards are exempt,
+restricted cards allow one) and, for commander formats, the commanders' color identity. The Commander and Deck
+sections make up the main deck; Sideboard and Companion the sideboard. Maybeboard lines are ignored.
+
+*/
+
+const { parseCardList } = require('./cardLists.js');
+const { findPrintings, findCardsByNames, identifierKey, nameKey } = require('./cardResolver.js');
+const { normalizeName, printingKey } = require('./scryfallMirror.js');
+const { CURRENCIES, priceOf } = require('./pricing.js');
+const { ownedCopies } = require('./trades.js');
+
+// Deck construction rules: exact deck size for singleton formats, minimum size and sideboard otherwise
+const SINGLETON_FORMATS = { commander: 100, duel: 100, predh: 100, paupercommander: 100, gladiator: 100, oathbreaker: 60, brawl: 60, standardbrawl: 60 };
+const MIN_DECK_SIZE = 60;
+const MAX_SIDEBOARD = 15;
+const MAX_COPIES = 4;
+
+const MAIN_SECTIONS = ["deck", "commander"];
+const SIDEBOARD_SECTIONS = ["sideboard", "companion"];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const round = value => Math.round(value * 100) / 100;
+
+const sectionOf = entry => entry.section || "deck";
+
+// Copies of a card a deck may hold, or Infinity
+function copyLimit(card, singleton) {
+  if (/\bBasic\b/.test(card.type_line || "")) return Infinity;
+  const oracle = [card.oracle_text, ...(card.card_faces || []).map(face => face.oracle_text)].join("\n");
+  const exception = oracle.match(/A deck can have (any number of|up to (\w+)) cards named/i);
+  if (exception) return exception[2] ? NUMBER_WORDS[exception[2].toLowerCase()] ?? Infinity : Infinity;
+  return singleton ? 1 : MAX_COPIES;
+}
+
+// The cheapest finish of a printing: { finish, unit_price }, or null when it has no price
+function cheapestFinish(card, currency) {
+  return (card.finishes || ["nonfoil"])
+    .map(finish => ({ finish, unit_price: priceOf(card, finish, currency) }))
+    .filter(option => option.unit_price !== null)
+    .sort((a, b) => a.unit_price - b.unit_price)[0] || null;
+}
+
+function legalityProblems(format, groups, counts) {
+  const problems = [];
+  const warnings = [];
+  const singletonSize = SINGLETON_FORMATS[format];
+  const byName = new Map();
+  for (const group of groups) {
+    if (!byName.has(group.key.name)) byName.set(group.key.name, { card: group.card, quantity: 0 });
+    byName.get(group.key.name).quantity += group.quantity;
+  }
+
+  for (const { card, quantity } of byName.values()) {
+    const legality = card.legalities?.[format];
+    if (legality === "banned") problems.push({ name: card.name, problem: `Banned in ${format}` });
+    else if (legality === "not_legal" || !legality) problems.push({ name: card.name, problem: `Not legal in ${format}` });
+    else if (legality === "restricted" && quantity > 1) problems.push({ name: card.name, problem: `Restricted in ${format}: ${quantity} copies, at most 1` });
+
+    const limit = copyLimit(card, Boolean(singletonSize));
+    if (legality !== "restricted" && quantity > limit) problems.push({ name: card.name, problem: `${quantity} copies, at most ${limit}` });
+  }
+
+  if (singletonSize) {
+    if (counts.main !== singletonSize) problems.push({ problem: `The deck has ${counts.main} cards, ${format} decks have exactly ${singletonSize}` });
+    const commanders = groups.filter(group => group.sections.includes("commander")).map(group => group.card);
+    if (commanders.length === 0) {
+      warnings.push("No Commander section, so the color identity was not checked");
+    } else {
+      const identity = new Set(commanders.flatMap(card => card.color_identity || []));
+      for (const { card } of byName.values()) {
+        const outside = (card.color_identity || []).filter(color => !identity.has(color));
+        if (outside.length > 0) {
+          problems.push({ name: card.name, problem: `Outside the commander's color identity (${[...identity].join("") || "colorless"})` });
+        }
+      }
+    }
+  } else {
+    if (counts.main < MIN_DECK_SIZE) problems.push({ problem: `The deck has ${counts.main} cards, at least ${MIN_DECK_SIZE} are needed` });
+    if (counts.sideboard > MAX_SIDEBOARD) problems.push({ problem: `The sideboard has ${counts.sideboard} cards, at most ${MAX_SIDEBOARD}` });
+  }
+  return { legal: problems.length === 0, problems, warnings };
+}
+
+/*
+Check a decklist against the collection. callTracker(toolName, args) executes a tracker tool.
+Returns { format, exact_printings, currency, totals, owned, missing, missing_cost, unpriced, legality, unresolved };
+legality is null without a format.
+*/
+async function checkDeck(decklist, { format, exactPrintings = false, currency = "usd", callTracker, signal } = {}) {
+  if (!CURRENCIES.includes(currency)) currency = "usd";
+  const entries = parseCardList(decklist || "").entries
+    .filter(entry => [...MAIN_SECTIONS, ...SIDEBOARD_SECTIONS].includes(sectionOf(entry)));
+
+  // Resolve every line: exact identifiers in one lookup, names in another
+  const identifierOf = entry => entry.scryfall_id ? { id: entry.scryfall_id }
+    : entry.set && entry.collector_number ? { set: entry.set, collector_number: entry.collector_number } : null;
+  const printings = await findPrintings(entries.map(identifierOf).filter(Boolean), { signal });
+  const byName = await findCardsByNames(entries.filter(entry => !identifierOf(entry) && entry.name), { signal });
+
+  const groups = new Map();
+  const unresolved = [];
+  for (const entry of entries) {
+    const identifier = identifierOf(entry);
+    const options = identifier ? [printings.get(identifierKey(identifier))].filter(Boolean) : byName.get(nameKey(entry.name, entry.set)) || [];
+    const [card] = options;
+    if (!card) {
+      unresolved.push({ line: entry.line, text: entry.text, reason: identifier ? "Printing not found" : `No card named "${entry.name}"` });
+      continue;
+    }
+    const exact = exactPrintings && identifier;
+    const key = {
+      name: normalizeName(card.name),
+      printing: exact ? printingKey(card.set, card.collector_number) : null,
+      finish: exact && entry.finish !== "nonfoil" ? entry.finish : null
+    };
+    const id = [key.name, key.printing, key.finish].join("|");
+    if (!groups.has(id)) groups.set(id, { key, card, options: [], quantity: 0, sections: [] });
+    const group = groups.get(id);
+    group.quantity += entry.quantity;
+    group.options.push(...options.filter(option => !group.options.includes(option)));
+    if (!group.sections.includes(sectionOf(entry))) group.sections.push(sectionOf(entry));
+  }
+
+  const owned = await ownedCopies(callTracker, { signal });
+  const ownedCount = key => owned
+    .filter(copy => copy.printing && normalizeName(copy.printing.name) === key.name)
+    .filter(copy => !key.printing || copy.key === key.printing)
+    .filter(copy => !key.finish || copy.finish === key.finish)
+    .reduce((sum, copy) => sum + copy.quantity, 0);
+
+  const ownedCards = [];
+  const missing = [];
+  const unpriced = [];
+  let missingCost = 0;
+  for (const group of groups.values()) {
+    const have = ownedCount(group.key);
+    const base = {
+      name: group.card.name,
+      ...(group.key.printing && { set: group.card.set, collector_number: group.card.collector_number }),
+      ...(group.key.finish && { finish: group.key.finish }),
+      quantity: group.quantity,
+      owned: have
+    };
+    if (have >= group.quantity) {
+      ownedCards.push(base);
+      continue;
+    }
+    const short = group.quantity - have;
+    const cheapest = group.options
+      .map(card => {
+        const price = group.key.finish
+          ? { finish: group.key.finish, unit_price: priceOf(card, group.key.finish, currency) }
+          : cheapestFinish(card, currency);
+        return price && price.unit_price !== null ? { set: card.set, collector_number: card.collector_number, ...price } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.unit_price - b.unit_price)[0] || null;
+    if (cheapest) missingCost += cheapest.unit_price * short;
+    else unpriced.push(group.card.name);
+    missing.push({ ...base, missing: short, cheapest, cost: cheapest ? round(cheapest.unit_price * short) : null });
+  }
+
+  const groupList = [...groups.values()];
+  const count = sections => entries
+    .filter(entry => sections.includes(sectionOf(entry)) && !unresolved.some(u => u.line === entry.line))
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+  const counts = { main: count(MAIN_SECTIONS), sideboard: count(SIDEBOARD_SECTIONS) };
+  const needed = groupList.reduce((sum, group) => sum + group.quantity, 0);
+  const short = missing.reduce((sum, card) => sum + card.missing, 0);
+
+  return {
+    format: format || null,
+    exact_printings: Boolean(exactPrintings),
+    currency,
+    totals: { main: counts.main, sideboard: counts.sideboard, owned: needed - short, missing: short },
+    owned: ownedCards,
+    missing,
+    missing_cost: round(missingCost),
+    unpriced,
+    legality: format ? legalityProblems(format, groupList, counts) : null,
+    unresolved
+  };
+}
+
+module.exports = { checkDeck };
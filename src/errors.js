@@ -0,0 +1,46 @@
+/*
+
+Errors surfaced by the agent.
+
+Every error carries a stable code, so the front-end can react to it without parsing messages.
+Fatal errors end a run with an "error" stream event; tool failures are returned to the model as tool output instead.
+
+*/
+
+const ERROR_CODES = {
+  // Fatal: the run ends
+  MODEL_ERROR: "MODEL_ERROR",                 // the LLM provider failed or returned something unusable
+  INVALID_PROVIDER: "INVALID_PROVIDER",       // the requested provider or model does not exist or is not allowed
+  CLIENT_DISCONNECTED: "CLIENT_DISCONNECTED", // the client went away and the run was aborted
+  INTERNAL_ERROR: "INTERNAL_ERROR",           // anything else
+  // Per tool call: returned to the model
+  INVALID_ARGUMENTS: "INVALID_ARGUMENTS",     // the model produced arguments that are not valid JSON
+  UNKNOWN_TOOL: "UNKNOWN_TOOL",               // the model called a tool we have no executor for
+  TOOL_ERROR: "TOOL_ERROR",                   // the tool (Scryfall, tracker API, ...) failed
+  TOOL_TIMEOUT: "TOOL_TIMEOUT"                // the tool did not finish within AGENT_TOOL_TIMEOUT_MS
+};
+
+class AgentError extends Error {
+  constructor(code, message, { cause } = {}) {
+    super(message, { cause });
+    this.name = "AgentError";
+    this.code = code;
+  }
+}
+
+// Normalize anything that was thrown into an AgentError, keeping the code if it already has one.
+function toAgentError(err, fallbackCode = ERROR_CODES.INTERNAL_ERROR) {
+  if (err instanceof AgentError) return err;
+  if (err && err.name === "AbortError") {
+    return new AgentError(ERROR_CODES.CLIENT_DISCONNECTED, "The request was aborted", { cause: err });
+  }
+  return new AgentError(fallbackCode, (err && err.message) || String(err), { cause: err });
+}
+
+// Tool output describing a failed tool call, in the same { status, message } shape tracker_dynamic uses.
+function toolErrorOutput(err, fallbackCode = ERROR_CODES.TOOL_ERROR) {
+  const agentError = toAgentError(err, fallbackCode);
+  return { status: "error", code: agentError.code, message: agentError.message };
+}
+
+module.exports = { ERROR_CODES, AgentError, toAgentError, toolErrorOutput };
@@ -0,0 +1,140 @@
+/*
+
+Server-sent event protocol for the streaming endpoint.
+
+Every frame uses a named SSE event, an id and a JSON payload that carries the protocol version:
+
+  id: <stream id>:<sequence>
+  event: tool_call_started
+  data: {"v":1,"call_id":"...","name":"scryfall_search","arguments":{...}}
+
+Event types:
+- status:            { message }                                  progress information for the user
+- tool_call_started: { call_id, name, arguments }                 a tool is about to be executed
+- tool_call_result:  { call_id, name, status, output }            a tool finished (status "success" or "error")
+- text_delta:        { turn, delta }                              a chunk of assistant text; turn counts the model calls in this run
+- card_candidates:   { call_id, candidates_id, cards }            several printings matched, the user picks one;
+                                                                  cards: [{ id, name, set, set_name, collector_number,
+                                                                  rarity, finishes, image_uris, prices }] (see candidates.js)
+- pending_action:    { action_id, expires_at, changes }           tracker changes wait for the user's confirmation;
+                                                                  changes: [{ call_id, name, request, body, reasons }]
+                                                                  (see confirmations.js)
+- final:             { conversation_id, messages, text, stop_reason }
+                                                                  the run finished; always the last event on success.
+                                                                  stop_reason is "completed", "card_candidates",
+                                                                  "pending_confirmation" or the limit that ended the run
+                                                                  (see limits.js)
+- error:             { code, message }                            the run failed; always the last event on failure
+
+Events of a run are buffered for a while after it ends. A client that lost its connection can reconnect with
+GET /api/stream/:streamId and a Last-Event-ID header to replay everything after that id, and follow the run live
+if it is still going. Only the user who started the run can reconnect to it; for anyone else it does not exist.
+
+*/
+
+const crypto = require('crypto');
+
+const PROTOCOL_VERSION = 1;
+const EVENT_TYPES = ["status", "tool_call_started", "tool_call_result", "text_delta", "card_candidates", "pending_action", "final", "error"];
+
+// How long finished runs stay available for replay
+const REPLAY_RETENTION_MS = 5 * 60 * 1000;
+
+// Key = stream id, value = { owner, events: [{ id, event, data }], listeners: Set<res>, done }
+const streams = new Map();
+
+function formatFrame({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function setStreamHeaders(res, streamId) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Stream-Id", streamId);
+  res.setHeader("X-Stream-Protocol-Version", String(PROTOCOL_VERSION));
+  res.flushHeaders();
+}
+
+// Start a new event stream on the response and return its sender. owner is the user id (null for the service account).
+function createEventStream(res, { owner = null } = {}) {
+  const streamId = crypto.randomUUID();
+  const state = { owner, events: [], listeners: new Set([res]), done: false };
+  streams.set(streamId, state);
+  setStreamHeaders(res, streamId);
+  res.on("close", () => state.listeners.delete(res));
+
+  const send = (event, payload = {}) => {
+    if (state.done) return;
+    if (!EVENT_TYPES.includes(event)) {
+      throw new Error(`Unknown stream event type: ${event}`);
+    }
+    const frame = { id: `${streamId}:${state.events.length + 1}`, event, data: { v: PROTOCOL_VERSION, ...payload } };
+    state.events.push(frame);
+    for (const listener of state.listeners) {
+      listener.write(formatFrame(frame));
+    }
+  };
+
+  const end = () => {
+    if (state.done) return;
+    state.done = true;
+    for (const listener of state.listeners) {
+      listener.end();
+    }
+    state.listeners.clear();
+    setTimeout(() => streams.delete(streamId), REPLAY_RETENTION_MS).unref();
+  };
+
+  return {
+    id: streamId,
+    send,
+    status: message => send("status", { message }),
+    end,
+    // Number of clients still following the stream
+    listenerCount: () => state.listeners.size,
+    get ended() {
+      return state.done;
+    }
+  };
+}
+
+// Parse "<stream id>:<sequence>" into its parts; a bare sequence number is accepted too.
+function parseEventId(lastEventId) {
+  if (!lastEventId) return { streamId: null, sequence: 0 };
+  const separator = String(lastEventId).lastIndexOf(":");
+  if (separator === -1) return { streamId: null, sequence: parseInt(lastEventId, 10) || 0 };
+  return {
+    streamId: lastEventId.slice(0, separator),
+    sequence: parseInt(lastEventId.slice(separator + 1), 10) || 0
+  };
+}
+
+// GET /api/stream/:streamId - replay events after Last-Event-ID and keep following the run if it is still active.
+function resumeStream(req, res) {
+  const lastEventId = req.get("Last-Event-ID") || req.query.last_event_id;
+  const parsed = parseEventId(lastEventId);
+  const streamId = req.params.streamId || parsed.streamId;
+  const state = streams.get(streamId);
+  if (!state || state.owner !== (req.user?.id ?? null)) {
+    return res.status(404).json({ error: "Stream not found or expired" });
+  }
+
+  setStreamHeaders(res, streamId);
+  for (const frame of state.events.slice(parsed.sequence)) {
+    res.write(formatFrame(frame));
+  }
+  if (state.done) {
+    return res.end();
+  }
+  state.listeners.add(res);
+  res.on("close", () => state.listeners.delete(res));
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  EVENT_TYPES,
+  createEventStream,
+  resumeStream,
+  parseEventId
+};
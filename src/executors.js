@@ -1,5 +1,24 @@
-const Swagger = require('swagger-client');
+const { getTrackerClient } = require('./trackerClient.js');
+const { getTrackerBinding } = require('./tools.js');
+const { bindArguments } = require('./openapiTools.js');
+const { undoLastChange } = require('./auditLog.js');
+const { buildScryfallQuery } = require('./scryfallQuery.js');
+const { scryfallGet, searchCards, ScryfallError } = require('./scryfallClient.js');
+const { getMirror } = require('./scryfallMirror.js');
+const { fetchCollection, commitBatch } = require('./collection.js');
+const { prepareImport } = require('./cardImport.js');
+const { exportCollection, createDownloadLink } = require('./collectionExport.js');
+const { evaluateTrade } = require('./trades.js');
+const { checkDeck } = require('./deckCheck.js');
+const { addWant, removeWant, listWants } = require('./wantList.js');
+const { matchTradelist } = require('./tradeMatcher.js');
+const { CURRENCIES, pricesByFinish, valueCollection } = require('./pricing.js');
+const {
+  scryfallSource, unsupportedLocally, searchMirror, findPrinting, findById, findNamed, autocompleteNames, findPrintings
+} = require('./cardResolver.js');
+const { ERROR_CODES } = require('./errors.js');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const jwt = require('jsonwebtoken');
 
 // Helper to fetch credentials from AWS Secrets Manager
 const credentialsArn = process.env.JWT_CREDENTIALS_SECRET_ARN;
@@ -13,79 +32,124 @@ async function getCredentials() {
   return cachedCredentials;
 }
 
+// Longest export content returned to the model
+const EXPORT_CONTENT_LIMIT = 20000;
+
 const toolExecutors = {
-    scryfall_search: async (args) => {
+    scryfall_search: async (args, context = {}) => {
         //console.log("Executing scryfall_search with args:", args);
-        return await scryfallSearch(args);
+        return await scryfallSearch(args, context);
     },
 
+  // Exact lookups of a single printing (see cardLookup below)
+  scryfall_get_printing: async ({ set, collector_number, language } = {}, { signal } = {}) => {
+    const number = String(collector_number);
+    return await cardLookup({
+      local: mirror => findPrinting(mirror, set, number, language || undefined),
+      path: `/cards/${encodeURIComponent(String(set).toLowerCase())}/${encodeURIComponent(number)}${language ? `/${encodeURIComponent(language)}` : ""}`,
+      describe: `${set} ${number}${language ? ` (${language})` : ""}`,
+      signal
+    });
+  },
+
+  scryfall_get_card_by_id: async ({ id } = {}, { signal } = {}) => {
+    return await cardLookup({
+      local: mirror => findById(mirror, id),
+      path: `/cards/${encodeURIComponent(id)}`,
+      describe: `Scryfall id ${id}`,
+      signal
+    });
+  },
+
+  scryfall_get_card_by_name: async ({ name, set } = {}, { signal } = {}) => {
+    return await cardLookup({
+      local: mirror => {
+        const found = findNamed(mirror, name, set || undefined);
+        return found && (found.ambiguous ? found : found.card);
+      },
+      path: "/cards/named",
+      params: { fuzzy: name, set: set || undefined },
+      describe: `"${name}"${set ? ` in ${set}` : ""}`,
+      signal
+    });
+  },
+
+  scryfall_get_prices: async ({ set, collector_number } = {}, { signal } = {}) => {
+    const number = String(collector_number);
+    return await cardLookup({
+      local: mirror => findPrinting(mirror, set, number),
+      path: `/cards/${encodeURIComponent(String(set).toLowerCase())}/${encodeURIComponent(number)}`,
+      describe: `${set} ${number}`,
+      output: card => ({
+        name: card.name,
+        set: card.set,
+        set_name: card.set_name,
+        collector_number: card.collector_number,
+        prices: pricesByFinish(card)
+      }),
+      signal
+    });
+  },
+
+  scryfall_autocomplete: async ({ q } = {}, { signal } = {}) => {
+    const local = await fromMirror(mirror => ({ status: "success", names: autocompleteNames(mirror, q) }));
+    if (local) return local;
+    try {
+      const { body } = await scryfallGet("/cards/autocomplete", { params: { q }, signal });
+      return { status: "success", names: body?.data || [] };
+    } catch (err) {
+      return scryfallErrorOutput(err);
+    }
+  },
+
     // local_singlecard: (args) => {
     //     //console.log("Executing local_singlecard with args:", args);
     //     return storeSingleCard(args);
     // },
     
-  tracker_dynamic: async (toolName, args, bearerToken) => {
+  tracker_dynamic: async (toolName, args, bearerToken, { signal } = {}) => {
     //console.log(`Executing ${toolName} with args:`, args);
-    const apiUrl = process.env.MTG_BACKEND_API_URL;
-    const swaggerUrl = `${apiUrl}/api-docs/swagger.json`;
     const operationId = toolName.replace(/^tracker_/, "");
 
     try {
-      if (!bearerToken) {
-        bearerToken = await getBearerToken();
+      // Reuse the cached client instead of downloading the spec for every call
+      const client = await getTrackerClient();
+      const binding = await getTrackerBinding(toolName);
+      if (!binding) {
+        return { status: "error", message: `Unknown tracker operation: ${operationId}` };
       }
-      const client = await Swagger({
-        url: swaggerUrl,
+
+      // Map the tool arguments back onto path/query/header parameters and the request body
+      const { parameters: paramArgs, requestBody } = bindArguments(binding, args);
+
+      // Execute the operation directly
+      const execute = token => client.execute({
+        ...(binding.operationId
+          ? { operationId: binding.operationId }
+          : { pathName: binding.path, method: binding.method }),
+        parameters: paramArgs,
         requestInterceptor: req => {
           req.headers = req.headers || {};
-          req.headers["Authorization"] = `Bearer ${bearerToken}`;
+          req.headers["Authorization"] = `Bearer ${token}`;
           return req;
-        }
+        },
+        ...(requestBody !== undefined && { requestBody }),
+        ...(signal && { signal })
       });
 
-      // Fetch operation spec to split parameters
-      const op = client.spec.paths;
-      let opSpec;
-      for (const path in op) {
-        for (const method in op[path]) {
-          if (op[path][method].operationId === operationId) {
-            opSpec = op[path][method];
-            break;
-          }
+      let res;
+      try {
+        // Without a user token we act as the service account, whose token we can refresh ourselves
+        res = await execute(bearerToken || await getBearerToken());
+      } catch (err) {
+        if (err.status !== 401) throw err;
+        if (bearerToken) {
+          throw new Error("The tracker rejected your token (HTTP 401). Please sign in again.", { cause: err });
         }
+        // The cached service token was revoked or expired early: get a fresh one and retry once
+        res = await execute(await getBearerToken({ forceRefresh: true }));
       }
-
-      // Split args into parameters and requestBody
-      const paramArgs = {};
-      let requestBody = undefined;
-      if (opSpec && opSpec.parameters) {
-        opSpec.parameters.forEach(param => {
-          if (param.in === "path" || param.in === "query") {
-            if (args[param.name] !== undefined) paramArgs[param.name] = args[param.name];
-          }
-        });
-      }
-      // Handle requestBody (OpenAPI 3.x)
-      if (opSpec && opSpec.requestBody && args.body) {
-        requestBody = args.body;
-      } else if (opSpec && opSpec.requestBody) {
-        // If body fields are top-level in args, collect them
-        requestBody = {};
-        const bodyProps = opSpec.requestBody.content?.["application/json"]?.schema?.properties || {};
-        Object.keys(bodyProps).forEach(key => {
-          if (args[key] !== undefined) requestBody[key] = args[key];
-        });
-        if (Object.keys(requestBody).length === 0) requestBody = undefined;
-      }
-
-      // Execute the operation directly
-      const res = await client.execute({
-        operationId,
-        parameters: paramArgs,
-        ...(requestBody && { requestBody })
-      });
       if (res.body) {
-        console.log("We are here");
         if (typeof res.body === "object") {
           // Case 1: response is an object with a "scryfall" child
           if ("scryfall" in res.body) {
@@ -94,9 +158,7 @@ const toolExecutors = {
           } else {
           // Case 2: response is an object whose child objects have a "scryfall" child
             Object.keys(res.body).forEach(key => {
-              console.log("Checking key in response body:", key);
               const item = res.body[key];
-              console.log("Item value:", item);
               if (item && typeof item === "object" && "scryfall" in item) {
                 item.name = item.scryfall.name;
                 delete item.scryfall;
@@ -109,44 +171,224 @@ const toolExecutors = {
       return { status: "success", message: res.body };
     } catch (err) {
       console.log("Error executing tracker_dynamic:", err);
+      return { status: "error", message: err.message, ...(err.status && { http_status: err.status }) };
+    }
+  },
+
+  // Totals the user's collection (or part of it) at Scryfall prices (see pricing.js)
+  collection_value: async ({ set, finish, condition, name, currency } = {}, { signal, user } = {}) => {
+    const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token, { signal });
+    try {
+      const cards = await fetchCollection(callTracker, { set, finish, condition, name });
+      const printings = await findPrintings(cards.map(card => ({ set: card.set_code, collector_number: card.card_number })), { signal });
+      const valuation = valueCollection(cards, printings, { currency: CURRENCIES.includes(currency) ? currency : "usd" });
+      return { status: "success", message: valuation };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { status: "error", message: err.message };
+    }
+  },
+
+  // Resolves a pasted card list into tracker_batch operations. With commit the list is prepared again against the
+  // current collection and applied, so nothing changed since the preview is overwritten (see cardImport.js)
+  import_card_list: async ({ text, format, choices, commit } = {}, { signal, user, conversationId } = {}) => {
+    const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token, { signal });
+    try {
+      const report = await prepareImport(text, { format: format || undefined, choices, callTracker, signal });
+      if (commit !== true) return { status: "success", message: report };
+      if (report.ambiguous.length > 0) {
+        return { status: "error", message: "Some lines match several printings: pass the user's picks as choices or remove them" };
+      }
+      if (report.operations.length === 0) return { status: "error", message: "There is nothing to import" };
+      const result = await commitBatch(report.operations, { owner: user?.id, conversationId, callTracker });
+      if (result.status !== "success") return result;
+      return { status: "success", message: { ...report, committed: true, result: result.message } };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { status: "error", message: err.message };
+    }
+  },
+
+  // Renders the collection as CSV, a tradelist or JSON (see collectionExport.js). Large exports are left to the
+  // download link, which works without the Authorization header for a while, instead of being returned to the model.
+  export_collection: async ({ format, set, finish, condition, min_value, currency } = {}, { signal, user } = {}) => {
+    const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token, { signal });
+    const options = { format: format || "json", set, finish, condition, min_value, currency: currency || "usd" };
+    try {
+      const { content, content_type, filename, ...summary } = await exportCollection(callTracker, { ...options, signal });
+      const link = createDownloadLink(user, options);
+      return {
+        status: "success",
+        message: {
+          ...summary,
+          download: link.url,
+          download_expires_at: link.expires_at,
+          ...(content.length <= EXPORT_CONTENT_LIMIT ? { content } : { content_omitted: "Too large to show, use the download link" })
+        }
+      };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { status: "error", message: err.message };
+    }
+  },
+
+  // Prices both sides of a trade; on acceptance the model applies the returned operations with tracker_batch (see trades.js)
+  evaluate_trade: async ({ mine, theirs, choices, currency } = {}, { signal, user } = {}) => {
+    const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token, { signal });
+    try {
+      const evaluation = await evaluateTrade({ mine, theirs, choices: choices || [], currency: currency || "usd", callTracker, signal });
+      return { status: "success", message: evaluation };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { status: "error", message: err.message };
+    }
+  },
+
+  // Compares a decklist with the collection and checks its legality (see deckCheck.js)
+  check_deck: async ({ decklist, format, exact_printings, currency } = {}, { signal, user } = {}) => {
+    const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token, { signal });
+    try {
+      const report = await checkDeck(decklist, { format, exactPrintings: exact_printings === true, currency: currency || "usd", callTracker, signal });
+      return { status: "success", message: report };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { status: "error", message: err.message };
+    }
+  },
+
+  // Want list of the requesting user (see wantList.js)
+  want_list_add: async (args = {}, { signal, user } = {}) => {
+    try {
+      const want = await addWant(user?.id, args, { signal });
+      return { status: "success", message: want };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { status: "error", message: err.message };
+    }
+  },
+
+  want_list_remove: async ({ want_id, name } = {}, { user } = {}) => {
+    const want = await removeWant(user?.id, { want_id, name });
+    if (!want) return { status: "error", message: `${want_id ? `Want ${want_id}` : `"${name}"`} is not on the want list` };
+    return { status: "success", message: { removed: want } };
+  },
+
+  want_list_query: async ({ name, priority } = {}, { user } = {}) => {
+    return { status: "success", message: { wants: await listWants(user?.id, { name, priority }) } };
+  },
+
+  // Matches a pasted tradelist against the want list and the collection (see tradeMatcher.js)
+  want_list_match: async ({ tradelist, their_wants, currency } = {}, { signal, user } = {}) => {
+    const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token, { signal });
+    try {
+      const matches = await matchTradelist(user?.id, tradelist, { theirWants: their_wants, currency: currency || "usd", callTracker, signal });
+      return { status: "success", message: matches };
+    } catch (err) {
+      if (signal?.aborted) throw err;
       return { status: "error", message: err.message };
     }
+  },
+
+  // Restores the cards of the last change recorded in the audit log (see auditLog.js)
+  undo_last_change: async ({ change_id } = {}, { signal, user, conversationId } = {}) => {
+    const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token, { signal });
+    return await undoLastChange({ owner: user?.id, conversationId, changeId: change_id || undefined }, callTracker);
   }
 };
 
-async function scryfallSearch({ name, oracle_text, type, reserved, colors, set, page, order, dir }) {
-  let query = [];
-  if (name) query.push(`name:"${name}"`);
-  if (oracle_text) {
-    oracle_text.split(/\s+/).forEach(word => {
-      if (word) query.push(`o:"${word}"`);
-    });
-  }
-  if (type) {
-    type.split(/\s+/).forEach(word => {
-      if (word) query.push(`t:"${word}"`);
-    });
+/*
+Answer from the local mirror when SCRYFALL_SOURCE allows it (see cardResolver.js). answer(mirror) returns the tool
+output, or a string saying why the mirror cannot answer. Returns null when Scryfall should be asked instead.
+*/
+async function fromMirror(answer) {
+  const source = scryfallSource();
+  if (source === "remote") return null;
+  const mirror = await getMirror();
+  const output = mirror ? answer(mirror) : "the local Scryfall mirror has not been imported yet";
+  if (typeof output !== "string") return output;
+  if (source === "offline") return { status: "error", code: ERROR_CODES.TOOL_ERROR, message: `Not available offline: ${output}` };
+  return null;
+}
+
+// Tell the model what Scryfall objected to, so it can fix its request
+function scryfallErrorOutput(err) {
+  if (!(err instanceof ScryfallError)) throw err;
+  return {
+    status: "error",
+    code: ERROR_CODES.TOOL_ERROR,
+    message: err.message,
+    http_status: err.status,
+    scryfall_code: err.code,
+    warnings: err.warnings
+  };
+}
+
+async function scryfallSearch(args, { signal } = {}) {
+  const { page, order, dir } = args;
+  const local = await fromMirror(mirror => unsupportedLocally(args) || searchOutput(searchMirror(mirror, args)));
+  if (local) return local;
+
+  let result;
+  try {
+    result = await searchCards(buildScryfallQuery(args), { page, order, dir, signal });
+  } catch (err) {
+    return scryfallErrorOutput(err);
   }
-  if (reserved) query.push("is:reserved");
-  if (colors && colors.length > 0) query.push(`c:"${colors.join('')}"`);
-  if (set) query.push(`set:${set}`);
-  query.push("game:paper");
-  query.push("unique:prints");
-  const params = new URLSearchParams({
-    q: query.join(" "),
-    ...(page && { page }),
-    ...(order && { order }),
-    ...(dir && { dir }),
+  return searchOutput(result);
+}
+
+/*
+Look up a single printing, in the mirror or on Scryfall. local(mirror) returns the card, { ambiguous: [names] } or
+null when the mirror does not have it. Returns { status: "success", card } with output(card) (printingOutput by
+default), or a not found / ambiguous error.
+*/
+async function cardLookup({ local, path, params, describe, output = printingOutput, signal }) {
+  const notFound = (message, extra = {}) => ({ status: "error", code: ERROR_CODES.TOOL_ERROR, message, not_found: true, ...extra });
+  const fromLocal = await fromMirror(mirror => {
+    const found = local(mirror);
+    if (!found) {
+      // Offline the mirror is all we have; otherwise Scryfall may still know the printing (e.g. other languages)
+      return scryfallSource() === "offline"
+        ? notFound(`No card found for ${describe} in the local Scryfall mirror`)
+        : `${describe} is not in the local Scryfall mirror`;
+    }
+    if (found.ambiguous) return notFound(`Several cards match ${describe}. Use a more complete name.`, { ambiguous: true, candidates: found.ambiguous });
+    return { status: "success", card: output(found) };
   });
+  if (fromLocal) return fromLocal;
 
-  const res = await fetch(`https://api.scryfall.com/cards/search?${params.toString()}`);
- 
-  const json = await res.json();
-  return {"summary": 
-  (json.data || []).map(card => ({
-    set: card.set,
-    collector_number: card.collector_number
-  })),"details": json.data || []}
+  try {
+    const { notFound: missing, body } = await scryfallGet(path, { params, signal });
+    if (missing) {
+      // Fuzzy names matching several cards are reported as "ambiguous" not_found errors
+      return notFound(body?.details || `No card found for ${describe}`, body?.type === "ambiguous" ? { ambiguous: true } : {});
+    }
+    return { status: "success", card: output(body) };
+  } catch (err) {
+    return scryfallErrorOutput(err);
+  }
+}
+
+// What the model gets to see of a single printing
+function printingOutput(card) {
+  const fields = [
+    "id", "name", "set", "set_name", "collector_number", "lang", "rarity", "finishes", "released_at",
+    "mana_cost", "type_line", "oracle_text", "prices"
+  ];
+  return Object.fromEntries(fields.filter(field => card[field] !== undefined).map(field => [field, card[field]]));
+}
+
+function searchOutput(result) {
+  return {
+    "summary": result.cards.map(card => ({
+      set: card.set,
+      collector_number: card.collector_number
+    })),
+    "details": result.cards,
+    total_cards: result.total_cards,
+    has_more: result.has_more,
+    warnings: result.warnings
+  };
 }
 
 // function storeSingleCard({ set_code, collector_number, image_url }) {
@@ -154,26 +396,80 @@ async function scryfallSearch({ name, oracle_text, type, reserved, colors, set,
 //     return { status: "success", set_code, collector_number, image_url };
 // }
 
-async function getBearerToken() {
+/*
+Service account token for the tracker, used when the request carries no user token (see auth.js).
+The token is cached until TOKEN_REFRESH_MARGIN_MS before its exp claim; tokens without exp are kept for
+TOKEN_FALLBACK_TTL_MS. Concurrent callers share one /gettoken request.
+*/
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const TOKEN_FALLBACK_TTL_MS = 10 * 60 * 1000;
+let cachedToken = null; // { token, refreshAt }
+let tokenRequest = null;
+
+async function getBearerToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh && cachedToken && Date.now() < cachedToken.refreshAt) {
+        return cachedToken.token;
+    }
+    if (!tokenRequest) {
+        tokenRequest = requestBearerToken()
+            .then(token => {
+                const exp = jwt.decode(token)?.exp;
+                const refreshAt = exp ? exp * 1000 - TOKEN_REFRESH_MARGIN_MS : Date.now() + TOKEN_FALLBACK_TTL_MS;
+                cachedToken = { token, refreshAt };
+                return token;
+            })
+            .catch(err => {
+                cachedToken = null;
+                throw err;
+            })
+            .finally(() => {
+                tokenRequest = null;
+            });
+    }
+    return await tokenRequest;
+}
+
+async function requestBearerToken() {
     const apiUrl = process.env.MTG_BACKEND_API_URL;
     let secret;
     if (process.env.JWT_CREDENTIALS) {
         const [username, password] = process.env.JWT_CREDENTIALS.split(':');
         secret = { username, password };
-    } else {
+    } else if (credentialsArn) {
         secret = await getCredentials();
+    } else {
+        throw new Error("Cannot get a tracker token: neither JWT_CREDENTIALS nor JWT_CREDENTIALS_SECRET_ARN is configured");
     }
     const basicAuth = btoa(`${secret.username}:${secret.password}`);
-    const res = await fetch(`${apiUrl}/gettoken`, {
-        method: 'GET',
-        headers: {
-        'Authorization': `Basic ${basicAuth}`
-        }
-    });
-    const data = await res.json();  
+    let res;
+    try {
+        res = await fetch(`${apiUrl}/gettoken`, {
+            method: 'GET',
+            headers: {
+            'Authorization': `Basic ${basicAuth}`
+            }
+        });
+    } catch (err) {
+        throw new Error(`Cannot get a tracker token: ${apiUrl}/gettoken is unreachable (${err.message})`, { cause: err });
+    }
+    if (!res.ok) {
+        const hint = res.status === 401 || res.status === 403 ? " (check the service account credentials)" : "";
+        throw new Error(`Cannot get a tracker token: /gettoken answered HTTP ${res.status}${hint}`);
+    }
+    const data = await res.json().catch(() => null);
+    if (!data || typeof data.token !== "string" || !data.token) {
+        throw new Error("Cannot get a tracker token: /gettoken did not return a token");
+    }
     return data.token;
 }
 
+// Forget the cached service token, e.g. between tests.
+function clearTokenCache() {
+    cachedToken = null;
+}
+
 module.exports = {
-    toolExecutors
+    toolExecutors,
+    getBearerToken,
+    clearTokenCache
 };
\ No newline at end of file
@@ -16,43 +16,12 @@ This implementation is stateless: We rely on message history as being passed in
 
 */
 
-const { OpenAI } = require('openai');
+const { getProvider, complete, outputText } = require("./providers.js");
 const { scryfallTool, singlecardTool, vectorStoreTool, fetchTrackerFunctions } = require("./tools.js");
 const { toolExecutors } = require("./executors.js");
-const { SecretsManagerClient, GetSecretValueCommand } = require("@aws-sdk/client-secrets-manager");
-
-// Get openAI API key from AWS secrets manager:
-let openaiApiKey = null;
-async function initOpenAIApiKey() {
-  if (process.env.OPENAI_API_KEY_SECRET_ARN) {
-    const secretsClient = new SecretsManagerClient({});
-    const secretCommand = new GetSecretValueCommand({
-      SecretId: process.env.OPENAI_API_KEY_SECRET_ARN
-    });
-    const secretResponse = await secretsClient.send(secretCommand);
-    openaiApiKey = secretResponse.SecretString;
-  } else {
-    // For running locally:
-    openaiApiKey = process.env.OPENAI_API_KEY;
-  }
-}
-let client = null;
-
-// Instantiate the OpenAI client:
-async function ensureOpenAIClient() {
-  if (!openaiApiKey) {
-    await initOpenAIApiKey();
-  }
-  if (!client) {
-    client = new OpenAI({
-      apiKey: openaiApiKey 
-    });
-  }
-}
 
 // Function to interpret the user's intent and classify which step of the process we need to execute:
-async function classifyStep(userMessage, recentMessages = []) {
-  await ensureOpenAIClient();
+async function classifyStep(provider, userMessage, recentMessages = []) {
   const filteredMessages = recentMessages
     .filter(m =>
       m.role === 'user' ||
@@ -60,35 +29,10 @@ async function classifyStep(userMessage, recentMessages = []) {
       m.type === 'function_call_output' ||
       m.type === 'function_call'
     );
-  const transformedMessages = filteredMessages.map(m => {
-    if (m.type === 'function_call_output') {
-      // Transform function_call_output to OpenAI tool call format
-      return {
-        role: 'tool',
-        tool_call_id: m.call_id,
-        content: m.output
-      };
-    }
-    if (m.type === 'function_call') {
-      // Transform function_call to OpenAI tool call format
-      return {
-        role: 'assistant',
-        content: null,
-        tool_calls: [{
-          id: m.call_id,
-          type: 'function',
-          function: { name: m.name, arguments: m.arguments }
-        }]
-      };
-    }
-    return m;
-  });
 
-  //console.log("Classifying step with messages:", transformedMessages);
-
-  const response = await client.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [
+  // Providers transform function_call / function_call_output items to their own tool call format.
+  const response = await complete(provider, {
+    input: [
       {
         role: "system",
         content: `
@@ -102,13 +46,13 @@ async function classifyStep(userMessage, recentMessages = []) {
           Output ONLY JSON like: {"step":1}
           `
       },
-      ...transformedMessages,
+      ...filteredMessages,
       { role: "user", content: userMessage }
     ],
     temperature: 0
   });
 try {
-    return JSON.parse(response.choices[0].message.content).step;
+    return JSON.parse(outputText(response.output)).step;
   } catch {
     return 1;
   }
@@ -175,10 +119,10 @@ const systemContentMap = {
 - Get the final assistant response and return it to the user
 */
 
-async function sendMessage(userInput, incomingMessages) {
+async function sendMessage(userInput, incomingMessages, providerConfig = {}) {
   console.log("\n\nReceived user input:", userInput);
   console.log("Received messages:", incomingMessages);
-  await ensureOpenAIClient();
+  const provider = await getProvider(providerConfig);
   incomingMessages = Array.isArray(incomingMessages) ? incomingMessages : [];
   // Step 1: Remove the details from scryfall if they exist.
   if (
@@ -194,7 +138,7 @@ async function sendMessage(userInput, incomingMessages) {
     incomingMessages.shift();
   }
 
-  let intent = await classifyStep(userInput, incomingMessages);
+  let intent = await classifyStep(provider, userInput, incomingMessages);
   let tools = await getToolsForStep(intent);
   let systemContent = systemContentMap[intent] || "You are a helpful assistant.";
   
@@ -205,29 +149,11 @@ async function sendMessage(userInput, incomingMessages) {
     ...incomingMessages,
     { role: "user", content: userInput },
   ];
-  // --- Initial assistant call using Responses API ---
-  const stream = client.responses.stream({
-    model: "gpt-4o-mini",
+  // --- Initial assistant call ---
+  let response = await complete(provider, {
     input: messages,
     tools: tools,
-    tool_choice: "auto",
-    temperature: 0.2,
-    stream: true
-  });
-
-  for await (const event of stream) {
-    console.log(event);
-  }
-
-  let response = await stream.finalResponse()
-  console.log("Raw final response:", response);
-  response.output = response.output.map(item => {
-    if (item.type === "function_call" && "parsed_arguments" in item) {
-      // Remove only the parsed_arguments field, keep everything else unchanged
-      const { parsed_arguments, ...rest } = item;
-      return rest;
-    }
-    return item;
+    temperature: 0.2
   });
   console.log("Initial response:", response);
 
@@ -314,12 +240,10 @@ async function sendMessage(userInput, incomingMessages) {
         });
       functionCalls = [];
     } else {
-      const followup = await client.responses.create({
-        model: "gpt-4o-mini",
+      const followup = await complete(provider, {
         input: messages,
-        tools: tools, 
-        tool_choice: "auto",
-        temperature: 0.2,
+        tools: tools,
+        temperature: 0.2
       });
       console.log("Follow-up response:", followup);
 
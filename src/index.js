@@ -1,39 +1,19 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const { sendMessage } = require('./streamHandler');
+const { resumeStream } = require('./events');
+const { getSessionStore, newSession, summarize, isOwnedBy } = require('./sessions');
+const { authenticate } = require('./auth');
+const { getAuditStore } = require('./auditLog');
+const { scheduleMirrorRefresh } = require('./scryfallMirror');
+const { scryfallSource } = require('./cardResolver');
+const { getCandidates, candidatesEvent } = require('./candidates');
+const { prepareImport } = require('./cardImport');
+const { commitBatch } = require('./collection');
+const { EXPORT_FORMATS, exportCollection, getDownloadLink } = require('./collectionExport');
+const { evaluateTrade } = require('./trades');
+const { toolExecutors } = require('./executors');
 const app = express();
-const { OpenAI } = require('openai');
-const { SecretsManagerClient, GetSecretValueCommand } = require("@aws-sdk/client-secrets-manager");
-
-// Get openAI API key from AWS secrets manager:
-let openaiApiKey = null;
-async function initOpenAIApiKey() {
-  if (process.env.OPENAI_API_KEY_SECRET_ARN) {
-    const secretsClient = new SecretsManagerClient({});
-    const secretCommand = new GetSecretValueCommand({
-      SecretId: process.env.OPENAI_API_KEY_SECRET_ARN
-    });
-    const secretResponse = await secretsClient.send(secretCommand);
-    openaiApiKey = secretResponse.SecretString;
-  } else {
-    // For running locally:
-    openaiApiKey = process.env.OPENAI_API_KEY;
-  }
-}
-let client = null;
-
-// Instantiate the OpenAI client:
-async function ensureOpenAIClient() {
-  if (!openaiApiKey) {
-    await initOpenAIApiKey();
-  }
-  if (!client) {
-    client = new OpenAI({
-      apiKey: openaiApiKey 
-    });
-  }
-}
 
 // Allowed origins (prod + local dev)
 const allowedOrigins = [
@@ -69,30 +49,176 @@ app.get('/', (req, res) => {
 });
 
 
-app.post("/api/stream", sendMessage);
+// Authenticated with the user's own tracker token when one is sent, see auth.js
+app.post("/api/stream", authenticate, sendMessage);
+// Reconnect to a running (or recently finished) stream of the same user, replaying events after Last-Event-ID
+app.get("/api/stream/:streamId", authenticate, resumeStream);
+
+// Server-side conversations. Resume one by posting { conversation_id, message } to /api/stream.
+// Every user only sees their own conversations.
+app.use('/api/conversations', authenticate);
+
+// Load a conversation owned by the requesting user, or null.
+async function getOwnSession(req) {
+  const session = await getSessionStore().get(req.params.id);
+  return session && isOwnedBy(session, req.user?.id) ? session : null;
+}
+
+app.post('/api/conversations', async (req, res) => {
+  const session = newSession({ title: req.body?.title, owner: req.user?.id });
+  await getSessionStore().put(session);
+  res.status(201).json(summarize(session));
+});
+
+app.get('/api/conversations', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json({ conversations: await getSessionStore().list({ limit, owner: req.user?.id ?? null }) });
+});
 
-app.post('/', async (req, res) => {
-  try { 
-    const { message, messages } = req.body;
-    if (!message) {
-      return res.status(400).json({ error: 'Missing message in request body' });
+app.get('/api/conversations/:id', async (req, res) => {
+  const session = await getOwnSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.json(session);
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  const deleted = Boolean(await getOwnSession(req)) && await getSessionStore().delete(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.status(204).end();
+});
+
+// Recent collection changes made by the agent for the requesting user, newest first (see auditLog.js)
+app.get('/api/changes', authenticate, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const changes = await getAuditStore().list({ owner: req.user?.id ?? null, conversationId: req.query.conversation_id, limit });
+  res.json({ changes });
+});
+
+// Card candidates offered by an earlier run, as sent in its card_candidates event (see candidates.js)
+app.get('/api/candidates/:id', authenticate, (req, res) => {
+  const candidates = getCandidates(req.params.id, req.user?.id);
+  if (!candidates) {
+    return res.status(404).json({ error: 'Candidates not found or expired' });
+  }
+  res.json(candidatesEvent(candidates));
+});
+
+/*
+Import a card list into the collection (see cardImport.js). Send JSON { text, format, choices, commit }, or upload the
+list itself as text/plain or text/csv with format and commit as query parameters. Without commit (or when lines are
+still ambiguous) nothing changes and the response only reports how every line resolved.
+*/
+app.post('/api/import', authenticate, express.text({ type: ["text/*"], limit: "2mb" }), async (req, res) => {
+  const uploaded = typeof req.body === "string";
+  const { text, format, choices, commit } = uploaded ? { ...req.query, text: req.body } : (req.body || {});
+  if (!text || typeof text !== "string") {
+    return res.status(400).json({ error: 'Missing text in request body' });
+  }
+  const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, req.user?.token);
+  try {
+    const report = await prepareImport(text, { format, choices: Array.isArray(choices) ? choices : [], callTracker });
+    if (!(commit === true || commit === "true")) {
+      return res.json({ ...report, committed: false });
     }
-    const updatedMessages = await sendMessage(message, messages);
-    res.json({ messages: updatedMessages.messages });
+    if (report.ambiguous.length > 0) {
+      return res.status(409).json({ error: 'Some lines match several printings: pick one with choices or remove them', ...report, committed: false });
+    }
+    if (report.operations.length === 0) {
+      return res.status(400).json({ error: 'There is nothing to import', ...report, committed: false });
+    }
+    const result = await commitBatch(report.operations, { owner: req.user?.id, callTracker });
+    if (result.status !== "success") {
+      return res.status(502).json({ error: result.message, ...report, committed: false });
+    }
+    res.json({ ...report, committed: true, result: result.message });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/*
+Evaluate a trade (see trades.js). Send JSON { mine, theirs, choices, currency, accept }, mine and theirs being card
+lists. With accept, and only when every line of both sides resolved, the trade is applied to the collection.
+*/
+app.post('/api/trades', authenticate, async (req, res) => {
+  const { mine, theirs, choices, currency, accept } = req.body || {};
+  if (typeof mine !== "string" || typeof theirs !== "string" || (!mine.trim() && !theirs.trim())) {
+    return res.status(400).json({ error: 'Missing mine or theirs in request body' });
+  }
+  const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, req.user?.token);
+  try {
+    const evaluation = await evaluateTrade({ mine, theirs, choices: Array.isArray(choices) ? choices : [], currency, callTracker });
+    if (accept !== true) {
+      return res.json({ ...evaluation, accepted: false });
+    }
+    if (evaluation.ambiguous.length > 0 || evaluation.unresolved.length > 0) {
+      return res.status(409).json({ error: 'Every line of both sides must resolve before the trade can be applied', ...evaluation, accepted: false });
+    }
+    if (evaluation.operations.length === 0) {
+      return res.status(400).json({ error: 'There is nothing to trade', ...evaluation, accepted: false });
+    }
+    const result = await commitBatch(evaluation.operations, { owner: req.user?.id, callTracker });
+    if (result.status !== "success") {
+      return res.status(502).json({ error: result.message, ...evaluation, accepted: false });
+    }
+    res.json({ ...evaluation, accepted: true, result: result.message });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/*
+Download the collection (see collectionExport.js). Query parameters: format (moxfield, deckbox, tcgplayer, text or json,
+default json), set, finish, condition, min_value and currency.
+*/
+async function sendExport(res, user, { format = "json", set, finish, condition, min_value, currency }) {
+  const minValue = min_value != null ? parseFloat(min_value) : undefined;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+  }
+  if (Number.isNaN(minValue)) {
+    return res.status(400).json({ error: 'min_value must be a number' });
+  }
+  const callTracker = (toolName, args) => toolExecutors.tracker_dynamic(toolName, args, user?.token);
+  try {
+    const result = await exportCollection(callTracker, { format, set, finish, condition, min_value: minValue, currency });
+    res.type(result.content_type).attachment(result.filename).send(result.content);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/export', authenticate, (req, res) => sendExport(res, req.user, req.query));
+
+// Download links from the export_collection tool: the token stands for the user and the options, so no Authorization
+// header is needed (see createDownloadLink() in collectionExport.js)
+app.get('/api/export/:token', (req, res) => {
+  const link = getDownloadLink(req.params.token);
+  if (!link) {
+    return res.status(404).json({ error: 'Download link not found or expired' });
+  }
+  sendExport(res, link.user, link.options);
+});
 
 
 // app.listen(port, () => {
 if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
-  // Running in AWS Lambda, do not start server
-} else {
+  // Running in AWS Lambda, do not start server. The Scryfall mirror needs a writable disk and more memory than a
+  // function has, so fail at startup rather than on the first search (see scryfallMirror.js).
+  if (scryfallSource() !== "remote") {
+    throw new Error(`SCRYFALL_SOURCE=${scryfallSource()} needs a long-running server, use "remote" on Lambda`);
+  }
+} else if (require.main === module) {
+  // Only listen when started directly, so tests can boot the app on their own port
   app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
   });
+  // Keep the local Scryfall mirror current when searches use it (offline mode never downloads)
+  if (scryfallSource() === "local") scheduleMirrorRefresh();
 }
 // });
 
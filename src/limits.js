@@ -0,0 +1,87 @@
+/*
+
+Guardrails for the tool loop.
+
+A model that keeps calling tools would otherwise run until the Lambda times out. Every run gets a budget:
+- AGENT_MAX_TOOL_ROUNDS:    number of times the model may ask for tools in one run (default 8)
+- AGENT_TOOL_TIMEOUT_MS:    time a single tool call may take (default 8000)
+- AGENT_MAX_WALL_CLOCK_MS:  total time for the run, model calls included (default 25000)
+- AGENT_MAX_TOKENS:         input + output tokens spent on model calls in the run (default 60000)
+- AGENT_TOOL_CONCURRENCY:   read-only tool calls from one model response that may run at the same time (default 4)
+
+A request may pass { limits: { maxToolRounds, toolTimeoutMs, maxWallClockMs, maxTokens, toolConcurrency } } to tighten these, never to raise them.
+When a limit is hit the loop stops, and the user is told why instead of the run failing.
+
+*/
+
+const { ERROR_CODES, AgentError } = require("./errors.js");
+
+const LIMIT_ENV = {
+  maxToolRounds: ["AGENT_MAX_TOOL_ROUNDS", 8],
+  toolTimeoutMs: ["AGENT_TOOL_TIMEOUT_MS", 8000],
+  maxWallClockMs: ["AGENT_MAX_WALL_CLOCK_MS", 25000],
+  maxTokens: ["AGENT_MAX_TOKENS", 60000],
+  toolConcurrency: ["AGENT_TOOL_CONCURRENCY", 4]
+};
+
+// What we tell the user when a limit ends the run. Key = stop reason
+const STOP_MESSAGES = {
+  max_tool_rounds: "I stopped here because this request needed more tool calls than I'm allowed to make in one go. Could you narrow it down, or ask me to continue?",
+  max_wall_clock: "I stopped here because this request was taking too long. Could you narrow it down, or ask me to continue?",
+  max_tokens: "I stopped here because this request used up its processing budget. Could you narrow it down, or ask me to continue?"
+};
+
+function getLimits(overrides = {}) {
+  const limits = {};
+  for (const [name, [envName, fallback]] of Object.entries(LIMIT_ENV)) {
+    const configured = parseInt(process.env[envName], 10) > 0 ? parseInt(process.env[envName], 10) : fallback;
+    const requested = parseInt(overrides?.[name], 10);
+    limits[name] = requested > 0 ? Math.min(requested, configured) : configured;
+  }
+  return limits;
+}
+
+// Track what a run has spent against its limits.
+function createBudget(limits) {
+  const startedAt = Date.now();
+  return {
+    limits,
+    rounds: 0,
+    tokens: 0,
+    remainingMs() {
+      return limits.maxWallClockMs - (Date.now() - startedAt);
+    },
+    recordUsage(usage) {
+      this.tokens += (usage?.input_tokens || 0) + (usage?.output_tokens || 0);
+    },
+    // Returns the stop reason when the run may not make another model call, otherwise null.
+    exhausted() {
+      if (this.remainingMs() <= 0) return "max_wall_clock";
+      if (this.tokens >= limits.maxTokens) return "max_tokens";
+      return null;
+    }
+  };
+}
+
+// Run task(signal) with a time limit. The signal is aborted on timeout so the task can stop its own work,
+// but a task that ignores it is abandoned anyway.
+async function withTimeout(task, ms, parentSignal, label = "Operation") {
+  const timeoutSignal = AbortSignal.timeout(ms);
+  const signal = parentSignal ? AbortSignal.any([parentSignal, timeoutSignal]) : timeoutSignal;
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(timeoutSignal.aborted && !parentSignal?.aborted
+      ? new AgentError(ERROR_CODES.TOOL_TIMEOUT, `${label} timed out after ${ms}ms`)
+      : signal.reason);
+    if (signal.aborted) onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+  try {
+    return await Promise.race([task(signal), aborted]);
+  } finally {
+    signal.removeEventListener("abort", onAbort);
+    aborted.catch(() => {});
+  }
+}
+
+module.exports = { getLimits, createBudget, withTimeout, STOP_MESSAGES };
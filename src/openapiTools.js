@@ -0,0 +1,396 @@
+/*
+
+Convert the tracker's OpenAPI spec into function tool definitions.
+
+Each operation becomes one tool named tracker_<operationId>. The conversion:
+- resolves $refs against the spec (recursive schemas are cut off, with a warning)
+- keeps nested objects, arrays and their items, enums, formats and required fields
+- merges path, query and header parameters and the JSON request body into one argument object. Body fields that
+  collide with a parameter name are renamed to body_<name>; a body that is not an object is passed as "body".
+- produces strict-mode schemas where possible: every property is required, optional ones accept null, and objects
+  do not allow additional properties. Operations whose schemas cannot be made strict get strict: false.
+
+Next to each tool we return a binding that tells the executor how to map the arguments back onto the request:
+  { operationId, method, path, params: [{ arg, name, in }], body: null | { mode: "whole", arg } | { mode: "fields", fields: [{ arg, name }] },
+    nulls }
+nulls marks where a null argument only stands for a left-out optional property, see dropNulls().
+
+Operations that cannot be represented at all (no JSON body, no usable name) are skipped. Everything that was lost
+or skipped is reported in warnings.
+
+*/
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "patch", "head", "options"];
+
+// String formats that strict mode understands; other formats are moved into the description
+const STRICT_FORMATS = ["date-time", "time", "date", "duration", "email", "hostname", "ipv4", "ipv6", "uuid"];
+
+// Schema keywords we carry over as they are
+const PASSTHROUGH_KEYWORDS = ["pattern", "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "multipleOf", "minItems", "maxItems"];
+
+const MAX_DEPTH = 8;
+
+// The optional properties of each converted object schema, whose null means "left out"
+const optionalProperties = new WeakMap();
+
+// Resolve a local "#/..." reference against the spec.
+function resolvePointer(spec, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#/")) return undefined;
+  return ref
+    .slice(2)
+    .split("/")
+    .map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, part) => (node == null ? undefined : node[part]), spec);
+}
+
+function appendDescription(description, extra) {
+  return description ? `${description} (${extra})` : extra;
+}
+
+// Copy a converted schema, keeping track of its optional properties.
+function copySchema(schema, changes) {
+  const result = { ...schema, ...changes };
+  if (optionalProperties.has(schema)) optionalProperties.set(result, optionalProperties.get(schema));
+  return result;
+}
+
+// Make a converted schema accept null, for optional properties in strict mode. Schemas without a type accept it already.
+function nullable(schema) {
+  if (schema.anyOf) {
+    return schema.anyOf.some(s => s.type === "null") ? schema : copySchema(schema, { anyOf: [...schema.anyOf, { type: "null" }] });
+  }
+  if (schema.type === undefined) return schema;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes("null")) return schema;
+  return copySchema(schema, { type: [...types, "null"], ...(schema.enum && { enum: [...schema.enum, null] }) });
+}
+
+/*
+Where the converter made properties optional, as plain data for the binding:
+{ optional: [names], properties: { name: nulls }, items: nulls, anyOf: [nulls] }, or null when there are none.
+*/
+function nullsOf(schema) {
+  if (!schema || typeof schema !== "object") return null;
+  const nulls = {};
+  if (optionalProperties.has(schema)) nulls.optional = optionalProperties.get(schema);
+  if (schema.properties) {
+    const properties = Object.entries(schema.properties).map(([name, property]) => [name, nullsOf(property)]).filter(([, n]) => n);
+    if (properties.length > 0) nulls.properties = Object.fromEntries(properties);
+  }
+  if (nullsOf(schema.items)) nulls.items = nullsOf(schema.items);
+  if (schema.anyOf && schema.anyOf.some(nullsOf)) nulls.anyOf = schema.anyOf.map(nullsOf);
+  return Object.keys(nulls).length > 0 ? nulls : null;
+}
+
+/*
+Convert one OpenAPI schema into a JSON schema the model can use.
+The context collects warnings and whether the result is still strict-mode compatible: { spec, warnings, strict, label }
+*/
+function convertSchema(schema, context, seenRefs = [], depth = 0) {
+  if (!schema || typeof schema !== "object") {
+    context.strict = false;
+    return {};
+  }
+  if (schema.$ref) {
+    if (seenRefs.includes(schema.$ref) || depth > MAX_DEPTH) {
+      context.warnings.push(`${context.label}: recursive schema ${schema.$ref} was cut off`);
+      context.strict = false;
+      return { type: "object", description: `Recursive ${schema.$ref.split("/").pop()} (not expanded)` };
+    }
+    const target = resolvePointer(context.spec, schema.$ref);
+    if (!target) {
+      context.warnings.push(`${context.label}: could not resolve ${schema.$ref}`);
+      context.strict = false;
+      return {};
+    }
+    const { $ref, ...siblings } = schema;
+    return convertSchema({ ...target, ...siblings }, context, [...seenRefs, schema.$ref], depth + 1);
+  }
+
+  const result = {};
+  let description = schema.description || schema.title;
+
+  // allOf: merge the parts into one schema
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const merged = allOf.reduce((acc, part) => {
+      const converted = part.$ref ? resolvePointer(context.spec, part.$ref) || {} : part;
+      return {
+        ...acc,
+        ...converted,
+        properties: { ...(acc.properties || {}), ...(converted.properties || {}) },
+        required: [...(acc.required || []), ...(converted.required || [])]
+      };
+    }, {});
+    return convertSchema({ ...merged, ...rest, properties: { ...merged.properties, ...(rest.properties || {}) } }, context, seenRefs, depth + 1);
+  }
+
+  if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+    result.anyOf = (schema.oneOf || schema.anyOf).map(part => convertSchema(part, context, seenRefs, depth + 1));
+    if (description) result.description = description;
+    return result;
+  }
+
+  let type = schema.type;
+  if (!type) {
+    if (schema.properties) type = "object";
+    else if (schema.items) type = "array";
+    else if (schema.enum) type = typeof schema.enum[0] === "number" ? "number" : "string";
+  }
+  if (!type) {
+    context.warnings.push(`${context.label}: schema without a type is passed as free-form JSON`);
+    context.strict = false;
+    return description ? { description } : {};
+  }
+  result.type = schema.nullable ? [type, "null"] : type;
+
+  if (schema.enum) result.enum = schema.nullable ? [...schema.enum, null] : [...schema.enum];
+  if (schema.format) {
+    if (type === "string" && STRICT_FORMATS.includes(schema.format)) {
+      result.format = schema.format;
+    } else {
+      description = appendDescription(description, `format: ${schema.format}`);
+    }
+  }
+  if (schema.default !== undefined) {
+    description = appendDescription(description, `default: ${JSON.stringify(schema.default)}`);
+  }
+  for (const keyword of PASSTHROUGH_KEYWORDS) {
+    if (schema[keyword] !== undefined) result[keyword] = schema[keyword];
+  }
+
+  if (type === "array") {
+    result.items = schema.items ? convertSchema(schema.items, context, seenRefs, depth + 1) : {};
+    if (!schema.items) {
+      context.warnings.push(`${context.label}: array without items is passed as a free-form list`);
+      context.strict = false;
+    }
+  }
+
+  if (type === "object") {
+    const properties = schema.properties || {};
+    if (Object.keys(properties).length === 0) {
+      // Free-form objects (maps, additionalProperties) cannot be expressed in strict mode
+      context.strict = false;
+      if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        result.additionalProperties = convertSchema(schema.additionalProperties, context, seenRefs, depth + 1);
+      }
+    } else {
+      const required = schema.required || [];
+      const optional = [];
+      result.properties = {};
+      for (const [name, propertySchema] of Object.entries(properties)) {
+        if (propertySchema && propertySchema.readOnly) continue;
+        const converted = convertSchema(propertySchema, context, seenRefs, depth + 1);
+        result.properties[name] = required.includes(name) ? converted : nullable(converted);
+        if (!required.includes(name)) optional.push(name);
+      }
+      result.required = Object.keys(result.properties);
+      result.additionalProperties = false;
+      if (optional.length > 0) optionalProperties.set(result, optional);
+    }
+  }
+
+  if (description) result.description = description;
+  return result;
+}
+
+// Pick the JSON schema of a request body (OpenAPI 3 requestBody or a Swagger 2 "in: body" parameter).
+function requestBodySchema(operation, parameters, spec) {
+  let requestBody = operation.requestBody;
+  if (requestBody && requestBody.$ref) requestBody = resolvePointer(spec, requestBody.$ref);
+  if (requestBody) {
+    const content = requestBody.content || {};
+    const jsonType = Object.keys(content).find(type => type === "application/json" || type.endsWith("+json"));
+    if (!jsonType) {
+      return { unsupported: Object.keys(content).join(", ") || "unknown content type", required: Boolean(requestBody.required) };
+    }
+    return { schema: content[jsonType].schema || {}, required: Boolean(requestBody.required), description: requestBody.description };
+  }
+  const bodyParam = parameters.find(p => p.in === "body");
+  if (bodyParam) {
+    return { schema: bodyParam.schema || {}, required: Boolean(bodyParam.required), description: bodyParam.description };
+  }
+  return null;
+}
+
+function toolNameFor(operationId, method, path) {
+  const raw = operationId ? `tracker_${operationId}` : `tracker_${method}_${path.replace(/[\/{}]/g, "_")}`;
+  return raw.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+}
+
+// Convert a single operation. Returns { tool, binding } or null when it cannot be represented.
+function convertOperation(spec, path, method, operation, pathParameters, warnings) {
+  const operationId = operation.operationId;
+  const label = `${method.toUpperCase()} ${path}`;
+  const context = { spec, warnings, strict: true, label };
+
+  // Operation-level parameters override path-level ones with the same name and location
+  const resolveParam = p => (p && p.$ref ? resolvePointer(spec, p.$ref) : p);
+  const byKey = new Map();
+  for (const p of [...pathParameters, ...(operation.parameters || [])].map(resolveParam).filter(Boolean)) {
+    byKey.set(`${p.in}:${p.name}`, p);
+  }
+  const parameters = [...byKey.values()];
+
+  const properties = {};
+  const required = [];
+  const binding = { operationId, method, path, params: [], body: null };
+
+  for (const param of parameters) {
+    if (param.in === "body") continue;
+    if (param.in === "cookie" || (param.in === "header" && param.name.toLowerCase() === "authorization")) {
+      if (param.in === "cookie") warnings.push(`${label}: cookie parameter ${param.name} is not supported`);
+      continue;
+    }
+    let arg = param.name;
+    if (properties[arg]) {
+      // Same name in two locations (e.g. path and query): prefix the later one with its location
+      arg = `${param.in}_${param.name}`;
+    }
+    const schema = convertSchema(param.schema || { type: param.type || "string", enum: param.enum, format: param.format, items: param.items }, context);
+    if (param.description) schema.description = param.description;
+    properties[arg] = param.required ? schema : nullable(schema);
+    if (param.required) required.push(arg);
+    binding.params.push({ arg, name: param.name, in: param.in });
+  }
+
+  const body = requestBodySchema(operation, parameters, spec);
+  if (body && body.unsupported) {
+    if (body.required) {
+      warnings.push(`${label}: skipped, request body type ${body.unsupported} is not supported`);
+      return null;
+    }
+    warnings.push(`${label}: optional request body (${body.unsupported}) is left out`);
+  } else if (body) {
+    const bodySchema = convertSchema(body.schema, context);
+    const isObject = bodySchema.type === "object" && bodySchema.properties;
+    if (isObject) {
+      const bodyRequired = body.schema.$ref
+        ? (resolvePointer(spec, body.schema.$ref)?.required || [])
+        : (body.schema.required || []);
+      const fields = [];
+      for (const [name, fieldSchema] of Object.entries(bodySchema.properties)) {
+        let arg = name;
+        if (properties[arg]) {
+          arg = `body_${name}`;
+          warnings.push(`${label}: body field ${name} collides with a parameter and is exposed as ${arg}`);
+        }
+        // Fields of an optional body are all optional
+        const fieldRequired = body.required && bodyRequired.includes(name);
+        properties[arg] = fieldRequired ? fieldSchema : nullable(fieldSchema);
+        if (fieldRequired) required.push(arg);
+        fields.push({ arg, name });
+      }
+      binding.body = { mode: "fields", fields };
+    } else {
+      const arg = properties.body ? "body_payload" : "body";
+      properties[arg] = body.required ? bodySchema : nullable(bodySchema);
+      if (body.description) properties[arg].description = body.description;
+      if (body.required) required.push(arg);
+      binding.body = { mode: "whole", arg };
+    }
+  }
+
+  // In strict mode every property is listed as required; optional ones were made nullable above
+  const strict = context.strict;
+  const allProperties = Object.keys(properties);
+  if (!strict) {
+    // Without strict mode, optional properties do not need to accept null
+    for (const name of allProperties) {
+      if (!required.includes(name)) properties[name] = stripNull(properties[name]);
+    }
+  }
+
+  const parameterSchema = { type: "object", properties };
+  optionalProperties.set(parameterSchema, allProperties.filter(name => !required.includes(name)));
+  binding.nulls = nullsOf(parameterSchema);
+
+  const tool = {
+    type: "function",
+    name: toolNameFor(operationId, method, path),
+    description: operation.description || operation.summary || `Tracker API call for ${method.toUpperCase()} ${path}`,
+    parameters: {
+      type: "object",
+      properties,
+      required: strict ? allProperties : required,
+      additionalProperties: false
+    },
+    strict
+  };
+  return { tool, binding };
+}
+
+// Undo nullable() for a top-level optional property.
+function stripNull(schema) {
+  if (Array.isArray(schema.type) && schema.type.includes("null")) {
+    const types = schema.type.filter(t => t !== "null");
+    return copySchema(schema, { type: types.length === 1 ? types[0] : types, ...(schema.enum && { enum: schema.enum.filter(v => v !== null) }) });
+  }
+  return schema;
+}
+
+// Convert a whole spec. Returns { tools, bindings: { [toolName]: binding }, warnings }
+function convertSpec(spec) {
+  const tools = [];
+  const bindings = {};
+  const warnings = [];
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    const pathParameters = pathItem.parameters || [];
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (!HTTP_METHODS.includes(method.toLowerCase()) || !operation) continue;
+      const converted = convertOperation(spec, path, method.toLowerCase(), operation, pathParameters, warnings);
+      if (!converted) continue;
+      if (bindings[converted.tool.name]) {
+        warnings.push(`${method.toUpperCase()} ${path}: skipped, tool name ${converted.tool.name} is already taken`);
+        continue;
+      }
+      tools.push(converted.tool);
+      bindings[converted.tool.name] = converted.binding;
+    }
+  }
+  return { tools, bindings, warnings };
+}
+
+/*
+Drop the null values that stand for left-out optional properties: in strict mode that is how the model leaves them
+out. nulls comes from the binding (see nullsOf()); nulls the spec itself allows are kept.
+*/
+function dropNulls(value, nulls) {
+  if (!nulls || !value || typeof value !== "object") return value;
+  if (Array.isArray(value)) return nulls.items ? value.map(item => dropNulls(item, nulls.items)) : value;
+  if (nulls.anyOf) {
+    // Follow the variant that knows all of the value's keys
+    const variant = nulls.anyOf.find(n => n && Object.keys(value).every(key => (n.optional || []).includes(key) || n.properties?.[key]));
+    return variant ? dropNulls(value, variant) : value;
+  }
+  const optional = nulls.optional || [];
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([k, v]) => !(v === null && optional.includes(k)))
+      .map(([k, v]) => [k, dropNulls(v, nulls.properties?.[k])])
+  );
+}
+
+// Map tool arguments back onto the request, using the binding from convertSpec.
+// Parameters are keyed "<in>.<name>", which swagger-client understands and which keeps e.g. path and query "id" apart.
+function bindArguments(binding, args) {
+  const cleanArgs = dropNulls(args || {}, binding.nulls);
+  const parameters = {};
+  for (const param of binding.params) {
+    if (cleanArgs[param.arg] !== undefined) parameters[`${param.in}.${param.name}`] = cleanArgs[param.arg];
+  }
+  let requestBody;
+  if (binding.body && binding.body.mode === "whole") {
+    requestBody = cleanArgs[binding.body.arg];
+  } else if (binding.body) {
+    requestBody = {};
+    for (const field of binding.body.fields) {
+      if (cleanArgs[field.arg] !== undefined) requestBody[field.name] = cleanArgs[field.arg];
+    }
+    if (Object.keys(requestBody).length === 0) requestBody = undefined;
+  }
+  return { parameters, requestBody };
+}
+
+module.exports = { convertSpec, convertSchema, bindArguments, dropNulls };
@@ -0,0 +1,91 @@
+/*
+
+Card prices and collection valuation.
+
+Prices are Scryfall's daily prices (https://scryfall.com/docs/faqs#prices): USD from TCGplayer, EUR from Cardmarket and
+TIX (MTGO) from Cardhoarder. Scryfall has one price per currency and finish (usd, usd_foil, usd_etched, eur, ...);
+TIX only exists for non-foil. They are near-mint market prices, so the valuation reports totals per condition but does
+not discount played cards.
+
+Printings are looked up with findPrintings() from cardResolver.js.
+
+*/
+
+const { printingKey } = require('./scryfallMirror.js');
+
+const CURRENCIES = ["usd", "eur", "tix"];
+const FINISHES = ["nonfoil", "foil", "etched"];
+
+// How many of the most valuable cards the valuation lists
+const MOST_VALUABLE_COUNT = 20;
+
+const round = value => Math.round(value * 100) / 100;
+
+function priceOf(card, finish, currency) {
+  const value = card.prices?.[finish === "nonfoil" ? currency : `${currency}_${finish}`];
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+// { nonfoil: { usd, eur, tix }, foil: {...}, etched: {...} } for the finishes this printing exists in.
+function pricesByFinish(card) {
+  const finishes = (card.finishes || FINISHES).filter(finish => FINISHES.includes(finish));
+  return Object.fromEntries(finishes.map(finish =>
+    [finish, Object.fromEntries(CURRENCIES.map(currency => [currency, priceOf(card, finish, currency)]))]));
+}
+
+/*
+Value collection cards (see collection.js) with the printings from findPrintings() (see cardResolver.js).
+Returns totals overall, per finish and per condition, the most valuable entries, and the entries without a price.
+*/
+function valueCollection(cards, printings, { currency = "usd" } = {}) {
+  const totals = { quantity: 0, value: 0 };
+  const byFinish = {};
+  const byCondition = {};
+  const entries = [];
+  const unpriced = [];
+  const add = (group, key, quantity, value) => {
+    group[key] = group[key] || { quantity: 0, value: 0 };
+    group[key].quantity += quantity;
+    group[key].value += value;
+  };
+
+  for (const card of cards) {
+    const printing = printings.get(printingKey(card.set_code, card.card_number));
+    for (const [finish, { quantity, condition = "NM" }] of Object.entries(card.finishes)) {
+      const unitPrice = printing ? priceOf(printing, finish, currency) : null;
+      const entry = {
+        set_code: card.set_code,
+        card_number: card.card_number,
+        name: printing?.name ?? card.name,
+        finish,
+        condition,
+        quantity
+      };
+      if (unitPrice === null) {
+        unpriced.push({ ...entry, reason: printing ? `no ${currency} price for ${finish}` : "printing not found" });
+        continue;
+      }
+      const value = unitPrice * quantity;
+      entries.push({ ...entry, unit_price: unitPrice, value: round(value) });
+      totals.quantity += quantity;
+      totals.value += value;
+      add(byFinish, finish, quantity, value);
+      add(byCondition, condition, quantity, value);
+    }
+  }
+
+  const rounded = group => Object.fromEntries(Object.entries(group).map(([key, { quantity, value }]) =>
+    [key, { quantity, value: round(value) }]));
+  return {
+    currency,
+    total: round(totals.value),
+    quantity: totals.quantity,
+    by_finish: rounded(byFinish),
+    by_condition: rounded(byCondition),
+    most_valuable: entries.sort((a, b) => b.value - a.value).slice(0, MOST_VALUABLE_COUNT),
+    unpriced
+  };
+}
+
+module.exports = { CURRENCIES, pricesByFinish, priceOf, valueCollection };
@@ -0,0 +1,374 @@
+/*
+
+LLM provider layer.
+
+The agent loop talks to a provider instead of calling OpenAI directly. Every provider speaks the same model:
+
+Messages are Responses API input items, which is also the format the front-end sends back to us:
+- { role: "system" | "developer" | "user" | "assistant", content }
+- { type: "message", role: "assistant", content: [{ type: "output_text", text }] }
+- { type: "function_call", call_id, name, arguments }
+- { type: "function_call_output", call_id, output }
+
+Tools are Responses API tool definitions ({ type: "function", name, description, parameters } and hosted tools like file_search).
+Providers that do not support hosted tools simply drop them.
+
+provider.stream(request, { signal }) is an async generator yielding:
+- { type: "text_delta", delta }
+- { type: "tool_call_started", call_id, name, hosted }
+- { type: "tool_call_arguments", call_id, name, arguments }
+- { type: "completed", output, usage: { input_tokens, output_tokens } }
+
+The server selects the provider and model with LLM_PROVIDER / LLM_MODEL. A request may ask for another one
+(req.body.provider / req.body.model) only when LLM_ALLOWED_PROVIDERS / LLM_ALLOWED_MODELS (comma-separated) list it,
+see requestProvider().
+
+*/
+
+const { OpenAI } = require('openai');
+const { SecretsManagerClient, GetSecretValueCommand } = require("@aws-sdk/client-secrets-manager");
+const { ERROR_CODES, AgentError } = require("./errors.js");
+
+const DEFAULT_PROVIDER = "openai-responses";
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+/* HELPER FUNCTIONS */
+
+// Get openAI API key:
+let openaiApiKey = null;
+async function initOpenAIApiKey() {
+  if (process.env.OPENAI_API_KEY_SECRET_ARN) {
+    const secretsClient = new SecretsManagerClient({});
+    const secretCommand = new GetSecretValueCommand({
+      SecretId: process.env.OPENAI_API_KEY_SECRET_ARN
+    });
+    const secretResponse = await secretsClient.send(secretCommand);
+    openaiApiKey = secretResponse.SecretString;
+  } else {
+    // When running locally, we just use the environment variable:
+    openaiApiKey = process.env.OPENAI_API_KEY;
+  }
+}
+let openaiClient = null;
+
+// Instantiate the OpenAI client (shared by both OpenAI adapters):
+async function ensureOpenAIClient() {
+  if (!openaiApiKey) {
+    await initOpenAIApiKey();
+  }
+  if (!openaiClient) {
+    openaiClient = new OpenAI({
+      apiKey: openaiApiKey
+    });
+  }
+  return openaiClient;
+}
+
+// Extract the concatenated assistant text from a list of output items.
+function outputText(output) {
+  return (output || [])
+    .filter(item => item.type === "message")
+    .flatMap(item => Array.isArray(item.content) ? item.content : [{ type: "output_text", text: item.content }])
+    .filter(part => part && (part.type === "output_text" || part.type === "text") && typeof part.text === "string")
+    .map(part => part.text)
+    .join("");
+}
+
+// Flatten Responses-style content (string or array of parts) into plain text.
+function contentToText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return content == null ? "" : JSON.stringify(content);
+  return content
+    .map(part => typeof part === "string" ? part : (typeof part?.text === "string" ? part.text : JSON.stringify(part)))
+    .join("");
+}
+
+let generatedCallIds = 0;
+function generateCallId() {
+  generatedCallIds++;
+  return `call_${Date.now().toString(36)}_${generatedCallIds}`;
+}
+
+/* ADAPTERS */
+
+// OpenAI Responses API. This is what the agent was originally built on and supports hosted tools like file_search.
+function createOpenAIResponsesProvider({ model = DEFAULT_MODEL, client } = {}) {
+  return {
+    name: "openai-responses",
+    model,
+    async *stream({ input, tools = [], temperature }, { signal } = {}) {
+      const openai = client || await ensureOpenAIClient();
+      const stream = openai.responses.stream({
+        model,
+        input,
+        tools,
+        tool_choice: "auto",
+        temperature
+      }, { signal });
+
+      // function_call_arguments events only carry the item id, so remember which call each item belongs to.
+      const callsByItemId = {};
+      for await (const event of stream) {
+        if (event.type === "response.output_text.delta") {
+          yield { type: "text_delta", delta: event.delta };
+        } else if (event.type === "response.output_item.added") {
+          if (event.item.type === "file_search_call") {
+            yield { type: "tool_call_started", call_id: event.item.id, name: "file_search", hosted: true };
+          }
+          if (event.item.type === "function_call") {
+            callsByItemId[event.item.id] = { call_id: event.item.call_id, name: event.item.name };
+            yield { type: "tool_call_started", call_id: event.item.call_id, name: event.item.name, hosted: false };
+          }
+        } else if (event.type === "response.function_call_arguments.done") {
+          const call = callsByItemId[event.item_id] || {};
+          yield { type: "tool_call_arguments", call_id: call.call_id, name: call.name, arguments: event.arguments };
+        }
+      }
+
+      const response = await stream.finalResponse();
+      const output = response.output.map(item => {
+        if (item.type === "function_call" && "parsed_arguments" in item) {
+          // Remove only the parsed_arguments field, keep everything else unchanged
+          const { parsed_arguments, ...rest } = item;
+          return rest;
+        }
+        return item;
+      });
+      yield {
+        type: "completed",
+        output,
+        usage: {
+          input_tokens: response.usage?.input_tokens || 0,
+          output_tokens: response.usage?.output_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+// Transform Responses input items into Chat Completions messages.
+// Consecutive function_call items become a single assistant message with multiple tool_calls.
+function toChatMessages(input) {
+  const chatMessages = [];
+  for (const m of input) {
+    if (m.type === "function_call") {
+      const toolCall = {
+        id: m.call_id,
+        type: "function",
+        function: { name: m.name, arguments: m.arguments || "{}" }
+      };
+      const previous = chatMessages[chatMessages.length - 1];
+      if (previous && previous.role === "assistant" && Array.isArray(previous.tool_calls)) {
+        previous.tool_calls.push(toolCall);
+      } else {
+        chatMessages.push({ role: "assistant", content: null, tool_calls: [toolCall] });
+      }
+    } else if (m.type === "function_call_output") {
+      chatMessages.push({ role: "tool", tool_call_id: m.call_id, content: contentToText(m.output) });
+    } else if (m.role) {
+      // Not every OpenAI-compatible server knows the developer role.
+      const role = m.role === "developer" ? "system" : m.role;
+      chatMessages.push({ role, content: contentToText(m.content) });
+    }
+  }
+  return chatMessages;
+}
+
+// Transform Responses function tools into Chat Completions tools. Hosted tools have no equivalent and are dropped.
+function toChatTools(tools) {
+  return tools
+    .filter(tool => tool.type === "function")
+    .map(tool => ({
+      type: "function",
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+        ...(tool.strict !== undefined && { strict: tool.strict })
+      }
+    }));
+}
+
+// OpenAI Chat Completions API, also used for OpenAI-compatible local endpoints (Ollama, llama.cpp, vLLM, LM Studio).
+function createChatCompletionsProvider({ name = "openai-chat", model = DEFAULT_MODEL, client, includeUsage = true } = {}) {
+  return {
+    name,
+    model,
+    async *stream({ input, tools = [], temperature }, { signal } = {}) {
+      const openai = client || await ensureOpenAIClient();
+      const chatTools = toChatTools(tools);
+      const stream = await openai.chat.completions.create({
+        model,
+        messages: toChatMessages(input),
+        ...(chatTools.length > 0 && { tools: chatTools, tool_choice: "auto" }),
+        temperature,
+        stream: true,
+        ...(includeUsage && { stream_options: { include_usage: true } })
+      }, { signal });
+
+      let text = "";
+      const toolCalls = [];
+      let usage = { input_tokens: 0, output_tokens: 0 };
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          usage = { input_tokens: chunk.usage.prompt_tokens || 0, output_tokens: chunk.usage.completion_tokens || 0 };
+        }
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+          text += delta.content;
+          yield { type: "text_delta", delta: delta.content };
+        }
+        for (const tc of delta.tool_calls || []) {
+          const index = tc.index ?? toolCalls.length;
+          if (!toolCalls[index]) {
+            toolCalls[index] = { call_id: tc.id || generateCallId(), name: "", arguments: "", started: false };
+          }
+          const call = toolCalls[index];
+          if (tc.function?.name) call.name += tc.function.name;
+          if (tc.function?.arguments) call.arguments += tc.function.arguments;
+          if (!call.started && call.name) {
+            call.started = true;
+            yield { type: "tool_call_started", call_id: call.call_id, name: call.name, hosted: false };
+          }
+        }
+      }
+
+      const output = [];
+      if (text) {
+        output.push({ type: "message", role: "assistant", content: [{ type: "output_text", text }] });
+      }
+      for (const call of toolCalls.filter(Boolean)) {
+        yield { type: "tool_call_arguments", call_id: call.call_id, name: call.name, arguments: call.arguments };
+        output.push({ type: "function_call", call_id: call.call_id, name: call.name, arguments: call.arguments || "{}" });
+      }
+      yield { type: "completed", output, usage };
+    }
+  };
+}
+
+// Deterministic provider that plays back a script, for offline runs and tests.
+// Each turn is an array of output items, or a function (request, turnIndex) => items.
+// Shorthand items: { text: "..." } for an assistant message, { tool: "name", arguments: {...} } for a function call.
+// Every request the provider received is recorded in provider.requests.
+function createScriptedProvider(script = [], { model = "scripted" } = {}) {
+  const provider = {
+    name: "scripted",
+    model,
+    requests: [],
+    async *stream(request, { signal } = {}) {
+      const turnIndex = provider.requests.length;
+      provider.requests.push(JSON.parse(JSON.stringify(request)));
+      const turn = script[turnIndex];
+      if (turn === undefined) {
+        throw new Error(`Scripted provider has no turn ${turnIndex}`);
+      }
+      const items = typeof turn === "function" ? await turn(request, turnIndex) : turn;
+
+      const output = [];
+      for (const item of items) {
+        if (signal?.aborted) throw new Error("Request aborted");
+        if (item.text !== undefined || item.type === "message") {
+          const text = item.text !== undefined ? item.text : outputText([item]);
+          // Emit the text in word-sized chunks so consumers see more than one delta.
+          for (const delta of text.match(/\S+\s*|\s+/g) || []) {
+            yield { type: "text_delta", delta };
+          }
+          output.push({ type: "message", role: "assistant", content: [{ type: "output_text", text }] });
+        } else {
+          const name = item.tool || item.name;
+          const call_id = item.call_id || generateCallId();
+          const args = typeof item.arguments === "string" ? item.arguments : JSON.stringify(item.arguments || {});
+          yield { type: "tool_call_started", call_id, name, hosted: false };
+          yield { type: "tool_call_arguments", call_id, name, arguments: args };
+          output.push({ type: "function_call", call_id, name, arguments: args });
+        }
+      }
+      yield { type: "completed", output, usage: scriptedUsage(items) };
+    }
+  };
+  return provider;
+}
+
+// Scripted turns can declare usage to exercise token accounting; default to zero.
+function scriptedUsage(items) {
+  const declared = items.find(item => item.usage)?.usage;
+  return { input_tokens: declared?.input_tokens || 0, output_tokens: declared?.output_tokens || 0 };
+}
+
+/* REGISTRY */
+
+// One client per local endpoint, reused across requests
+const localClients = new Map();
+function localClient() {
+  const baseURL = process.env.LLM_BASE_URL || "http://localhost:11434/v1";
+  const apiKey = process.env.LLM_API_KEY || "local";
+  const key = `${baseURL}|${apiKey}`;
+  if (!localClients.has(key)) localClients.set(key, new OpenAI({ baseURL, apiKey }));
+  return localClients.get(key);
+}
+
+// Key = provider name, value = factory (config) => provider
+const providerFactories = {
+  "openai-responses": ({ model }) => createOpenAIResponsesProvider({ model }),
+  "openai-chat": ({ model }) => createChatCompletionsProvider({ model }),
+  "local": ({ model }) => createChatCompletionsProvider({
+    name: "local",
+    model: model || "llama3.1",
+    includeUsage: false,
+    client: localClient()
+  }),
+  "scripted": () => createScriptedProvider([[{ text: "This is a scripted response." }]])
+};
+
+// Register a provider factory, or a ready-made provider instance, under a name.
+function registerProvider(name, factoryOrProvider) {
+  providerFactories[name] = typeof factoryOrProvider === "function"
+    ? factoryOrProvider
+    : () => factoryOrProvider;
+}
+
+// Resolve the provider for a request. Unknown names are rejected rather than silently falling back.
+async function getProvider({ provider, model } = {}) {
+  const name = provider || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new AgentError(ERROR_CODES.INVALID_PROVIDER, `Unknown LLM provider: ${name}`);
+  }
+  return await factory({ model: model || process.env.LLM_MODEL || undefined });
+}
+
+const allowList = name => (process.env[name] || "").split(",").map(value => value.trim()).filter(Boolean);
+
+// Resolve the provider a client asked for. Anything but the server's own provider and model must be allowlisted.
+async function requestProvider({ provider, model } = {}) {
+  if (provider && provider !== (process.env.LLM_PROVIDER || DEFAULT_PROVIDER) && !allowList("LLM_ALLOWED_PROVIDERS").includes(provider)) {
+    throw new AgentError(ERROR_CODES.INVALID_PROVIDER, `LLM provider ${provider} is not allowed`);
+  }
+  if (model && model !== process.env.LLM_MODEL && !allowList("LLM_ALLOWED_MODELS").includes(model)) {
+    throw new AgentError(ERROR_CODES.INVALID_PROVIDER, `LLM model ${model} is not allowed`);
+  }
+  return await getProvider({ provider, model });
+}
+
+// Run a request to completion without streaming, returning { output, usage }.
+async function complete(provider, request, options) {
+  let completed = null;
+  for await (const event of provider.stream(request, options)) {
+    if (event.type === "completed") completed = event;
+  }
+  return completed;
+}
+
+module.exports = {
+  getProvider,
+  requestProvider,
+  registerProvider,
+  complete,
+  outputText,
+  createOpenAIResponsesProvider,
+  createChatCompletionsProvider,
+  createScriptedProvider,
+  toChatMessages,
+  toChatTools
+};
@@ -0,0 +1,200 @@
+/*
+
+Client for the Scryfall API (https://scryfall.com/docs/api).
+
+Scryfall asks API users to:
+- send a User-Agent and an Accept header with every request
+- keep 50-100 ms between requests. We space request starts by SCRYFALL_REQUEST_SPACING_MS (default 100, never below 50)
+  for the whole process, so concurrent tool calls queue up instead of bursting.
+- back off on HTTP 429. We retry 429, 5xx and network failures up to SCRYFALL_MAX_RETRIES times (default 3), waiting
+  for Retry-After when given and SCRYFALL_RETRY_BASE_MS * 2^attempt (default 500 ms) otherwise.
+
+getCardsByPrinting() and getCardsByName() look up many cards at once through /cards/collection, 75 per request.
+
+searchCards() follows has_more/next_page up to SCRYFALL_MAX_PAGES pages (default 3, 175 cards each). A search without
+matches is not an error: Scryfall answers 404 with code "not_found", which we return as an empty result.
+Every other failure is thrown as a ScryfallError carrying Scryfall's status, code, details and warnings.
+
+The base URL can be overridden with SCRYFALL_API_URL, e.g. for local testing.
+
+*/
+
+const { version } = require('../package.json');
+
+const USER_AGENT = `mtg-trades-agent/${version}`;
+const ACCEPT = "application/json;q=0.9,*/*;q=0.8";
+
+const scryfallApiUrl = () => process.env.SCRYFALL_API_URL || "https://api.scryfall.com";
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+const requestSpacingMs = () => Math.max(envInt("SCRYFALL_REQUEST_SPACING_MS", 100), 50);
+const maxRetries = () => envInt("SCRYFALL_MAX_RETRIES", 3);
+const retryBaseMs = () => envInt("SCRYFALL_RETRY_BASE_MS", 500);
+const maxPages = () => Math.max(envInt("SCRYFALL_MAX_PAGES", 3), 1);
+
+// Cards per page of search results
+const PAGE_SIZE = 175;
+
+// Longest Retry-After we are willing to wait, so a single tool call cannot hang on it
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+
+class ScryfallError extends Error {
+  constructor(message, { status = null, code = null, details = null, warnings = [], cause } = {}) {
+    super(message, { cause });
+    this.name = "ScryfallError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.warnings = warnings;
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Start time of the next request we are allowed to make, shared by all callers in this process
+let nextRequestAt = 0;
+
+async function waitForSlot(signal) {
+  const now = Date.now();
+  const at = Math.max(now, nextRequestAt);
+  nextRequestAt = at + requestSpacingMs();
+  if (at > now) await sleep(at - now, signal);
+}
+
+function retryDelayMs(res, attempt) {
+  const retryAfter = res && parseFloat(res.headers.get("retry-after"));
+  if (!Number.isNaN(retryAfter) && retryAfter >= 0) return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+  return retryBaseMs() * 2 ** attempt;
+}
+
+/*
+GET a Scryfall URL (absolute, or a path relative to the API) and return its JSON body.
+Throws a ScryfallError for error responses; the 404 "not_found" error is returned as { notFound: true, body }.
+Pass body to POST it as JSON instead.
+*/
+async function scryfallGet(pathOrUrl, { params, body: requestBody, signal } = {}) {
+  const url = new URL(pathOrUrl, scryfallApiUrl());
+  if (params) {
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== "") url.searchParams.set(key, value);
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot(signal);
+    let res;
+    try {
+      res = await fetch(url, requestBody === undefined
+        ? { headers: { "User-Agent": USER_AGENT, Accept: ACCEPT }, signal }
+        : {
+          method: "POST",
+          headers: { "User-Agent": USER_AGENT, Accept: ACCEPT, "Content-Type": "application/json" },
+          body: JSON.stringify(requestBody),
+          signal
+        });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (attempt < maxRetries()) {
+        await sleep(retryDelayMs(null, attempt), signal);
+        continue;
+      }
+      throw new ScryfallError(`Scryfall is unreachable: ${err.message}`, { cause: err });
+    }
+
+    if ((res.status === 429 || res.status >= 500) && attempt < maxRetries()) {
+      await sleep(retryDelayMs(res, attempt), signal);
+      continue;
+    }
+
+    const body = await res.json().catch(() => null);
+    if (res.ok) return { notFound: false, body };
+    if (res.status === 404 && body?.code === "not_found") return { notFound: true, body };
+    throw new ScryfallError(body?.details || `Scryfall answered HTTP ${res.status}`, {
+      status: res.status,
+      code: body?.code || null,
+      details: body?.details || null,
+      warnings: body?.warnings || []
+    });
+  }
+}
+
+/*
+Search cards, following pages up to the page cap (pageLimit overrides SCRYFALL_MAX_PAGES).
+Returns { cards, total_cards, has_more, warnings, not_found }. has_more is true when the cap cut the results short.
+*/
+async function searchCards(q, { order, dir, page, pageLimit = maxPages(), signal } = {}) {
+  const first = await scryfallGet("/cards/search", { params: { q, order, dir, page }, signal });
+  if (first.notFound) {
+    return { cards: [], total_cards: 0, has_more: false, warnings: first.body?.warnings || [], not_found: true };
+  }
+
+  const cards = [...(first.body.data || [])];
+  const warnings = [...(first.body.warnings || [])];
+  let current = first.body;
+  for (let pages = 1; current.has_more && current.next_page && pages < pageLimit; pages++) {
+    const next = await scryfallGet(current.next_page, { signal });
+    current = next.body;
+    cards.push(...(current.data || []));
+    for (const warning of current.warnings || []) {
+      if (!warnings.includes(warning)) warnings.push(warning);
+    }
+  }
+  return {
+    cards,
+    total_cards: first.body.total_cards ?? cards.length,
+    has_more: Boolean(current.has_more),
+    warnings,
+    not_found: false
+  };
+}
+
+// Most identifiers Scryfall accepts in one /cards/collection request
+const COLLECTION_BATCH_SIZE = 75;
+
+// POST identifiers to /cards/collection, COLLECTION_BATCH_SIZE at a time. Returns { cards, not_found }.
+async function getCollection(identifiers, signal) {
+  const cards = [];
+  const notFound = [];
+  for (let i = 0; i < identifiers.length; i += COLLECTION_BATCH_SIZE) {
+    const { body } = await scryfallGet("/cards/collection", { body: { identifiers: identifiers.slice(i, i + COLLECTION_BATCH_SIZE) }, signal });
+    cards.push(...(body?.data || []));
+    notFound.push(...(body?.not_found || []));
+  }
+  return { cards, not_found: notFound };
+}
+
+/*
+Look up printings by [{ set, collector_number }].
+Returns { cards, not_found } where not_found lists the identifiers Scryfall does not know.
+*/
+async function getCardsByPrinting(identifiers, { signal } = {}) {
+  return await getCollection(identifiers.map(({ set, collector_number }) =>
+    ({ set: String(set).toLowerCase(), collector_number: String(collector_number) })), signal);
+}
+
+/*
+Look up cards by exact name: [{ name, set }], set optional. Scryfall answers with one printing per name (of that set
+when given). Returns { cards, not_found }.
+*/
+async function getCardsByName(lookups, { signal } = {}) {
+  return await getCollection(lookups.map(({ name, set }) =>
+    (set ? { name: String(name), set: String(set).toLowerCase() } : { name: String(name) })), signal);
+}
+
+module.exports = { scryfallGet, getCardsByPrinting, getCardsByName, searchCards, ScryfallError, scryfallApiUrl, maxPages, PAGE_SIZE };
@@ -0,0 +1,268 @@
+/*
+
+Local mirror of Scryfall's bulk "default_cards" data (https://scryfall.com/docs/api/bulk-data).
+
+importDefaultCards() asks Scryfall for the current default_cards file, and when it is newer than what we have, streams
+it into SCRYFALL_MIRROR_DIR (default .scryfall):
+- cards.ndjson: one trimmed card per line (the fields our tools and the resolver use)
+- meta.json:    { bulk_updated_at, imported_at, count }
+The download is parsed card by card, so the file (hundreds of MBs) never has to fit in memory as a whole.
+
+getMirror() loads the mirror once per process and indexes it by Scryfall id, by set + collector number and by
+normalized name. The resolver in cardResolver.js answers scryfall_search-style queries from it. Values that repeat
+between printings (oracle text, type lines, set names, legalities, ...) are shared in memory; even so the ~100k
+printings need far more than the 128 MB a Lambda function gets by default.
+
+The mirror is for a long-running server only: it needs a writable SCRYFALL_MIRROR_DIR and that much memory, which a
+Lambda function does not have by default (its working directory is read-only). index.js refuses to start on Lambda
+with SCRYFALL_SOURCE local or offline.
+
+scheduleMirrorRefresh() re-imports every SCRYFALL_MIRROR_REFRESH_HOURS (default 24; Scryfall updates the file daily).
+To import by hand: node src/scryfallMirror.js
+
+*/
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { scryfallGet } = require('./scryfallClient.js');
+
+const mirrorDir = () => process.env.SCRYFALL_MIRROR_DIR || path.join(process.cwd(), ".scryfall");
+const refreshHours = () => parseFloat(process.env.SCRYFALL_MIRROR_REFRESH_HOURS) > 0
+  ? parseFloat(process.env.SCRYFALL_MIRROR_REFRESH_HOURS)
+  : 24;
+
+// Card fields the resolver, the tools and the candidates use. Everything else (purchase links, related uris,
+// multiverse ids, ...) is dropped.
+const CARD_FIELDS = [
+  "id", "oracle_id", "illustration_id", "name", "lang", "released_at", "layout", "set", "set_name", "collector_number",
+  "rarity", "mana_cost", "cmc", "type_line", "oracle_text", "power", "toughness", "colors", "color_identity",
+  "keywords", "legalities", "games", "reserved", "finishes", "frame", "frame_effects", "border_color", "full_art",
+  "textless", "promo", "promo_types", "reprint", "artist", "prices", "image_uris", "card_faces", "edhrec_rank"
+];
+const FACE_FIELDS = ["name", "mana_cost", "type_line", "oracle_text", "power", "toughness", "colors", "artist", "image_uris"];
+// Image sizes the app shows (see candidates.js)
+const IMAGE_SIZES = ["small", "normal", "large"];
+
+const pick = (object, fields) => Object.fromEntries(fields.filter(f => object[f] !== undefined).map(f => [f, object[f]]));
+
+function trimCard(card) {
+  const trimmed = pick(card, CARD_FIELDS);
+  if (card.image_uris) trimmed.image_uris = pick(card.image_uris, IMAGE_SIZES);
+  if (Array.isArray(card.card_faces)) {
+    trimmed.card_faces = card.card_faces.map(face => {
+      const trimmedFace = pick(face, FACE_FIELDS);
+      if (face.image_uris) trimmedFace.image_uris = pick(face.image_uris, IMAGE_SIZES);
+      return trimmedFace;
+    });
+  }
+  return trimmed;
+}
+
+// Returns a function that makes a card reuse the values earlier printings had, so equal values are kept once. Ids,
+// prices and image links differ per printing and are not worth keeping track of.
+function createSharing() {
+  const seen = new Map();
+  const share = value => {
+    if (value === null || (typeof value !== "string" && typeof value !== "object")) return value;
+    const key = typeof value === "string" ? `s${value}` : `o${JSON.stringify(value)}`;
+    if (!seen.has(key)) seen.set(key, value);
+    return seen.get(key);
+  };
+  const UNIQUE = ["id", "collector_number", "image_uris", "prices", "edhrec_rank", "illustration_id"];
+  const shareFields = object => Object.fromEntries(Object.entries(object).map(([field, value]) =>
+    [field, UNIQUE.includes(field) ? value : share(value)]));
+  return card => {
+    const shared = shareFields(card);
+    if (card.card_faces) shared.card_faces = card.card_faces.map(shareFields);
+    return shared;
+  };
+}
+
+const normalizeName = name => String(name).toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ").trim();
+const printingKey = (set, collectorNumber) => `${String(set).toLowerCase()}:${collectorNumber}`;
+
+/*
+Call onObject for every top-level object in a JSON array that arrives in chunks.
+Tracks strings and nesting depth, so it works whatever the formatting of the file.
+*/
+function createArrayParser(onObject) {
+  let buffer = "";
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let start = -1;
+  return chunk => {
+    const offset = buffer.length;
+    buffer += chunk;
+    for (let i = offset; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        depth++;
+        if (depth === 2 && char === "{") start = i;
+      } else if (char === "}" || char === "]") {
+        if (depth === 2 && char === "}" && start !== -1) {
+          onObject(JSON.parse(buffer.slice(start, i + 1)));
+          start = -1;
+        }
+        depth--;
+      }
+    }
+    // Keep only the unfinished object
+    if (start === -1) {
+      buffer = "";
+    } else {
+      buffer = buffer.slice(start);
+      start = 0;
+    }
+  };
+}
+
+function readMeta(dir = mirrorDir()) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "meta.json"), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/*
+Import default_cards into the mirror directory unless it is already current (pass force to import anyway).
+Returns the mirror's meta with imported: true/false.
+*/
+async function importDefaultCards({ force = false, signal } = {}) {
+  const dir = mirrorDir();
+  const { body: bulk } = await scryfallGet("/bulk-data/default-cards", { signal });
+  const current = readMeta(dir);
+  if (!force && current && current.bulk_updated_at === bulk.updated_at) {
+    return { ...current, imported: false };
+  }
+
+  // Bulk files are served from Scryfall's file host, which has no rate limit and needs no API headers
+  const res = await fetch(bulk.download_uri, { signal });
+  if (!res.ok) throw new Error(`Downloading ${bulk.download_uri} failed with HTTP ${res.status}`);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  const tmpFile = path.join(dir, `cards.ndjson.${process.pid}.tmp`);
+  const out = fs.createWriteStream(tmpFile);
+  let count = 0;
+  const lines = [];
+  const parse = createArrayParser(card => {
+    if (card.object && card.object !== "card") return;
+    lines.push(JSON.stringify(trimCard(card)));
+    count++;
+  });
+  const decoder = new TextDecoder();
+  try {
+    for await (const chunk of res.body) {
+      parse(decoder.decode(chunk, { stream: true }));
+      if (lines.length > 0 && !out.write(lines.splice(0).join("\n") + "\n")) {
+        await new Promise(resolve => out.once("drain", resolve));
+      }
+    }
+    parse(decoder.decode());
+    if (lines.length > 0) out.write(lines.splice(0).join("\n") + "\n");
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+  } catch (err) {
+    out.destroy();
+    await fs.promises.rm(tmpFile, { force: true });
+    throw err;
+  }
+
+  await fs.promises.rename(tmpFile, path.join(dir, "cards.ndjson"));
+  const meta = { bulk_updated_at: bulk.updated_at, imported_at: new Date().toISOString(), count };
+  await fs.promises.writeFile(path.join(dir, "meta.json"), JSON.stringify(meta));
+  mirror = null;
+  return { ...meta, imported: true };
+}
+
+/* LOADED MIRROR */
+
+// { meta, cards, byId, byPrinting, byName } or null when there is no mirror on disk
+let mirror = null;
+let loading = null;
+
+async function loadMirror(dir) {
+  const meta = readMeta(dir);
+  if (!meta) return null;
+  const cards = [];
+  const byId = new Map();
+  const byPrinting = new Map();
+  const byName = new Map();
+  // Mirrors imported before the current CARD_FIELDS are trimmed again
+  const compact = createSharing();
+  const lines = readline.createInterface({ input: fs.createReadStream(path.join(dir, "cards.ndjson")), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    const card = compact(trimCard(JSON.parse(line)));
+    cards.push(card);
+    byId.set(card.id, card);
+    byPrinting.set(printingKey(card.set, card.collector_number), card);
+    // Double-faced cards are also found by the name of each face
+    const names = new Set([card.name, ...(card.card_faces || []).map(face => face.name)]);
+    for (const name of names) {
+      const key = normalizeName(name);
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(card);
+    }
+  }
+  return { meta, cards, byId, byPrinting, byName };
+}
+
+// The loaded mirror, or null when none was imported yet.
+async function getMirror() {
+  if (mirror) return mirror;
+  if (!loading) {
+    loading = loadMirror(mirrorDir())
+      .then(loaded => (mirror = loaded))
+      .finally(() => (loading = null));
+  }
+  return await loading;
+}
+
+// Forget the loaded mirror, e.g. between tests.
+function clearMirror() {
+  mirror = null;
+}
+
+/*
+Import now when the mirror is missing or older than the refresh interval, then every interval.
+Failures are logged and retried at the next interval. Returns a function that stops the schedule.
+*/
+function scheduleMirrorRefresh() {
+  const intervalMs = refreshHours() * 60 * 60 * 1000;
+  const refresh = () => importDefaultCards()
+    .then(meta => meta.imported && console.log(`Scryfall mirror updated: ${meta.count} cards`))
+    .catch(err => console.error("Refreshing the Scryfall mirror failed:", err.message));
+
+  const meta = readMeta();
+  if (!meta || Date.now() - Date.parse(meta.imported_at) > intervalMs) refresh();
+  const timer = setInterval(refresh, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+if (require.main === module) {
+  importDefaultCards({ force: process.argv.includes("--force") })
+    .then(meta => console.log(meta.imported ? `Imported ${meta.count} cards` : "Scryfall mirror is already up to date"))
+    .catch(err => {
+      console.error(err);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  importDefaultCards,
+  getMirror,
+  clearMirror,
+  scheduleMirrorRefresh,
+  normalizeName,
+  printingKey
+};
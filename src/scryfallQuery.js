@@ -0,0 +1,80 @@
+/*
+
+Translate scryfall_search tool arguments into Scryfall search syntax (https://scryfall.com/docs/syntax).
+
+Every structured filter maps onto one or more search terms; lists of alternatives (rarities, finishes) are OR-ed,
+everything else is AND-ed. raw_query is appended in parentheses, for anything the structured filters cannot express;
+an "or" inside it cannot widen the other filters. Unless overridden (by the arguments, or a game:, in:paper/arena/mtgo
+or unique: term in raw_query), searches are limited to paper cards and return every printing (game:paper unique:prints).
+
+*/
+
+const { CURRENCIES } = require('./pricing.js');
+
+const COLOR_OPERATORS = { at_least: ">=", exactly: "=", at_most: "<=" };
+
+// Scryfall values are quoted; quotes inside them cannot be escaped, so they are dropped.
+const quote = value => `"${String(value).replace(/"/g, "")}"`;
+
+// A term per word, so "legendary creature" matches both words anywhere in the field.
+const wordTerms = (prefix, text) => text.split(/\s+/).filter(Boolean).map(word => `${prefix}:${quote(word)}`);
+
+// (a OR b) for alternatives, a single term stays bare.
+const anyOf = terms => terms.length > 1 ? `(${terms.join(" OR ")})` : terms[0];
+
+const colorValue = colors => colors.length === 0 ? "c" : colors.join("");
+
+function rangeTerms(field, min, max) {
+  const terms = [];
+  if (min !== undefined && min !== null && min === max) return [`${field}=${min}`];
+  if (min !== undefined && min !== null) terms.push(`${field}>=${min}`);
+  if (max !== undefined && max !== null) terms.push(`${field}<=${max}`);
+  return terms;
+}
+
+function buildScryfallQuery(args = {}) {
+  const query = [];
+  const {
+    name, oracle_text, type, reserved, colors, colors_match, color_identity, color_identity_match,
+    mana_value_min, mana_value_max, power_min, power_max, toughness_min, toughness_max,
+    rarity, legal_in, is, artist, frame, border, finishes, language, set,
+    collector_number_min, collector_number_max, price_min, price_max, currency,
+    unique, game, raw_query
+  } = args;
+
+  if (name) query.push(`name:${quote(name)}`);
+  if (oracle_text) query.push(...wordTerms("o", oracle_text));
+  if (type) query.push(...wordTerms("t", type));
+  if (reserved) query.push("is:reserved");
+  if (Array.isArray(colors) && (colors.length > 0 || colors_match === "exactly")) {
+    query.push(`c${COLOR_OPERATORS[colors_match] || ">="}${colorValue(colors)}`);
+  }
+  if (Array.isArray(color_identity)) {
+    // Without an operator this answers "fits in a deck with this commander"
+    query.push(`id${COLOR_OPERATORS[color_identity_match] || "<="}${colorValue(color_identity)}`);
+  }
+  query.push(...rangeTerms("mv", mana_value_min, mana_value_max));
+  query.push(...rangeTerms("pow", power_min, power_max));
+  query.push(...rangeTerms("tou", toughness_min, toughness_max));
+  if (Array.isArray(rarity) && rarity.length > 0) query.push(anyOf(rarity.map(r => `r:${r}`)));
+  if (Array.isArray(legal_in)) query.push(...legal_in.map(format => `legal:${format}`));
+  if (Array.isArray(is)) query.push(...is.map(flag => `is:${flag}`));
+  if (artist) query.push(`a:${quote(artist)}`);
+  if (frame) query.push(`frame:${frame}`);
+  if (border) query.push(`border:${border}`);
+  if (Array.isArray(finishes) && finishes.length > 0) query.push(anyOf(finishes.map(finish => `is:${finish}`)));
+  if (language) query.push(`lang:${language}`);
+  if (set) query.push(`set:${set}`);
+  query.push(...rangeTerms("cn", collector_number_min, collector_number_max));
+  query.push(...rangeTerms(CURRENCIES.includes(currency) ? currency : "usd", price_min, price_max));
+
+  const raw = typeof raw_query === "string" ? raw_query.trim() : "";
+  // The defaults only apply when neither the arguments nor the raw query choose otherwise. in:<set> and in:<rarity>
+  // do not choose a game.
+  if (!/(^|[\s(])(game:|in:(paper|arena|mtgo)\b)/i.test(raw)) query.push(`game:${game || "paper"}`);
+  if (!/(^|[\s(])unique:/i.test(raw)) query.push(`unique:${unique || "prints"}`);
+  if (raw) query.push(`(${raw})`);
+  return query.join(" ");
+}
+
+module.exports = { buildScryfallQuery };
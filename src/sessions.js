@@ -0,0 +1,206 @@
+/*
+
+Server-side conversation sessions.
+
+Instead of shipping the whole history on every POST, a client can create a conversation and then only send
+the new message plus its conversation_id. The server loads the history, compacts it and stores the result.
+
+Every store implements the same async interface, shaped after a DynamoDB table keyed on conversation_id, so a
+DynamoDB-backed store can be dropped in without touching the handlers:
+- get(conversationId) -> session or null
+- put(session) -> session
+- delete(conversationId) -> true when something was deleted
+- list({ limit, owner }) -> session summaries (no messages), most recently updated first. When owner is given
+  (null for the service account) only that user's sessions are listed.
+
+A session looks like: { conversation_id, title, owner, created_at, updated_at, messages: [...] }
+owner is the authenticated user's id (see auth.js), or null when the service account was used.
+
+The store is selected by SESSION_STORE ("memory", the default, or "file" with SESSION_DIR).
+Note that on Lambda both are per-instance: memory is lost on cold start, and the file store should point at /tmp.
+
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Number of user/assistant messages preserved when compacting a history
+const PRESERVED_TURNS = 5;
+
+function newSession({ title, owner = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    conversation_id: crypto.randomUUID(),
+    title: title || "New conversation",
+    owner,
+    created_at: now,
+    updated_at: now,
+    messages: []
+  };
+}
+
+function summarize(session) {
+  const { messages, ...summary } = session;
+  return { ...summary, message_count: Array.isArray(messages) ? messages.length : 0 };
+}
+
+// Whether a session belongs to the given user (null for the service account). Older sessions have no owner.
+function isOwnedBy(session, owner) {
+  return (session.owner ?? null) === (owner ?? null);
+}
+
+/* STORES */
+
+function createMemorySessionStore() {
+  const sessions = new Map();
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    async get(conversationId) {
+      return sessions.has(conversationId) ? copy(sessions.get(conversationId)) : null;
+    },
+    async put(session) {
+      sessions.set(session.conversation_id, copy(session));
+      return session;
+    },
+    async delete(conversationId) {
+      return sessions.delete(conversationId);
+    },
+    async list({ limit = 50, owner } = {}) {
+      return [...sessions.values()]
+        .filter(session => owner === undefined || isOwnedBy(session, owner))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, limit)
+        .map(summarize);
+    }
+  };
+}
+
+// One JSON file per conversation in the given directory.
+function createFileSessionStore(dir) {
+  // Conversation ids come from the client, so never let them escape the directory.
+  const fileFor = conversationId => {
+    if (!/^[A-Za-z0-9_-]+$/.test(conversationId || "")) return null;
+    return path.join(dir, `${conversationId}.json`);
+  };
+  const readSession = async file => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  return {
+    async get(conversationId) {
+      const file = fileFor(conversationId);
+      return file ? await readSession(file) : null;
+    },
+    async put(session) {
+      const file = fileFor(session.conversation_id);
+      if (!file) throw new Error(`Invalid conversation id: ${session.conversation_id}`);
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written session behind
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(session));
+      await fs.promises.rename(tmp, file);
+      return session;
+    },
+    async delete(conversationId) {
+      const file = fileFor(conversationId);
+      if (!file) return false;
+      try {
+        await fs.promises.unlink(file);
+        return true;
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+    async list({ limit = 50, owner } = {}) {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const sessions = await Promise.all(
+        files.filter(f => f.endsWith(".json")).map(f => readSession(path.join(dir, f)))
+      );
+      return sessions
+        .filter(session => session && (owner === undefined || isOwnedBy(session, owner)))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, limit)
+        .map(summarize);
+    }
+  };
+}
+
+let sessionStore = null;
+
+function getSessionStore() {
+  if (!sessionStore) {
+    if (process.env.SESSION_STORE === "file") {
+      sessionStore = createFileSessionStore(process.env.SESSION_DIR || path.join(process.cwd(), ".sessions"));
+    } else {
+      sessionStore = createMemorySessionStore();
+    }
+  }
+  return sessionStore;
+}
+
+// Replace the active store, e.g. with a DynamoDB-backed one or a fresh one in tests.
+function setSessionStore(store) {
+  sessionStore = store;
+}
+
+/* HISTORY COMPACTION */
+
+// Clean up a message history before it is sent to the model again, to minimize token usage.
+function compactHistory(incomingMessages) {
+  incomingMessages = Array.isArray(incomingMessages) ? [...incomingMessages] : [];
+  // Clean-up Step 1: Remove the details from scryfall if they exist (histories from before candidates.js).
+  // Model output messages also carry an array of content parts, but those are typed as "message".
+  if (
+    incomingMessages.length > 0 &&
+    incomingMessages[incomingMessages.length - 1].role === "assistant" &&
+    incomingMessages[incomingMessages.length - 1].type !== "message" &&
+    Array.isArray(incomingMessages[incomingMessages.length - 1].content) &&
+    incomingMessages[incomingMessages.length - 1].content.every(obj => typeof obj === "object" && obj !== null)
+  ) {
+    incomingMessages.pop();
+  }
+  // Clean-up Step 2: Remove the system message at index 0.
+  if (incomingMessages.length > 0 && incomingMessages[0].role === "system") {
+    incomingMessages.shift();
+  }
+  // Clean-up Step 3: Remove the developer message that followed the system message.
+  if (incomingMessages.length > 0 && incomingMessages[0].role === "developer") {
+    incomingMessages.shift();
+  }
+  // Preserve the last PRESERVED_TURNS user and assistant messages and everything after the first of them, in their
+  // original order. Tool calls, their outputs and developer notes before it belong to older turns and go with them.
+  let start = incomingMessages.length;
+  let count = 0;
+  while (start > 0 && count < PRESERVED_TURNS) {
+    start--;
+    if (incomingMessages[start].role === "user" || incomingMessages[start].role === "assistant") count++;
+  }
+  const preservedMessages = incomingMessages.slice(start);
+  // An output is only kept with its call
+  const callIds = new Set(preservedMessages.filter(m => m.type === "function_call").map(m => m.call_id));
+  return preservedMessages.filter(m => m.type !== "function_call_output" || callIds.has(m.call_id));
+}
+
+module.exports = {
+  newSession,
+  summarize,
+  isOwnedBy,
+  createMemorySessionStore,
+  createFileSessionStore,
+  getSessionStore,
+  setSessionStore,
+  compactHistory
+};
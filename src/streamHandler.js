@@ -12,50 +12,28 @@ Once a specific card has been identified, the agent moves to step 2.
 Second, the agent uses the collected details as inputs for my card collection tracker API. 
 This API performs CRUD operations on my card collection database.
 
-This implementation is stateless: We rely on message history as being passed in the POST request to (re)construct state, and control the workflow.
+By default this implementation is stateless: We rely on message history as being passed in the POST request to (re)construct state, and control the workflow.
+When the request carries a conversation_id instead, the history is loaded from and saved to the session store (see sessions.js).
 
 */
 
-const { OpenAI } = require('openai');
-const { scryfallTool, vectorStoreTool, fetchTrackerFunctions } = require("./tools.js");
+const { requestProvider, outputText } = require("./providers.js");
+const { scryfallTool, vectorStoreTool, undoTool, collectionTools, wantListTools, fetchTrackerFunctions, isReadOnlyTool } = require("./tools.js");
 const { toolExecutors } = require("./executors.js");
-const { SecretsManagerClient, GetSecretValueCommand } = require("@aws-sdk/client-secrets-manager");
+const { getSessionStore, compactHistory, isOwnedBy } = require("./sessions.js");
+const { saveCandidates, candidatesEvent, candidatesMessage } = require("./candidates.js");
+const { createEventStream } = require("./events.js");
+const { ERROR_CODES, AgentError, toAgentError, toolErrorOutput } = require("./errors.js");
+const { getLimits, createBudget, withTimeout, STOP_MESSAGES } = require("./limits.js");
+const { recordChange } = require("./auditLog.js");
+const { classifyTrackerCall, classifyUndoCall, classifyImportCall, createPendingAction, takePendingAction, restorePendingAction, pendingActionEvent, confirmationMessage } = require("./confirmations.js");
 //const fs = require('fs');
 
 /* HELPER FUNCTIONS */
 
-// Get openAI API key:
-let openaiApiKey = null;
-async function initOpenAIApiKey() {
-  if (process.env.OPENAI_API_KEY_SECRET_ARN) {
-    const secretsClient = new SecretsManagerClient({});
-    const secretCommand = new GetSecretValueCommand({
-      SecretId: process.env.OPENAI_API_KEY_SECRET_ARN
-    });
-    const secretResponse = await secretsClient.send(secretCommand);
-    openaiApiKey = secretResponse.SecretString;
-  } else {
-    // When running locally, we just use the environment variable:
-    openaiApiKey = process.env.OPENAI_API_KEY;
-  }
-}
-let client = null;
-
-// Instantiate the OpenAI client:
-async function ensureOpenAIClient() {
-  if (!openaiApiKey) {
-    await initOpenAIApiKey();
-  }
-  if (!client) {
-    client = new OpenAI({
-      apiKey: openaiApiKey 
-    });
-  }
-}
-
 // Interpret the user's intent and classify which step of the process we need to execute:
 // async function classifyStep(userMessage, recentMessages = []) {
-//   await ensureOpenAIClient();
+//   const provider = await getProvider();
 //   const filteredMessages = recentMessages
 //     .filter(m =>
 //       m.role === 'user' ||
@@ -118,13 +96,20 @@ async function ensureOpenAIClient() {
 // Key = step number, value = array of tools to use
 // For step 1, we use and local singlecard storage
 // For step 2, we use the tracker tools fetched from the backend
-async function getTools( toolset ) {
+// When the tracker spec cannot be loaded we carry on without tracker tools, and tell the user through events (if given).
+async function getTools( toolset, events ) {
   if ( toolset === 'search' ) {
     return [...scryfallTool, ...vectorStoreTool];
   }
   if ( toolset === 'full' ) {
-    const trackerTools = await fetchTrackerFunctions();
-    return [...scryfallTool, ...vectorStoreTool, ...trackerTools];
+    let trackerTools = [];
+    try {
+      trackerTools = await fetchTrackerFunctions();
+    } catch (err) {
+      console.error("Tracker tools unavailable:", err);
+      events?.status("Collection tools are unavailable right now, continuing without them.");
+    }
+    return [...scryfallTool, ...vectorStoreTool, ...trackerTools, ...undoTool, ...collectionTools, ...wantListTools];
   }
 }
 
@@ -138,13 +123,25 @@ const systemContentMap = {
     You have access to the following tools:
     - file_search: There are separate vector stores for various contexts: You have access to all rules information (Authoritative), and all important card details (Non-authoritative, use scryfall_search to confirm).
     - scryfall_search: the authoritative source for ACCURATE and COMPLETE information about cards.
+    - scryfall_get_printing, scryfall_get_card_by_id, scryfall_get_card_by_name: look up one exact printing (by set code and collector number, Scryfall id, or name). Just as authoritative as scryfall_search.
+    - scryfall_autocomplete: completes a partial card name into full card names.
+    - scryfall_get_prices: current prices of one printing per finish.
     - tracker_*: tool that allow you to manage and get information on the user's card collection.
+    - undo_last_change: reverts your most recent change to the collection, when the user asks to undo it.
+    - collection_value: what the user's collection (or part of it) is worth.
+    - import_card_list: resolves a whole pasted card list to exact printings. Show the user the ambiguous and unresolved lines and let them pick candidates (pass their picks as choices). Then call import_card_list again with the same text and choices and commit true to add the list; never apply its operations with tracker_batch.
+    - export_collection: exports the collection as a Moxfield/Deckbox/TCGplayer CSV, a tradelist or JSON. Give the user the download link (it expires after 10 minutes), and the content when it is short.
+    - evaluate_trade: prices a proposed trade and says whether it is fair. Show both sides, the difference and the balancing suggestions, and let the user pick candidates for ambiguous lines. Only when the user accepts the trade, call tracker_batch with exactly the returned operations.
+    - check_deck: whether a decklist can be built from the collection, what is missing and what that costs, and whether the deck is legal in a format. Use it for such questions instead of reading the whole collection with tracker_getAllCards.
+    - want_list_add / want_list_remove / want_list_query: the cards the user is looking for. These are not in the collection, never use tracker tools for them.
+    - want_list_match: which cards on someone's pasted tradelist the user wants, and which of the user's cards they might want.
     
     ### Workflow:
     1. Upon receiving user input, determine if the user is asking a generic queestion, looking for cards outside of the collection, or about cards inside the collection.
     2. If the user is talking about these cards in relation to their collection, you MUST use tracker_getAllCards or tracker_getCard tools to verify if the user has these cards.
     3. Do not announce this to the user - Simply call the tools. Ask for clarification if the results are too broad (more than 20 results)
     4. **ALWAYS** ensure a scryfall_search to get ACCURATE and COMPLETE card data before using other tracker_* tools: The result consists of accurate collector numbers and set codes to use when calling tracker_ tools.
+       When the user names one specific printing (e.g. "UMA 236"), use scryfall_get_printing instead.
     5. If scryfall_search returns no results, do **not** assume file_search is correct. Retry scryfall_search with modified parameters.
     6. Scryfall_search results are presented to the user for confirmation or refinement; This step does not involve you directly. If the user wants to narrow the search, repeat the process starting from step 1.
     7. Once one or more cards from the scryfall_search results are clearly identified, **use the appropriate tracker_* tool(s)** to perform the requested operations (add, remove, update, etc.).
@@ -163,10 +160,11 @@ const systemContentMap = {
     - You MUST always use the tracker_tools to perform any collection operation. 
     - **NEVER** say you performed an action unless you have called the appropriate tracker tool and received a successful tool response.
     - If the user's intent is clear (for example, "add 2 foil copies of Ancient Tomb from Ultimate Masters"), IMMEDIATELY call the appropriate tracker tool without asking for confirmation or clarification.
+    - Deletes, batches and large quantity changes (also those an undo or an import would make) are confirmed by the user through the app, not by you. When a tracker tool, undo_last_change or import_card_list returns status "pending_confirmation", the change has NOT been made yet.
     - If the user's intent is not clear, clarify with the user.
     - When you use tracker_createCard or tracker_updateCard, you MUST always include the "finishes" object. This also applies to calling tracker_batch with create or update operations included.
     - **NEVER** decide the card_number(s) and set_code(s) yourself when dealing with the tracker_* tools. 
-      Setcode and cardnumber MUST come from scryfall_search results when making tracker_createCard or tracker_batch (with create operations included) function calls.  
+      Setcode and cardnumber MUST come from scryfall_search or scryfall_get_* results when making tracker_createCard or tracker_batch (with create operations included) function calls.  
       Setcode and cardnumber MUST come from tracker_getAllCards results when making tracker_delete or tracker_update function calls. 
 
     ### Behavioral rules:
@@ -190,6 +188,155 @@ const systemContentMap = {
   // `
 };
 
+// Run one model call through the provider, relaying progress and assistant text to the client as it arrives.
+// Returns the completed event: { output, usage }
+async function runModel(provider, messages, tools, events, turn, signal) {
+  let completed = null;
+  try {
+    for await (const event of provider.stream({ input: messages, tools: tools, temperature: 0.2 }, { signal })) {
+      //fs.appendFileSync('streamHandler.log', JSON.stringify(event) + '\n');
+      if (event.type === "text_delta") {
+        events.send("text_delta", { turn, delta: event.delta });
+      } else if (event.type === "tool_call_started") {
+        if (event.hosted) {
+          events.status("Searching Vector Stores for card and/or rules information.");
+        } else {
+          events.status(`Preparing ${event.name}`);
+        }
+      } else if (event.type === "completed") {
+        completed = event;
+      }
+    }
+  } catch (err) {
+    throw toAgentError(err, ERROR_CODES.MODEL_ERROR);
+  }
+  if (!completed) {
+    throw new AgentError(ERROR_CODES.MODEL_ERROR, `${provider.name} ended the response without completing it`);
+  }
+  return completed;
+}
+
+// Parse the arguments of a function call. Invalid JSON is reported back to the model instead of crashing the run.
+function parseArguments(fc) {
+  try {
+    return { args: fc.arguments ? JSON.parse(fc.arguments) : {} };
+  } catch (err) {
+    return {
+      args: null,
+      error: new AgentError(ERROR_CODES.INVALID_ARGUMENTS, `Arguments for ${fc.name} are not valid JSON: ${err.message}`)
+    };
+  }
+}
+
+// Execute a tool within its time limit. Failures are returned as tool output so the model can recover; only an abort is rethrown.
+// Tracker calls run with the authenticated user's token (see auth.js), or the service account when there is none.
+// Changes they make are recorded in the audit log (see auditLog.js).
+async function executeTool(toolName, args, { signal, timeoutMs, user, conversationId }) {
+  // Determine executor
+  let executor;
+  if (toolName.startsWith("tracker_")) {
+    executor = toolExecutors["tracker_dynamic"];
+  } else {
+    executor = toolExecutors[toolName];
+  }
+
+  if (!executor) {
+    console.log(`No executor found for tool: ${toolName}`);
+    return toolErrorOutput(new AgentError(ERROR_CODES.UNKNOWN_TOOL, `No executor found for tool: ${toolName}`));
+  }
+
+  try {
+    return await withTimeout(
+      toolSignal => {
+        if (!toolName.startsWith("tracker_")) {
+          return executor(args, { signal: toolSignal, user, conversationId });
+        }
+        const callTracker = (name, callArgs) => executor(name, callArgs, user?.token, { signal: toolSignal });
+        return recordChange({ toolName, args, owner: user?.id, conversationId }, callTracker, () => callTracker(toolName, args));
+      },
+      timeoutMs,
+      signal,
+      toolName
+    );
+  } catch (err) {
+    if (signal.aborted) throw err;
+    console.log(`Error executing ${toolName}:`, err);
+    return toolErrorOutput(err);
+  }
+}
+
+// What the model sees of a scryfall_search result: the printings, plus Scryfall's warnings and the total when the
+// page cap cut the results short (see scryfallClient.js).
+function scryfallOutput(result) {
+  if (!result.has_more && !(result.warnings && result.warnings.length > 0)) return result.summary;
+  return { results: result.summary, total_cards: result.total_cards, has_more: result.has_more, warnings: result.warnings };
+}
+
+// Remove earlier calls of a tool and their outputs from the history, keeping the calls of the current round.
+function pruneEarlierCalls(messages, toolName, roundCallIds) {
+  const earlier = new Set(messages
+    .filter(m => m.type === "function_call" && m.name === toolName && !roundCallIds.has(m.call_id))
+    .map(m => m.call_id));
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if ((m.type === "function_call" || m.type === "function_call_output") && earlier.has(m.call_id)) messages.splice(i, 1);
+  }
+}
+
+// Run the tool calls of one model response. Consecutive read-only calls run concurrently (at most `concurrency`
+// at a time); any other call waits for everything before it and runs on its own, so tracker writes stay ordered.
+// Results are returned in the original call order.
+async function runToolCalls(calls, concurrency, run) {
+  const results = new Array(calls.length);
+  let i = 0;
+  while (i < calls.length) {
+    if (!isReadOnlyTool(calls[i].name)) {
+      results[i] = await run(calls[i]);
+      i++;
+      continue;
+    }
+    let end = i;
+    while (end < calls.length && isReadOnlyTool(calls[end].name)) end++;
+    let next = i;
+    const worker = async () => {
+      while (next < end) {
+        const index = next++;
+        results[index] = await run(calls[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, end - i) }, worker));
+    i = end;
+  }
+  return results;
+}
+
+// Execute (approved) or cancel the calls of a confirmed pending action. Their output replaces the
+// pending_confirmation output in the history; the calls are re-added in case the client dropped them.
+// Every call is removed from the action before it runs, so a restored action never repeats it.
+async function resolvePendingAction(action, approved, messages, events, { signal, budget, user, conversationId }) {
+  events.status(approved ? "Making the confirmed changes..." : "Cancelling the proposed changes...");
+  const calls = action.calls;
+  const callIds = calls.map(call => call.call_id);
+  const history = messages.filter(m => !callIds.includes(m.call_id));
+  for (const call of calls) {
+    action.calls = action.calls.filter(pending => pending !== call);
+    let result;
+    if (approved) {
+      events.send("tool_call_started", { call_id: call.call_id, name: call.name, arguments: call.arguments });
+      const timeoutMs = Math.max(Math.min(budget.limits.toolTimeoutMs, budget.remainingMs()), 1);
+      result = await executeTool(call.name, call.arguments, { signal, timeoutMs, user, conversationId });
+      events.send("tool_call_result", { call_id: call.call_id, name: call.name, status: result?.status === "error" ? "error" : "success", output: result });
+    } else {
+      result = { status: "cancelled", message: "The user declined this change, it was not made." };
+    }
+    history.push(
+      { type: "function_call", call_id: call.call_id, name: call.name, arguments: JSON.stringify(call.arguments) },
+      { type: "function_call_output", call_id: call.call_id, output: JSON.stringify(result) }
+    );
+  }
+  return history;
+}
+
 /* Main agent function: 
 - Classify the step
 - Configure the step specific system prompt and tools
@@ -201,259 +348,297 @@ const systemContentMap = {
 */
 
 async function sendMessage(req, res) {
-  const userInput = req.body.message;
-  let incomingMessages = req.body.messages || [];
-  
-
-  //Set up streaming response headers
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.flushHeaders();
-
-  res.write(`data: ${JSON.stringify({ step: "Initializing OpenAI client..." })}\n\n`);
-  await ensureOpenAIClient();
-  incomingMessages = Array.isArray(incomingMessages) ? incomingMessages : [];
-  // Clean-up Step 1: Remove the details from scryfall if they exist.
-  if (
-    incomingMessages.length > 0 &&
-    incomingMessages[incomingMessages.length - 1].role === "assistant" &&
-    Array.isArray(incomingMessages[incomingMessages.length - 1].content) &&
-    incomingMessages[incomingMessages.length - 1].content.every(obj => typeof obj === "object" && obj !== null)
-  ) {
-    incomingMessages.pop();
-  }
-  // Clean-up Step 2: Remove the system message at index 0.
-  if (incomingMessages.length > 0 && incomingMessages[0].role === "system") {
-    incomingMessages.shift();
+  const conversationId = req.body.conversation_id;
+
+  // Server-side session: load the history instead of trusting the client to send it.
+  let session = null;
+  if (conversationId) {
+    session = await getSessionStore().get(conversationId);
+    // Someone else's conversation is reported as missing, so ids cannot be probed
+    if (!session || !isOwnedBy(session, req.user?.id)) {
+      return res.status(404).json({ error: `Conversation ${conversationId} not found` });
+    }
   }
-  // Clean-up Step 3: Remove any consecutive duplicate user messages (keep the latest)
-    if (incomingMessages.length > 0 && incomingMessages[0].role === "developer") {
-    incomingMessages.shift();
+
+  // A confirmation is only accepted once, and only from the user the action was proposed to (see confirmations.js).
+  // It is put back when the run fails before the held calls are resolved.
+  let pendingAction = null;
+  if (req.body.confirm) {
+    pendingAction = takePendingAction(req.body.confirm.action_id, req.user?.id);
+    if (!pendingAction) {
+      return res.status(404).json({ error: `Pending action ${req.body.confirm.action_id} not found or expired` });
+    }
   }
-  // Preserve only the last 5 user and assistant messages
-  const preservedMessages = [];
-  let count = 0;
-  for (let i = incomingMessages.length - 1; i >= 0 && count < 5; i--) {
-    const m = incomingMessages[i];
-    if (m.role === "user" || m.role === "assistant") {
-      preservedMessages.unshift(m);
-      count++;
+
+  //Set up the event stream (sets the streaming response headers)
+  const events = createEventStream(res, { owner: req.user?.id });
+
+  // Abort in-flight model and tool calls once nobody is listening anymore.
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!events.ended && events.listenerCount() === 0) {
+      controller.abort();
     }
+  });
+
+  try {
+    await runAgent(req, session, events, controller.signal, pendingAction);
+  } catch (err) {
+    // The confirmation is not used up by a run that failed before it was resolved
+    if (pendingAction) restorePendingAction(pendingAction);
+    const agentError = controller.signal.aborted
+      ? new AgentError(ERROR_CODES.CLIENT_DISCONNECTED, "The client disconnected, the request was aborted", { cause: err })
+      : toAgentError(err);
+    console.log("Agent run failed:", agentError.cause || agentError);
+    events.send("error", {
+      code: agentError.code,
+      message: agentError.code === ERROR_CODES.INTERNAL_ERROR ? "Something went wrong while handling your message." : agentError.message
+    });
+  } finally {
+    // Whatever happened, never leave the stream hanging
+    events.end();
+  }
+}
+
+// Why a write that would not need confirmation on its own is held anyway
+const FOLLOWS_HELD_REASON = "follows a change that needs confirmation";
+
+async function runAgent(req, session, events, signal, pendingAction) {
+  const approved = req.body.confirm?.approve === true;
+  const userInput = req.body.message || (pendingAction ? (approved ? "Yes, go ahead." : "No, don't make that change.") : undefined);
+  let incomingMessages = session ? session.messages : (req.body.messages || []);
+
+  events.status("Initializing model provider...");
+  const provider = await requestProvider({ provider: req.body.provider, model: req.body.model });
+  const budget = createBudget(getLimits(req.body.limits));
+  incomingMessages = compactHistory(incomingMessages);
+  if (pendingAction) {
+    incomingMessages = await resolvePendingAction(pendingAction, approved, incomingMessages, events, {
+      signal, budget, user: req.user, conversationId: session?.conversation_id
+    });
   }
-  // Add back any non-user/assistant messages (e.g., function_call, function_call_output)
-  const otherMessages = incomingMessages.filter(
-    m => m.role !== "user" && m.role !== "assistant"
-  );
-  incomingMessages = [...otherMessages, ...preservedMessages];
 
   //res.write(`data: ${JSON.stringify({ step: "Classifying step..." })}\n\n`);
   //let intent = await classifyStep(userInput, incomingMessages); 
   //res.write(`data: ${JSON.stringify({ step: intent === 1 ? "Step 1: finding cards" : "Step 2: manage card in collection" })}\n\n`);
-  res.write(`data: ${JSON.stringify({ step: "Preparing tools and context..." })}\n\n`);
+  events.status("Preparing tools and context...");
   
-  let tools = [];
-  //Get tool set based on whether we already have scryfall results:
-  for (let i = incomingMessages.length - 1; i >= 0; i--) {
-    const m = incomingMessages[i];
-    if (
-      ((m.type === "function_call" && m.name === "scryfall_search") ||
-      (m.type === "function_call_output" && incomingMessages.find(msg => msg.call_id === m.call_id && msg.name === "scryfall_search")))
-    ) {
-      //We have a scryfall_search call or output, set tools to "full" and break
-      tools = await getTools("full");
-      break;
-    } else {
-      tools = await getTools("full"); //await getTools("search");
-    }
-  }
-  if (tools.length === 0) {
-    tools = await getTools("full"); //await getTools("search");
-  }
+  // Every step currently uses the full tool set (getTools("search") is the scryfall-only alternative)
+  let tools = await getTools("full", events);
   // Determine which system prompt to use (step 1 or 2)
   let systemContent = systemContentMap["1"];
 
   //let systemContent = systemContentMap[intent] || "You are a helpful assistant.";
 
-  res.write(`data: ${JSON.stringify({ step: "Setting up conversational context..." })}\n\n`);
+  events.status("Setting up conversational context...");
   let messages = [
     { role: "system", content: systemContent },
     { role: "developer", content: "Do not explain or announce your actions. When a tool call is required, invoke the tool immediately without prefacing it with text like 'I'll search for' or 'Please hold on'." },
     ...incomingMessages,
     { role: "user", content: userInput },
   ];
-  // --- Initial assistant call using Responses API ---
-  res.write(`data: ${JSON.stringify({ step: "Contacting OpenAI..." })}\n\n`);
-  const stream = client.responses.stream({
-    model: "gpt-4o-mini",
-    input: messages,
-    tools: tools,
-    tool_choice: "auto",
-    temperature: 0.2,
-    stream: true
-  });
-
-  for await (const event of stream) {
-    //fs.appendFileSync('streamHandler.log', JSON.stringify(event) + '\n');
-    if (event.type === "response.output_item.added") {
-      if (event.item.type === "file_search_call") { 
-        res.write(`data: ${JSON.stringify({ step: "Searching Vector Stores for card and/or rules information." })}\n\n`);
+  // Every model call checks the budget first, and is cut off when the run's time is up.
+  // Returns null (with stopReason set) when a limit stops the run.
+  let turn = 0;
+  let stopReason = null;
+  const callModel = async () => {
+    stopReason = budget.exhausted();
+    if (stopReason) return null;
+    const deadline = AbortSignal.timeout(budget.remainingMs());
+    try {
+      const completed = await runModel(provider, messages, tools, events, turn, AbortSignal.any([signal, deadline]));
+      budget.recordUsage(completed.usage);
+      return completed;
+    } catch (err) {
+      if (deadline.aborted && !signal.aborted) {
+        stopReason = "max_wall_clock";
+        return null;
       }
-      if (event.item.type === "function_call") {
-        res.write(`data: ${JSON.stringify({ step: `Executing ${event.item.name}` })}\n\n`);
-      }
-    } else if (event.type === "response.function_call_arguments.done") {
-      res.write(`data: ${JSON.stringify({ step: `Passing arguments: ${event.arguments}` })}\n\n`);
-    } else if (event.type === "response.completed") {
-      res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
+      throw err;
     }
-  }
+  };
 
-  let response = await stream.finalResponse();
-  //res.write(`data: ${JSON.stringify({ response })}\n\n`);
-  res.write(`data: ${JSON.stringify({ step: "Processing response..." })}\n\n`);
-  response.output = response.output.map(item => {
-    if (item.type === "function_call" && "parsed_arguments" in item) {
-      // Remove only the parsed_arguments field, keep everything else unchanged
-      const { parsed_arguments, ...rest } = item;
-      return rest;e
-    }
-    return item;
-  });
+  // --- Initial assistant call ---
+  events.status(`Contacting ${provider.name}...`);
+  let response = await callModel();
+  events.status("Processing response...");
+  let finalText = response ? outputText(response.output) : "";
+  let awaitingSelection = false;
+  let awaitingConfirmation = false;
 
-  let assistantMessage = response.output?.find(o => o.type === "message");
+  let assistantMessage = response?.output.find(o => o.type === "message");
   if (assistantMessage) messages.push(assistantMessage);
   
-  let functionCalls = response.output.filter(o => o.type === "function_call");
+  let functionCalls = response ? response.output.filter(o => o.type === "function_call") : [];
   while (functionCalls.length > 0) {
-    res.write(`data: ${JSON.stringify({ step: "Executing tools..." })}\n\n`);
+    signal.throwIfAborted();
+    // Pending calls are dropped when we stop, so the history never holds a function_call without output
+    if (budget.rounds >= budget.limits.maxToolRounds) {
+      stopReason = "max_tool_rounds";
+      break;
+    }
+    stopReason = budget.exhausted();
+    if (stopReason) break;
+    budget.rounds++;
+    events.status("Executing tools...");
     let lastToolName = null;
     let lastScryfallResult = [];
-    for (const fc of functionCalls) {
-      messages.push(fc);
-      const toolName = fc.name;
-      lastToolName = fc.name;
-      const args = fc.arguments ? JSON.parse(fc.arguments) : {};
-      res.write(`data: ${JSON.stringify({ step: `Executing tool: ${toolName} with arguments: ${JSON.stringify(args)}` })}\n\n`);
-      // Determine executor
-      let executor;
-      if (toolName.startsWith("tracker_")) {
-        executor = toolExecutors["tracker_dynamic"];
+    let lastScryfallCallId = null;
+    // Tracker calls held back for the user's confirmation, and the output the model gets for them
+    const pendingCalls = [];
+    const pendingOutput = { status: "pending_confirmation", message: "This change needs the user's confirmation and has NOT been made yet." };
+
+    // Execute tools, reporting each one as it starts and finishes
+    const results = await runToolCalls(functionCalls, budget.limits.toolConcurrency, async fc => {
+      const { args, error } = parseArguments(fc);
+      let failure = error;
+      // Once a call is held, later writes wait for the same confirmation: they may depend on it, and must not have
+      // run when the user declines it. Writes run one at a time, so every earlier call has been classified by now.
+      const followsHeld = pendingCalls.length > 0 && !isReadOnlyTool(fc.name);
+      const holdAfter = change => ({
+        call_id: fc.call_id,
+        name: fc.name,
+        arguments: args,
+        reasons: [FOLLOWS_HELD_REASON],
+        change: change || { call_id: fc.call_id, name: fc.name, request: fc.name, body: args }
+      });
+      if (!failure && (fc.name.startsWith("tracker_") || fc.name === "undo_last_change" || fc.name === "import_card_list")) {
+        const callTracker = (name, callArgs) => toolExecutors.tracker_dynamic(name, callArgs, req.user?.token, { signal });
+        try {
+          const { confirm, reasons, change, arguments: heldArgs = args } = fc.name === "undo_last_change"
+            ? await classifyUndoCall(fc, args, { owner: req.user?.id, callTracker })
+            : fc.name === "import_card_list"
+              ? await classifyImportCall(fc, args, { callTracker, signal })
+              : await classifyTrackerCall(fc, args, { callTracker });
+          if (confirm) {
+            pendingCalls.push({ call_id: fc.call_id, name: fc.name, arguments: heldArgs, reasons, change });
+            return pendingOutput;
+          }
+          if (followsHeld) {
+            pendingCalls.push({ ...holdAfter(change), arguments: heldArgs });
+            return pendingOutput;
+          }
+        } catch (err) {
+          // The call is not made when we cannot tell whether it needs confirmation
+          if (signal.aborted) throw err;
+          console.log(`Error classifying ${fc.name}:`, err);
+          failure = err;
+        }
+      } else if (!failure && followsHeld) {
+        pendingCalls.push(holdAfter(null));
+        return pendingOutput;
+      }
+      events.send("tool_call_started", { call_id: fc.call_id, name: fc.name, arguments: args });
+      const timeoutMs = Math.max(Math.min(budget.limits.toolTimeoutMs, budget.remainingMs()), 1);
+      const result = failure ? toolErrorOutput(failure) : await executeTool(fc.name, args, { signal, timeoutMs, user: req.user, conversationId: session?.conversation_id });
+      const failed = Boolean(result && result.status === "error");
+      if (fc.name === "scryfall_search" && !failed) {
+        events.send("tool_call_result", { call_id: fc.call_id, name: fc.name, status: "success", output: result.summary });
+        events.status(`scryfall_search returned ${Array.isArray(result.summary) ? result.summary.length : 0} results`);
       } else {
-        executor = toolExecutors[toolName];
+        events.send("tool_call_result", { call_id: fc.call_id, name: fc.name, status: failed ? "error" : "success", output: result });
       }
+      return result;
+    });
 
-      if (!executor) {
-        console.log(`No executor found for tool: ${toolName}`);
-        continue;
-      }
+    let pendingAction = null;
+    if (pendingCalls.length > 0) {
+      pendingAction = createPendingAction(req.user?.id, pendingCalls);
+      pendingOutput.action_id = pendingAction.action_id;
+    }
 
-      // Execute tool
-      const result = toolName.startsWith("tracker_")
-        ? await executor(toolName, args)
-        : await executor(args);
+    // Append calls and results to the history in the order the model made them
+    const roundCallIds = new Set(functionCalls.map(fc => fc.call_id));
+    functionCalls.forEach((fc, index) => {
+      const result = results[index];
+      messages.push(fc);
+      const toolName = fc.name;
+      lastToolName = fc.name;
+      const failed = Boolean(result && result.status === "error");
       
-      if (toolName === "scryfall_search" ) {
-        // Remove previous scryfall_search function_call and function_call_output
-        for (let i = messages.length - 1; i >= 0; i--) {
-          const m = messages[i];
-          if (
-            ((m.type === "function_call" && m.name === "scryfall_search" && m.call_id !== fc.call_id) ||
-            (m.type === "function_call_output" && m.call_id !== fc.call_id && messages.find(msg => msg.call_id === m.call_id && msg.name === "scryfall_search")))
-          ) {
-            messages.splice(i, 1);
-          }
-        }
-        res.write(`data: ${JSON.stringify({ step: `scryfall_search returned ${Array.isArray(result.summary) ? result.summary.length : 0} results` })}\n\n`);
+      if (toolName === "scryfall_search" && !failed) {
+        // Remove scryfall_search calls and outputs of earlier rounds
+        pruneEarlierCalls(messages, "scryfall_search", roundCallIds);
         messages.push({
           call_id: fc.call_id,
           type: "function_call_output",
-          output: JSON.stringify(result.summary)
+          output: JSON.stringify(scryfallOutput(result))
         });
         lastScryfallResult = result;
+        lastScryfallCallId = fc.call_id;
       } else {
-        for (let i = messages.length - 1; i >= 0; i--) {
-          const m = messages[i];
-          if (
-            ((m.type === "function_call" && m.name === fc.name && m.call_id !== fc.call_id) ||
-            (m.type === "function_call_output" && m.call_id !== fc.call_id && messages.find(msg => msg.call_id === m.call_id && msg.name === fc.name)))
-          ) {
-            messages.splice(i, 1);
-          }
-        }
-        res.write(`data: ${JSON.stringify({ step: `${toolName} execution completed` })}\n\n`);
+        pruneEarlierCalls(messages, fc.name, roundCallIds);
         messages.push({
           call_id: fc.call_id,
           type: "function_call_output",
           output: typeof result === "string" ? result : JSON.stringify(result)
         });
-        messages.push({ role: "developer", content: "You have just completed a tracker_ operation. Do not assume the user has uploaded any data, or mention file uploads. Just summarize what was done, or ask what to do next instead." });
-      }
-
-      // Allow tracker tools when we have a scryfall search result:
-      if (toolName === "scryfall_search" && Array.isArray(result.summary) && result.summary.length > 0) {
-        tools = await getTools("full");
+        if (toolName.startsWith("tracker_") && result !== pendingOutput) {
+          messages.push({ role: "developer", content: "You have just completed a tracker_ operation. Do not assume the user has uploaded any data, or mention file uploads. Just summarize what was done, or ask what to do next instead." });
+        }
       }
       //console.log("Messages after tool executions:", messages);
+    });
+
+    // Allow tracker tools when we have a scryfall search result:
+    if (Array.isArray(lastScryfallResult.summary) && lastScryfallResult.summary.length > 0) {
+      tools = await getTools("full");
     }
 
-    // We have scryfall results for the user to pick from, so we do not call OpenAI yet.
-    if (lastToolName === "scryfall_search" && Array.isArray(lastScryfallResult.summary) && lastScryfallResult.summary.length > 1) {
-      messages.push({
-          "role": "assistant",
-          "content": lastScryfallResult.details
-        });
+    if (pendingAction) {
+      // Stop until the user confirms or declines with a follow-up request
+      finalText = confirmationMessage(pendingAction);
+      messages.push({ type: "message", role: "assistant", content: [{ type: "output_text", text: finalText }] });
+      events.send("pending_action", pendingActionEvent(pendingAction));
+      awaitingConfirmation = true;
+      functionCalls = [];
+    } else if (lastToolName === "scryfall_search" && Array.isArray(lastScryfallResult.summary) && lastScryfallResult.summary.length > 1) {
+      // We have scryfall results for the user to pick from, so we do not call OpenAI yet.
+      // The client gets the candidates by event; the history only references them (see candidates.js)
+      const candidates = saveCandidates(req.user?.id, lastScryfallCallId, lastScryfallResult.details);
+      finalText = candidatesMessage(candidates);
+      messages.push({ type: "message", role: "assistant", content: [{ type: "output_text", text: finalText }] });
+      events.send("card_candidates", candidatesEvent(candidates));
+      awaitingSelection = true;
       functionCalls = [];
     } else {
-      res.write(`data: ${JSON.stringify({ step: "Contacting OpenAI for follow-up..." })}\n\n`);
-      const followupStream = await client.responses.stream({
-        model: "gpt-4o-mini",
-        input: messages,
-        tools: tools, 
-        tool_choice: "auto",
-        temperature: 0.2,
-        stream: true
-      });
-
-      for await (const event of followupStream) {
-        //fs.appendFileSync('streamHandler.log', JSON.stringify(event) + '\n');
-        if (event.type === "response.output_item.added") {
-          if (event.item.type === "file_search_call") {
-            res.write(`data: ${JSON.stringify({ step: "Searching Vector DB for card information." })}\n\n`);
-          }
-          if (event.item.type === "function_call") {
-            res.write(`data: ${JSON.stringify({ step: `Executing ${event.item.name}` })}\n\n`);
-          }
-        } else if (event.type === "response.function_call_arguments.done") {
-          res.write(`data: ${JSON.stringify({ step: `Passing arguments: ${event.arguments}` })}\n\n`);
-        } else if (event.type === "response.completed") {
-          res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-        }
-      }
+      signal.throwIfAborted();
+      events.status(`Contacting ${provider.name} for follow-up...`);
+      turn++;
+      let followupResponse = await callModel();
+      if (!followupResponse) break;
+      events.status("Processing response...");
+      finalText = outputText(followupResponse.output) || finalText;
 
-      let followupResponse = await followupStream.finalResponse();
-      res.write(`data: ${JSON.stringify({ step: "Processing response..." })}\n\n`);
-      
-      followupResponse.output = followupResponse.output.map(item => {
-        if (item.type === "function_call" && "parsed_arguments" in item) {
-        // Remove only the parsed_arguments field, keep everything else unchanged
-          const { parsed_arguments, ...rest } = item;
-          return rest;
-        }
-        return item;
-      });
-     
       // Extract assistant messages and next function calls
       const newAssistantMessages = followupResponse.output.filter(o => o.type === "message");
       messages.push(...newAssistantMessages);
       functionCalls = followupResponse.output.filter(o => o.type === "function_call");
     }
   }
-  res.write(`data: ${JSON.stringify({ step: "Finalizing response..." })}\n\n`);
-  res.write(`data: ${JSON.stringify(messages)}` + '\n\n');
-  res.end();
+  if (stopReason) {
+    // A limit ended the run: tell the user why instead of failing
+    events.status(`Stopped early: ${stopReason}`);
+    finalText = STOP_MESSAGES[stopReason];
+    messages.push({ type: "message", role: "assistant", content: [{ type: "output_text", text: finalText }] });
+  }
+  events.status("Finalizing response...");
+  if (session) {
+    if (session.messages.length === 0 && userInput) {
+      session.title = userInput.slice(0, 60);
+    }
+    session.messages = messages;
+    session.updated_at = new Date().toISOString();
+    await getSessionStore().put(session);
+  }
+  events.send("final", {
+    conversation_id: session ? session.conversation_id : null,
+    messages,
+    text: finalText,
+    stop_reason: stopReason || (awaitingConfirmation ? "pending_confirmation" : awaitingSelection ? "card_candidates" : "completed")
+  });
   //return { messages };
 }
 
 
-module.exports = { sendMessage};
\ No newline at end of file
+module.exports = { sendMessage};
@@ -1,31 +1,33 @@
-const Swagger = require('swagger-client');
+const { memoize, getCachedOperation } = require('./trackerClient.js');
+const { convertSpec } = require('./openapiTools.js');
+const { CURRENCIES } = require('./pricing.js');
 
 const scryfallTool = [
   {
     type: "function",
     name: "scryfall_search",
-    description: "Search Magic: The Gathering cards on Scryfall using different filters (name, color, oracle text, etc.). Returns possible card printings.",
+    description: "Search Magic: The Gathering cards on Scryfall using different filters (name, colors, color identity, mana value, power/toughness, rarity, format legality, artist, frame, border, finish, language, collector numbers, prices, etc.). Returns possible card printings.",
     parameters: {
       type: "object",
       properties: {
         name: {
-          type: "string",
+          type: ["string", "null"],
           description: "Card name (exact or partial). Example: 'Stomping Ground'."
         },
         type: {
-          type: "string",
+          type: ["string", "null"],
           description: "Filter by card type. Examples: 'creature', 'instant', 'sorcery', 'enchantment', 'artifact', 'planeswalker', 'land'."
         },
         reserved: {
-          type: "boolean",
+          type: ["boolean", "null"],
           description: "Set to true to restrict results to only cards on the Reserved List."
         },
         oracle_text: {
-          type: "string",
+          type: ["string", "null"],
           description: "Filter by words in rules text (Oracle text). Examples: 'proliferate', 'flying', 'vigilance'."
         },
         colors: {
-          type: "array",
+          type: ["array", "null"],
           items: {
             type: "string",
             enum: ["W", "U", "B", "R", "G"]
@@ -33,26 +35,188 @@ const scryfallTool = [
           description: "Restrict results to specific color cards. W=White, U=Blue, B=Black, R=Red, G=Green. Multiple colors can be specified. Example: ['R', 'G']. The user should explicitly mention these colors. Note that if the user mentions colors for a card that is of type land, the user is wrong and you should not pass colors to the tool."
         },
         set: {
-          type: "string",
+          type: ["string", "null"],
           description: "Optional set code or name, e.g. 'GPT' or 'Guildpact' as mentioned by the user."
         },
+        colors_match: {
+          type: ["string", "null"],
+          enum: ["at_least", "exactly", "at_most", null],
+          description: "How 'colors' is matched. Default 'at_least'. Use 'exactly' with an empty colors list for colorless cards."
+        },
+        color_identity: {
+          type: ["array", "null"],
+          items: { type: "string", enum: ["W", "U", "B", "R", "G"] },
+          description: "Commander color identity. Example: ['W', 'U', 'B'] for cards that fit an Esper commander deck. Empty list for colorless identity."
+        },
+        color_identity_match: {
+          type: ["string", "null"],
+          enum: ["at_least", "exactly", "at_most", null],
+          description: "How 'color_identity' is matched. Default 'at_most' (fits within the identity)."
+        },
+        mana_value_min: { type: ["number", "null"], description: "Minimum mana value (converted mana cost)." },
+        mana_value_max: { type: ["number", "null"], description: "Maximum mana value (converted mana cost)." },
+        power_min: { type: ["number", "null"], description: "Minimum power." },
+        power_max: { type: ["number", "null"], description: "Maximum power." },
+        toughness_min: { type: ["number", "null"], description: "Minimum toughness." },
+        toughness_max: { type: ["number", "null"], description: "Maximum toughness." },
+        rarity: {
+          type: ["array", "null"],
+          items: { type: "string", enum: ["common", "uncommon", "rare", "mythic", "special", "bonus"] },
+          description: "Any of these rarities."
+        },
+        legal_in: {
+          type: ["array", "null"],
+          items: {
+            type: "string",
+            enum: ["standard", "pioneer", "modern", "legacy", "vintage", "commander", "oathbreaker", "pauper", "paupercommander", "brawl", "standardbrawl", "historic", "timeless", "alchemy", "explorer", "penny", "premodern", "oldschool", "predh", "duel", "gladiator", "future"]
+          },
+          description: "Formats the card must be legal in (all of them)."
+        },
+        is: {
+          type: ["array", "null"],
+          items: {
+            type: "string",
+            enum: ["commander", "companion", "reprint", "firstprint", "promo", "fullart", "showcase", "extendedart", "textless", "retro", "dfc", "split", "flip", "transform", "modal", "meld", "spell", "permanent", "vanilla", "funny"]
+          },
+          description: "Card properties that must all apply, e.g. ['commander'] for cards that can be your commander."
+        },
+        artist: { type: ["string", "null"], description: "Artist name (partial). Example: 'Rebecca Guay'." },
+        frame: {
+          type: ["string", "null"],
+          enum: ["1993", "1997", "2003", "2015", "future", null],
+          description: "Card frame edition."
+        },
+        border: {
+          type: ["string", "null"],
+          enum: ["black", "white", "borderless", "silver", "gold", null],
+          description: "Border color."
+        },
+        finishes: {
+          type: ["array", "null"],
+          items: { type: "string", enum: ["nonfoil", "foil", "etched", "glossy"] },
+          description: "Printings available in any of these finishes. Example: ['etched'] for foil-etched printings."
+        },
+        language: {
+          type: ["string", "null"],
+          description: "Language code of the printing, e.g. 'en', 'ja', 'de', 'phy', or 'any' for all languages. Default: Scryfall's default (English where available)."
+        },
+        collector_number_min: { type: ["integer", "null"], description: "Lowest collector number, usually together with 'set'." },
+        collector_number_max: { type: ["integer", "null"], description: "Highest collector number, usually together with 'set'." },
+        price_min: { type: ["number", "null"], description: "Minimum price in 'currency'." },
+        price_max: { type: ["number", "null"], description: "Maximum price in 'currency'." },
+        currency: {
+          type: ["string", "null"],
+          enum: [...CURRENCIES, null],
+          description: "Currency for price_min/price_max. Default 'usd'."
+        },
+        unique: {
+          type: ["string", "null"],
+          enum: ["prints", "cards", "art", null],
+          description: "Return every printing ('prints', default), one result per card ('cards'), or one per artwork ('art'). Use 'cards' for questions about cards rather than printings."
+        },
+        raw_query: {
+          type: ["string", "null"],
+          description: "Extra terms in Scryfall search syntax, for anything the other filters cannot express. Example: 'kw:flying -t:dragon'. Only use when the other filters do not cover the request."
+        },
         page: {
-          type: "integer",
+          type: ["integer", "null"],
           description: "Results page number"
         },
         order: {
-          type: "string",
-          enum: ["name", "set", "released", "rarity", "color", "usd", "tix", "eur", "cmc", "power", "toughness", "edhrec", "penny", "artist"],
+          type: ["string", "null"],
+          enum: ["name", "set", "released", "rarity", "color", "usd", "tix", "eur", "cmc", "power", "toughness", "edhrec", "penny", "artist", null],
           description: "Sort order. Default: 'name'."
         },
         dir: {
-          type: "string",
-          enum: ["auto", "asc", "desc"],
+          type: ["string", "null"],
+          enum: ["auto", "asc", "desc", null],
           description: "Sort direction."
         }
       },
+      required: [
+        "name", "type", "reserved", "oracle_text", "colors", "set", "colors_match", "color_identity",
+        "color_identity_match", "mana_value_min", "mana_value_max", "power_min", "power_max", "toughness_min",
+        "toughness_max", "rarity", "legal_in", "is", "artist", "frame", "border", "finishes", "language",
+        "collector_number_min", "collector_number_max", "price_min", "price_max", "currency", "unique",
+        "raw_query", "page", "order", "dir"
+      ],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "scryfall_get_printing",
+    description: "Get one exact printing by set code and collector number, e.g. set 'uma' and collector number '236' for \"UMA 236\". Use this instead of scryfall_search when the user names a specific printing.",
+    parameters: {
+      type: "object",
+      properties: {
+        set: { type: "string", description: "Set code, e.g. 'uma'." },
+        collector_number: { type: "string", description: "Collector number as printed, e.g. '236' or '12a'." },
+        language: { type: ["string", "null"], description: "Language code of the printing, e.g. 'ja'. Leave null for English." }
+      },
+      required: ["set", "collector_number", "language"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "scryfall_get_card_by_id",
+    description: "Get one exact printing by its Scryfall id, e.g. an id from earlier results or from the user's collection.",
+    parameters: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Scryfall card id (a UUID)." }
+      },
+      required: ["id"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "scryfall_get_card_by_name",
+    description: "Get a card by name, tolerating partial or misspelled names (e.g. 'jac bele' for Jace Beleren). Returns Scryfall's default printing, or the one from 'set' when given. Fails with a list of candidates when the name matches several cards.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Card name as the user wrote it." },
+        set: { type: ["string", "null"], description: "Set code to get the printing from that set, or null." }
+      },
+      required: ["name", "set"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "scryfall_get_prices",
+    description: "Get the current prices of one printing in USD, EUR and TIX (MTGO), per finish (nonfoil, foil, etched). Use this when the user asks what a card is worth.",
+    parameters: {
+      type: "object",
+      properties: {
+        set: { type: "string", description: "Set code, e.g. 'uma'." },
+        collector_number: { type: "string", description: "Collector number as printed, e.g. '236'." }
+      },
+      required: ["set", "collector_number"],
       additionalProperties: false
-    }
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "scryfall_autocomplete",
+    description: "Complete a partial card name into up to 20 full card names. Use this to find the exact name the user means before looking the card up.",
+    parameters: {
+      type: "object",
+      properties: {
+        q: { type: "string", description: "The partial card name, at least 2 characters." }
+      },
+      required: ["q"],
+      additionalProperties: false
+    },
+    strict: true
   }
 ];
 
@@ -63,6 +227,245 @@ const vectorStoreTool = [
   }
 ]
 
+const undoTool = [
+  {
+    type: "function",
+    name: "undo_last_change",
+    description: "Undo the most recent change you made to the user's collection (or a specific one by change_id), restoring the affected cards to their previous state. Use this when the user asks to undo or revert a change.",
+    parameters: {
+      type: "object",
+      properties: {
+        change_id: {
+          type: ["string", "null"],
+          description: "Id of a specific change to undo. Leave null to undo the most recent change."
+        }
+      },
+      required: ["change_id"],
+      additionalProperties: false
+    },
+    strict: true
+  }
+];
+
+// Tools that work on the user's whole collection (see collection.js)
+const collectionTools = [
+  {
+    type: "function",
+    name: "collection_value",
+    description: "Total value of the user's collection, or of the part matching the filters, at current Scryfall prices. Returns totals per finish and per condition and the most valuable cards. Prices are near-mint market prices.",
+    parameters: {
+      type: "object",
+      properties: {
+        set: { type: ["string", "null"], description: "Only cards from this set code." },
+        finish: { type: ["string", "null"], enum: ["nonfoil", "foil", "etched", null], description: "Only this finish." },
+        condition: { type: ["string", "null"], enum: ["NM", "LP", "MP", "HP", "DMG", null], description: "Only cards in this condition." },
+        name: { type: ["string", "null"], description: "Only cards whose name contains this." },
+        currency: { type: ["string", "null"], enum: [...CURRENCIES, null], description: "Currency of the prices. Default 'usd'." }
+      },
+      required: ["set", "finish", "condition", "name", "currency"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "import_card_list",
+    description: "Prepare adding a whole card list to the collection: a pasted decklist, tradelist or export (MTGO .dek, Arena, Moxfield/Archidekt CSV, or lines like '4 Lightning Bolt (M10) 146'). Resolves every line to an exact printing and returns the tracker_batch operations that add them, plus the lines that are ambiguous (several printings, with candidates) or unresolved. Nothing is changed unless commit is true.",
+    parameters: {
+      type: "object",
+      properties: {
+        text: { type: "string", description: "The card list exactly as the user gave it." },
+        format: {
+          type: ["string", "null"],
+          enum: ["dek", "csv", "text", null],
+          description: "Format of the list. Leave null to detect it."
+        },
+        choices: {
+          type: ["array", "null"],
+          description: "Printings the user picked for ambiguous lines.",
+          items: {
+            type: "object",
+            properties: {
+              line: { type: "integer", description: "Line number of the ambiguous line." },
+              card_id: { type: "string", description: "Scryfall id of the chosen candidate." }
+            },
+            required: ["line", "card_id"],
+            additionalProperties: false
+          }
+        },
+        commit: {
+          type: ["boolean", "null"],
+          description: "true to add the list to the collection, once the user has seen the result and every ambiguous line has a choice. The collection is read again, so changes made since are kept."
+        }
+      },
+      required: ["text", "format", "choices", "commit"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "export_collection",
+    description: "Export the user's collection, or the part matching the filters, as a CSV for Moxfield, Deckbox or TCGplayer, a plain-text tradelist grouped by set, or JSON with prices. Returns the content (when small enough) and a download link that works for 10 minutes.",
+    parameters: {
+      type: "object",
+      properties: {
+        format: {
+          type: ["string", "null"],
+          enum: ["moxfield", "deckbox", "tcgplayer", "text", "json", null],
+          description: "Export format. Default 'json'."
+        },
+        set: { type: ["string", "null"], description: "Only cards from this set code." },
+        finish: { type: ["string", "null"], enum: ["nonfoil", "foil", "etched", null], description: "Only this finish." },
+        condition: { type: ["string", "null"], enum: ["NM", "LP", "MP", "HP", "DMG", null], description: "Only cards in this condition." },
+        min_value: { type: ["number", "null"], description: "Only cards worth at least this much per copy." },
+        currency: { type: ["string", "null"], enum: [...CURRENCIES, null], description: "Currency of min_value and the prices. Default 'usd'." }
+      },
+      required: ["format", "set", "finish", "condition", "min_value", "currency"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "evaluate_trade",
+    description: "Evaluate a proposed trade. Prices the cards the user gives (from their collection) and the cards they get (any cards) per printing and finish, returns the value difference, whether the trade is fair, cards from the user's collection that would balance it, and the tracker_batch operations that apply the trade. Nothing is changed yet.",
+    parameters: {
+      type: "object",
+      properties: {
+        mine: { type: "string", description: "The cards the user gives, one per line, like '2 Ancient Tomb (UMA) 236 *F*'." },
+        theirs: { type: "string", description: "The cards the user gets, one per line, exactly as the user gave them." },
+        choices: {
+          type: ["array", "null"],
+          description: "Printings the user picked for ambiguous lines.",
+          items: {
+            type: "object",
+            properties: {
+              side: { type: "string", enum: ["mine", "theirs"], description: "Side of the ambiguous line." },
+              line: { type: "integer", description: "Line number of the ambiguous line." },
+              card_id: { type: "string", description: "Scryfall id of the chosen candidate." }
+            },
+            required: ["side", "line", "card_id"],
+            additionalProperties: false
+          }
+        },
+        currency: { type: ["string", "null"], enum: [...CURRENCIES, null], description: "Currency of the prices. Default 'usd'." }
+      },
+      required: ["mine", "theirs", "choices", "currency"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "check_deck",
+    description: "Check whether a decklist can be built from the user's collection. Returns the owned and missing cards, the estimated cost of the missing ones, and, given a format, the deck's legality problems (banned or illegal cards, copies, deck size, commander color identity).",
+    parameters: {
+      type: "object",
+      properties: {
+        decklist: { type: "string", description: "The decklist exactly as the user gave it, with its Commander/Sideboard sections." },
+        format: {
+          type: ["string", "null"],
+          enum: ["standard", "pioneer", "modern", "legacy", "vintage", "commander", "oathbreaker", "pauper", "paupercommander", "brawl", "standardbrawl", "historic", "timeless", "alchemy", "explorer", "penny", "premodern", "oldschool", "predh", "duel", "gladiator", "future", null],
+          description: "Format to check legality for. Leave null to skip the legality check."
+        },
+        exact_printings: { type: ["boolean", "null"], description: "Only count owned copies of the exact printings in the list. Default false: any printing counts." },
+        currency: { type: ["string", "null"], enum: [...CURRENCIES, null], description: "Currency of the cost estimate. Default 'usd'." }
+      },
+      required: ["decklist", "format", "exact_printings", "currency"],
+      additionalProperties: false
+    },
+    strict: true
+  }
+];
+
+// The user's want list, kept by the agent itself (see wantList.js and tradeMatcher.js)
+const wantListTools = [
+  {
+    type: "function",
+    name: "want_list_add",
+    description: "Add a card to the user's want list, or replace the want for a card already on it. Use the exact card name from Scryfall.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Exact card name." },
+        printings: {
+          type: ["array", "null"],
+          description: "Acceptable printings. Leave null to accept any printing.",
+          items: {
+            type: "object",
+            properties: {
+              set: { type: "string", description: "Set code." },
+              collector_number: { type: ["string", "null"], description: "Collector number. Leave null to accept every printing in the set." }
+            },
+            required: ["set", "collector_number"],
+            additionalProperties: false
+          }
+        },
+        finishes: {
+          type: ["array", "null"],
+          items: { type: "string", enum: ["nonfoil", "foil", "etched"] },
+          description: "Acceptable finishes. Leave null to accept any finish."
+        },
+        max_price: { type: ["number", "null"], description: "Most the user wants to pay per copy. Leave null for no limit." },
+        currency: { type: ["string", "null"], enum: [...CURRENCIES, null], description: "Currency of max_price. Default 'usd'." },
+        quantity: { type: ["integer", "null"], description: "Number of copies wanted. Default 1." },
+        priority: { type: ["string", "null"], enum: ["high", "normal", "low", null], description: "Default 'normal'." },
+        notes: { type: ["string", "null"], description: "Free-form notes." }
+      },
+      required: ["name", "printings", "finishes", "max_price", "currency", "quantity", "priority", "notes"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "want_list_remove",
+    description: "Remove a card from the user's want list, by want_id or by card name.",
+    parameters: {
+      type: "object",
+      properties: {
+        want_id: { type: ["string", "null"], description: "Id of the want, from want_list_query." },
+        name: { type: ["string", "null"], description: "Card name, when want_id is not known." }
+      },
+      required: ["want_id", "name"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "want_list_query",
+    description: "List the user's want list, highest priority first, optionally filtered.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: ["string", "null"], description: "Only wants whose card name contains this." },
+        priority: { type: ["string", "null"], enum: ["high", "normal", "low", null], description: "Only wants with this priority." }
+      },
+      required: ["name", "priority"],
+      additionalProperties: false
+    },
+    strict: true
+  },
+  {
+    type: "function",
+    name: "want_list_match",
+    description: "Match another person's pasted tradelist against the user's want list, and list the user's tradeable cards that person might want (matched against their want list when given, otherwise the user's most valuable tradeable cards).",
+    parameters: {
+      type: "object",
+      properties: {
+        tradelist: { type: "string", description: "Their tradelist exactly as the user gave it." },
+        their_wants: { type: ["string", "null"], description: "Their want list, when the user gave one." },
+        currency: { type: ["string", "null"], enum: [...CURRENCIES, null], description: "Currency of the prices of the user's cards. Default 'usd'." }
+      },
+      required: ["tradelist", "their_wants", "currency"],
+      additionalProperties: false
+    },
+    strict: true
+  }
+];
+
 // const singlecardTool = [
 //   {
 //     type: "function",
@@ -85,56 +488,50 @@ const vectorStoreTool = [
 //   }
 // ];
 
-async function fetchTrackerFunctions() {
-  const apiUrl = process.env.MTG_BACKEND_API_URL;
-  const swaggerUrl = `${apiUrl}/api-docs/swagger.json`;
-  try {
-    const client = await Swagger(swaggerUrl);
-    const paths = client.spec.paths;
-    const functions = [];
-    for (const [path, methods] of Object.entries(paths)) {
-      for (const [method, details] of Object.entries(methods)) {
-        // Collect parameters by location
-        const paramProps = {};
-        let requiredParams = [];
-        let bodySchema = null;
-
-        (details.parameters || []).forEach(param => {
-          paramProps[param.name] = {
-            type: param.schema?.type || "string",
-            description: param.description || ""
-          };
-          if (param.required) requiredParams.push(param.name);
-        });
+// Read-only tools can safely run concurrently. Tracker operations are read-only when they are GET requests;
+// anything we do not know about is treated as a write.
+function isReadOnlyTool(toolName) {
+  if (toolName.startsWith("scryfall_")) return true;
+  // import_card_list writes when called with commit
+  if (toolName === "import_card_list") return false;
+  if (collectionTools.some(tool => tool.name === toolName)) return true;
+  if (toolName === "want_list_query" || toolName === "want_list_match") return true;
+  if (toolName.startsWith("tracker_")) {
+    return getCachedOperation(toolName.replace(/^tracker_/, ""))?.method === "get";
+  }
+  return false;
+}
 
-        if (details.requestBody?.content?.["application/json"]?.schema) {
-          const bodySchema = details.requestBody.content["application/json"].schema;
-          Object.assign(paramProps, bodySchema.properties || {});
-          if (bodySchema.required) {
-            requiredParams.push(...bodySchema.required);
-          }
-        }
+// Tracker tool definitions, generated once per version of the tracker's Swagger spec (see trackerClient.js and
+// openapiTools.js). Conversion warnings are logged once per spec version.
+function trackerToolset() {
+  return memoize("tools", ({ client }) => {
+    const converted = convertSpec(client.originalSpec || client.spec);
+    converted.warnings.forEach(warning => console.warn("Tracker tool conversion:", warning));
+    return converted;
+  });
+}
 
-        functions.push({
-          type: "function",
-          name: details.operationId ? `tracker_${details.operationId}` : `tracker_${method}_${path.replace(/[\/{}]/g, "_")}`,
-          description: details.description || `Tracker API call for ${method.toUpperCase()} ${path}`,
-          parameters: {
-            type: "object",
-            properties: paramProps,
-            required: requiredParams
-          }
-        });
-      }
-    }
-    //console.log("Fetched tracker functions:", JSON.stringify(functions, null, 2));
-    return functions;
+// Throws when the tracker spec cannot be loaded, so callers can tell "no tools" apart from "tracker down".
+async function fetchTrackerFunctions() {
+  try {
+    return (await trackerToolset()).tools;
   } catch (err) {
-    return [];
+    throw new Error(`Could not load the tracker API spec: ${err.message}`, { cause: err });
   }
 }
 
-module.exports = { scryfallTool, vectorStoreTool, fetchTrackerFunctions };
+// How the arguments of a tracker tool map onto its request, see bindArguments() in openapiTools.js.
+async function getTrackerBinding(toolName) {
+  return (await trackerToolset()).bindings[toolName];
+}
+
+// All tracker bindings, keyed by tool name.
+async function getTrackerBindings() {
+  return (await trackerToolset()).bindings;
+}
+
+module.exports = { scryfallTool, vectorStoreTool, undoTool, collectionTools, wantListTools, fetchTrackerFunctions, getTrackerBinding, getTrackerBindings, isReadOnlyTool };
 
 
 
@@ -0,0 +1,129 @@
+/*
+
+Cached access to the tracker API's Swagger spec.
+
+Downloading and resolving /api-docs/swagger.json used to happen on every getTools("full") call and on every single
+tracker tool call. Now the spec is kept for TRACKER_SPEC_TTL_MS (default 5 minutes) and then revalidated with its
+ETag / Last-Modified, so an unchanged spec costs one conditional request. Per spec version we keep:
+- one resolved Swagger client, reused for every call (the bearer token is added per call)
+- an index of operationId -> { path, method, operation }
+- anything derived from the spec through memoize(), like the generated tool definitions
+
+If revalidation fails we keep serving the last good spec.
+
+*/
+
+const Swagger = require('swagger-client');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// Key = swagger URL, value = { etag, lastModified, fetchedAt, client, operations, derived }
+const cache = new Map();
+// In-flight loads, so concurrent callers share one download
+const loading = new Map();
+
+const swaggerUrl = () => `${process.env.MTG_BACKEND_API_URL}/api-docs/swagger.json`;
+const ttlMs = () => process.env.TRACKER_SPEC_TTL_MS !== undefined
+  ? parseInt(process.env.TRACKER_SPEC_TTL_MS, 10)
+  : DEFAULT_TTL_MS;
+
+// Build the operationId index for a resolved spec.
+function indexOperations(spec) {
+  const operations = {};
+  for (const [path, methods] of Object.entries(spec.paths || {})) {
+    for (const [method, operation] of Object.entries(methods)) {
+      if (operation && operation.operationId) {
+        operations[operation.operationId] = { path, method: method.toLowerCase(), operation };
+      }
+    }
+  }
+  return operations;
+}
+
+async function loadSpec(url, cached) {
+  const headers = { Accept: "application/json" };
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  const res = await fetch(url, { headers });
+  if (res.status === 304 && cached) {
+    cached.fetchedAt = Date.now();
+    return cached;
+  }
+  if (!res.ok) {
+    throw new Error(`Fetching tracker spec failed with HTTP ${res.status}`);
+  }
+  const spec = await res.json();
+  // Passing the url along keeps relative server urls in the spec working
+  const client = await Swagger({ url, spec });
+  const entry = {
+    etag: res.headers.get("etag"),
+    lastModified: res.headers.get("last-modified"),
+    fetchedAt: Date.now(),
+    client,
+    operations: indexOperations(client.spec),
+    derived: new Map()
+  };
+  cache.set(url, entry);
+  return entry;
+}
+
+// Get the current spec entry, downloading or revalidating it when needed.
+async function getTrackerSpec() {
+  const url = swaggerUrl();
+  const cached = cache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < ttlMs()) {
+    return cached;
+  }
+  if (!loading.has(url)) {
+    loading.set(url, loadSpec(url, cached)
+      .catch(err => {
+        if (cached) {
+          console.log("Revalidating tracker spec failed, using cached spec:", err.message);
+          cached.fetchedAt = Date.now();
+          return cached;
+        }
+        throw err;
+      })
+      .finally(() => loading.delete(url)));
+  }
+  return await loading.get(url);
+}
+
+// The reusable Swagger client for the current spec.
+async function getTrackerClient() {
+  return (await getTrackerSpec()).client;
+}
+
+// Look up an operation by operationId: { path, method, operation } or undefined.
+async function getOperation(operationId) {
+  return (await getTrackerSpec()).operations[operationId];
+}
+
+// Same lookup without fetching: only answers from what is already cached.
+function getCachedOperation(operationId) {
+  return cache.get(swaggerUrl())?.operations[operationId];
+}
+
+// Compute something from the spec once per spec version, e.g. the tracker tool definitions.
+async function memoize(key, build) {
+  const entry = await getTrackerSpec();
+  if (!entry.derived.has(key)) {
+    entry.derived.set(key, build(entry));
+  }
+  return entry.derived.get(key);
+}
+
+// Drop everything, e.g. between tests.
+function clearTrackerCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getTrackerSpec,
+  getTrackerClient,
+  getOperation,
+  getCachedOperation,
+  memoize,
+  clearTrackerCache
+};
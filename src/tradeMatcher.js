@@ -0,0 +1,138 @@
+/*
+
+Match another person's tradelist against the user's want list and collection.
+
+matchTradelist() answers two questions:
+- which cards on their tradelist satisfy the user's wants (see wantList.js). A line naming one printing is checked
+  against the want directly; a line with only a name lists every acceptable printing, since it could be any of them.
+  Printings that cost more than the want's max_price are reported under over_max_price instead. Lines whose card is
+  not on the want list are skipped without looking them up.
+- which of the user's tradeable cards they might want. Cards on the user's own want list are not tradeable. When their
+  want list is given (pasted like any card list) owned copies are matched against it: a name matches every owned
+  printing, a set or collector number narrows it down, and a foil or etched marker asks for that finish only. Without
+  it the most valuable tradeable cards are listed instead.
+
+Both lists use parseCardList() (see cardLists.js); their prices are Scryfall's (see pricing.js).
+
+*/
+
+const { parseCardList } = require('./cardLists.js');
+const { findPrintings, findPrintingsByNames, identifierKey, nameKey, cardNames } = require('./cardResolver.js');
+const { normalizeName } = require('./scryfallMirror.js');
+const { CURRENCIES, priceOf } = require('./pricing.js');
+const { listWants, acceptsPrinting } = require('./wantList.js');
+const { ownedCopies } = require('./trades.js');
+
+// Tradeable cards listed when their want list is not known
+const MOST_VALUABLE_COUNT = 20;
+
+const lineInfo = entry => ({ line: entry.line, text: entry.text });
+
+// Their tradelist lines against our wants: { they_have, over_max_price, unresolved }
+async function matchTheirCards(entries, wants, { signal }) {
+  const wanted = new Set(wants.flatMap(want => [normalizeName(want.name), ...want.name.split(" // ").map(normalizeName)]));
+  const identifierOf = entry => entry.scryfall_id ? { id: entry.scryfall_id }
+    : entry.set && entry.collector_number ? { set: entry.set, collector_number: entry.collector_number } : null;
+  const relevant = entries.filter(entry => entry.name ? wanted.has(normalizeName(entry.name)) : identifierOf(entry));
+
+  const printings = await findPrintings(relevant.map(identifierOf).filter(Boolean), { signal });
+  const byName = await findPrintingsByNames(relevant.filter(entry => !identifierOf(entry)), { signal });
+
+  const theyHave = [];
+  const overMaxPrice = [];
+  const unresolved = [];
+  for (const entry of relevant) {
+    const identifier = identifierOf(entry);
+    const exact = identifier ? printings.get(identifierKey(identifier)) : null;
+    const cards = identifier ? [exact].filter(Boolean) : byName.get(nameKey(entry.name, entry.set));
+    if (cards.length === 0) {
+      const reason = !identifier ? `No card named "${entry.name}"${entry.set ? ` in ${entry.set.toUpperCase()}` : ""}`
+        : identifier.id ? `Unknown Scryfall id ${identifier.id}` : `No printing ${identifier.set.toUpperCase()} ${identifier.collector_number}`;
+      unresolved.push({ ...lineInfo(entry), reason });
+      continue;
+    }
+    for (const want of wants) {
+      const acceptable = cards
+        .filter(card => acceptsPrinting(want, card, entry.finish))
+        .map(card => ({ set: card.set, collector_number: card.collector_number, unit_price: priceOf(card, entry.finish, want.currency) }))
+        .sort((a, b) => (a.unit_price ?? Infinity) - (b.unit_price ?? Infinity));
+      if (acceptable.length === 0) continue;
+      const affordable = acceptable.filter(p => want.max_price === null || p.unit_price === null || p.unit_price <= want.max_price);
+      const match = {
+        ...lineInfo(entry),
+        quantity: entry.quantity,
+        want_id: want.want_id,
+        name: want.name,
+        priority: want.priority,
+        wanted_quantity: want.quantity,
+        finish: entry.finish,
+        max_price: want.max_price,
+        currency: want.currency,
+        exact: Boolean(identifier)
+      };
+      if (affordable.length > 0) {
+        theyHave.push({ ...match, printings: affordable });
+      } else {
+        overMaxPrice.push({ ...match, printings: acceptable });
+      }
+    }
+  }
+  return { theyHave, overMaxPrice, unresolved };
+}
+
+// Owned copies that match a line of their want list
+function matchesTheirWant(entry, copy) {
+  if (!cardNames(copy.printing).includes(normalizeName(entry.name || ""))) return false;
+  if (entry.set && copy.set_code !== entry.set) return false;
+  if (entry.collector_number && copy.card_number !== entry.collector_number) return false;
+  return entry.finish === "nonfoil" || copy.finish === entry.finish;
+}
+
+/*
+Match their tradelist (card list text) against the owner's want list, and their want list (optional card list text)
+against the owner's tradeable cards. callTracker(toolName, args) executes a tracker tool.
+Returns { currency, they_have, over_max_price, they_might_want, they_might_want_basis, unresolved }.
+*/
+async function matchTradelist(owner, tradelist, { theirWants, currency = "usd", callTracker, signal } = {}) {
+  if (!CURRENCIES.includes(currency)) currency = "usd";
+  const wants = await listWants(owner);
+  const { theyHave, overMaxPrice, unresolved } = await matchTheirCards(parseCardList(tradelist || "").entries, wants, { signal });
+
+  const wantedNames = new Set(wants.map(want => normalizeName(want.name)));
+  const tradeable = (await ownedCopies(callTracker, { signal }))
+    .filter(copy => copy.printing && !wantedNames.has(normalizeName(copy.printing.name)))
+    .map(copy => ({ copy, unit_price: priceOf(copy.printing, copy.finish, currency) }));
+  const describe = ({ copy, unit_price }, entry) => ({
+    ...(entry && lineInfo(entry)),
+    name: copy.printing.name,
+    set: copy.set_code,
+    collector_number: copy.card_number,
+    finish: copy.finish,
+    condition: copy.condition,
+    quantity: copy.quantity,
+    unit_price
+  });
+
+  let theyMightWant;
+  if (theirWants && theirWants.trim()) {
+    theyMightWant = parseCardList(theirWants).entries.flatMap(entry =>
+      tradeable.filter(({ copy }) => matchesTheirWant(entry, copy)).map(item => describe(item, entry)));
+  } else {
+    theyMightWant = tradeable
+      .filter(item => item.unit_price !== null)
+      .sort((a, b) => b.unit_price - a.unit_price)
+      .slice(0, MOST_VALUABLE_COUNT)
+      .map(item => describe(item));
+  }
+
+  return {
+    currency,
+    they_have: theyHave,
+    over_max_price: overMaxPrice,
+    they_might_want: theyMightWant,
+    they_might_want_basis: theirWants && theirWants.trim() ? "their_wants" : "most_valuable",
+    unresolved
+  };
+}
+
+module.exports = { matchTradelist };
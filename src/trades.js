@@ -0,0 +1,224 @@
+/*
+
+Trade evaluation: price both sides of a proposed trade and judge whether it is fair.
+
+Both sides are card lists as parseCardList() reads them (see cardLists.js):
+- "mine" are cards from the user's collection. Every line must match cards the user owns, in that finish and in that
+  quantity; a name matches all owned printings of it, and when the user owns several the line is ambiguous.
+- "theirs" are any cards, resolved through Scryfall exactly like an import (see resolveEntries() in cardImport.js).
+choices: [{ side, line, card_id }] resolve ambiguous lines of either side with a Scryfall id.
+
+Every resolved line is priced per printing and finish at Scryfall's near-mint prices (see pricing.js). delta is what
+the user receives minus what they give. Within FAIR_MARGIN of the larger side the trade is "fair"; otherwise it favors
+one side. When the user would receive more, balance suggests owned cards (not already in the trade) that could be added
+to their side to even it out. The tracker has no separate tradelist, so every owned card counts as tradeable. When the
+user would give more, balance only says how much more to ask for.
+
+operations are the tracker batch operations that apply the trade: my side is removed from the collection (a card is
+deleted when none of its finishes is left, a finish that is gone is set to quantity 0) and their side is added as in
+an import. They can be applied with
+commitBatch() from collection.js once nothing is ambiguous or unresolved.
+
+*/
+
+const { parseCardList } = require('./cardLists.js');
+const { resolveEntries, buildOperations } = require('./cardImport.js');
+const { fetchCollection } = require('./collection.js');
+const { findPrintings, cardNames } = require('./cardResolver.js');
+const { printingKey, normalizeName } = require('./scryfallMirror.js');
+const { CURRENCIES, priceOf } = require('./pricing.js');
+const { toCandidate } = require('./candidates.js');
+
+// Share of the larger side the two sides may differ by and still be fair, and the smallest such difference
+const FAIR_MARGIN = 0.05;
+const MIN_MARGIN = 0.5;
+
+// Cards suggested to balance a trade
+const MAX_SUGGESTIONS = 5;
+
+const round = value => Math.round(value * 100) / 100;
+
+const lineInfo = entry => ({ line: entry.line, text: entry.text });
+
+// Owned copies, one per card and finish: { key, set_code, card_number, finish, quantity, condition, printing }
+async function ownedCopies(callTracker, { signal }) {
+  const cards = await fetchCollection(callTracker);
+  const printings = await findPrintings(cards.map(card => ({ set: card.set_code, collector_number: card.card_number })), { signal });
+  return cards.flatMap(card => {
+    const printing = printings.get(printingKey(card.set_code, card.card_number));
+    return Object.entries(card.finishes).map(([finish, { quantity, condition = "NM" }]) => ({
+      key: `${card.set_code}:${card.card_number}`,
+      set_code: card.set_code,
+      card_number: card.card_number,
+      finish,
+      quantity,
+      condition,
+      printing
+    }));
+  });
+}
+
+// Match my side against the owned copies. Returns { resolved: [{ entry, copy }], ambiguous, unresolved }.
+function resolveMine(entries, owned, choices) {
+  const chosen = new Map(choices.map(choice => [choice.line, String(choice.card_id).toLowerCase()]));
+  const resolved = [];
+  const ambiguous = [];
+  const unresolved = [];
+  const given = new Map();
+
+  for (const entry of entries) {
+    const id = chosen.get(entry.line) || entry.scryfall_id;
+    const wanted = normalizeName(entry.name || "");
+    const matches = owned.filter(copy => copy.printing && copy.finish === entry.finish && (
+      id ? copy.printing.id === id
+        : entry.set && entry.collector_number ? copy.key === printingKey(entry.set, entry.collector_number)
+          : cardNames(copy.printing).includes(wanted) && (!entry.set || copy.set_code === entry.set)));
+
+    if (matches.length === 0) {
+      unresolved.push({ ...lineInfo(entry), reason: `You do not own ${entry.name || "this card"}${entry.set ? ` (${entry.set.toUpperCase()}${entry.collector_number ? ` ${entry.collector_number}` : ""})` : ""} in ${entry.finish}` });
+    } else if (matches.length > 1) {
+      ambiguous.push({
+        ...lineInfo(entry),
+        quantity: entry.quantity,
+        finish: entry.finish,
+        candidate_count: matches.length,
+        candidates: matches.map(copy => ({ ...toCandidate(copy.printing), owned: { quantity: copy.quantity, condition: copy.condition } }))
+      });
+    } else {
+      const [copy] = matches;
+      const giving = (given.get(copy) || 0) + entry.quantity;
+      if (giving > copy.quantity) {
+        unresolved.push({ ...lineInfo(entry), reason: `You own only ${copy.quantity} ${copy.printing.name} (${copy.set_code.toUpperCase()} ${copy.card_number}) in ${copy.finish}` });
+        continue;
+      }
+      given.set(copy, giving);
+      resolved.push({ entry, copy });
+    }
+  }
+  return { resolved, ambiguous, unresolved, given };
+}
+
+const pricedLine = (entry, card, finish, condition, quantity, currency) => {
+  const unitPrice = priceOf(card, finish, currency);
+  return {
+    ...lineInfo(entry),
+    quantity,
+    name: card.name,
+    set: card.set,
+    collector_number: card.collector_number,
+    finish,
+    condition,
+    unit_price: unitPrice,
+    value: unitPrice === null ? null : round(unitPrice * quantity)
+  };
+};
+
+const sideTotal = lines => round(lines.reduce((sum, line) => sum + (line.value || 0), 0));
+
+// Owned copies to add to my side until it covers amount, most valuable first
+function suggestBalance(owned, given, amount, margin, currency) {
+  const tradeable = owned
+    .filter(copy => copy.printing)
+    .map(copy => ({ copy, unitPrice: priceOf(copy.printing, copy.finish, currency), left: copy.quantity - (given.get(copy) || 0) }))
+    .filter(({ unitPrice, left }) => unitPrice !== null && unitPrice > 0 && left > 0)
+    .sort((a, b) => b.unitPrice - a.unitPrice);
+
+  const suggestions = [];
+  let remaining = amount;
+  for (const { copy, unitPrice, left } of tradeable) {
+    if (remaining <= margin || suggestions.length >= MAX_SUGGESTIONS) break;
+    const quantity = Math.min(left, Math.floor((remaining + margin) / unitPrice));
+    if (quantity === 0) continue;
+    suggestions.push({
+      name: copy.printing.name,
+      set: copy.set_code,
+      collector_number: copy.card_number,
+      finish: copy.finish,
+      condition: copy.condition,
+      quantity,
+      unit_price: unitPrice
+    });
+    remaining -= unitPrice * quantity;
+  }
+  return { suggestions, remaining: round(remaining) };
+}
+
+// Removals for my side, merged with the additions of their side. A finish traded away completely is sent as
+// { quantity: 0 }, so it is removed whether the tracker replaces or merges the finishes of an update.
+function tradeOperations(mine, theirs, owned) {
+  const remaining = new Map();
+  for (const copy of owned) {
+    if (!remaining.has(copy.key)) remaining.set(copy.key, { set_code: copy.set_code, card_number: copy.card_number, finishes: {} });
+    remaining.get(copy.key).finishes[copy.finish] = { quantity: copy.quantity, condition: copy.condition };
+  }
+  const touched = new Set();
+  for (const { entry, copy } of mine) {
+    remaining.get(copy.key).finishes[copy.finish].quantity -= entry.quantity;
+    touched.add(copy.key);
+  }
+  const { operations: additions, warnings } = buildOperations(theirs, [...remaining.values()]);
+  const added = new Set(additions.map(operation => `${operation.set_code}:${operation.card_number}`));
+  const removals = [...touched].filter(key => !added.has(key)).map(key => {
+    const { set_code, card_number, finishes } = remaining.get(key);
+    return Object.values(finishes).some(finish => finish.quantity > 0)
+      ? { action: "update", set_code, card_number, finishes }
+      : { action: "delete", set_code, card_number };
+  });
+  return { operations: [...removals, ...additions], warnings };
+}
+
+/*
+Evaluate a trade. mine and theirs are card list texts, callTracker(toolName, args) executes a tracker tool.
+Returns { currency, mine: { cards, total }, theirs: { cards, total }, delta, verdict, balance, ambiguous, unresolved,
+warnings, operations }; ambiguous and unresolved lines carry their side.
+*/
+async function evaluateTrade({ mine, theirs, choices = [], currency = "usd", callTracker, signal }) {
+  if (!CURRENCIES.includes(currency)) currency = "usd";
+  const choicesOf = side => (choices || []).filter(choice => choice.side === side);
+
+  const owned = await ownedCopies(callTracker, { signal });
+  const myEntries = parseCardList(mine || "").entries;
+  const theirEntries = parseCardList(theirs || "").entries;
+  const myResult = resolveMine(myEntries, owned, choicesOf("mine"));
+  const theirResult = await resolveEntries(theirEntries, choicesOf("theirs"), { signal });
+
+  const myCards = myResult.resolved.map(({ entry, copy }) =>
+    pricedLine(entry, copy.printing, copy.finish, copy.condition, entry.quantity, currency));
+  const theirCards = theirResult.resolved.map(({ entry, card }) =>
+    pricedLine(entry, card, entry.finish, entry.condition, entry.quantity, currency));
+  const myTotal = sideTotal(myCards);
+  const theirTotal = sideTotal(theirCards);
+  const delta = round(theirTotal - myTotal);
+  const margin = Math.max(MIN_MARGIN, FAIR_MARGIN * Math.max(myTotal, theirTotal));
+
+  let verdict = "fair";
+  let balance = null;
+  if (delta > margin) {
+    verdict = "favors_you";
+    balance = { owed_by: "you", amount: delta, ...suggestBalance(owned, myResult.given, delta, margin, currency) };
+  } else if (delta < -margin) {
+    verdict = "favors_them";
+    balance = { owed_by: "them", amount: -delta, suggestions: [], remaining: -delta };
+  }
+
+  const { operations, warnings } = tradeOperations(myResult.resolved, theirResult.resolved, owned);
+  const unpriced = [...myCards.map(card => ["mine", card]), ...theirCards.map(card => ["theirs", card])]
+    .filter(([, card]) => card.unit_price === null)
+    .map(([side, card]) => `${side === "mine" ? "Your" : "Their"} line ${card.line}: no ${currency} price for ${card.name} in ${card.finish}, counted as 0`);
+
+  const withSide = (side, lines) => lines.map(line => ({ side, ...line }));
+  return {
+    currency,
+    mine: { cards: myCards, total: myTotal },
+    theirs: { cards: theirCards, total: theirTotal },
+    delta,
+    verdict,
+    balance,
+    ambiguous: [...withSide("mine", myResult.ambiguous), ...withSide("theirs", theirResult.ambiguous)],
+    unresolved: [...withSide("mine", myResult.unresolved), ...withSide("theirs", theirResult.unresolved)],
+    warnings: [...unpriced, ...warnings],
+    operations
+  };
+}
+
+module.exports = { evaluateTrade, ownedCopies };
@@ -0,0 +1,204 @@
+/*
+
+Want list: the cards a user is looking for, kept next to (not in) the tracker collection.
+
+A want looks like:
+
+  { want_id, owner, name, printings: [{ set, collector_number }], finishes, max_price, currency, quantity, priority,
+    notes, created_at, updated_at }
+
+name is the card's Scryfall name. printings and finishes limit which copies are acceptable; empty means any. A printing
+without collector_number accepts every printing in that set. max_price (in currency, per copy) is the most the user
+wants to pay, null for no limit. priority is "high", "normal" or "low". A user has at most one want per card: adding a
+card that is already on the list replaces that want.
+
+The store follows the session and audit stores (see sessions.js): WANTS_STORE selects "memory" (the default) or
+"file" with WANTS_DIR, and both are per-instance on Lambda.
+- get(wantId) -> want or null
+- put(want) -> want
+- delete(wantId) -> true when something was deleted
+- list({ owner }) -> the wants of that owner (null for the service account)
+
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { findPrintingsByName, cardNames } = require('./cardResolver.js');
+const { normalizeName } = require('./scryfallMirror.js');
+const { CURRENCIES } = require('./pricing.js');
+
+const PRIORITIES = ["high", "normal", "low"];
+const FINISHES = ["nonfoil", "foil", "etched"];
+
+/* STORES */
+
+const ownedBy = owner => want => (want.owner ?? null) === (owner ?? null);
+
+function createMemoryWantStore() {
+  const wants = new Map();
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    async get(wantId) {
+      return wants.has(wantId) ? copy(wants.get(wantId)) : null;
+    },
+    async put(want) {
+      wants.set(want.want_id, copy(want));
+      return want;
+    },
+    async delete(wantId) {
+      return wants.delete(wantId);
+    },
+    async list({ owner } = {}) {
+      return [...wants.values()].filter(ownedBy(owner)).map(copy);
+    }
+  };
+}
+
+// One JSON file per want in the given directory.
+function createFileWantStore(dir) {
+  const fileFor = wantId => /^[A-Za-z0-9_-]+$/.test(wantId || "") ? path.join(dir, `${wantId}.json`) : null;
+  const readWant = async file => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+  return {
+    async get(wantId) {
+      const file = fileFor(wantId);
+      return file ? await readWant(file) : null;
+    },
+    async put(want) {
+      const file = fileFor(want.want_id);
+      if (!file) throw new Error(`Invalid want id: ${want.want_id}`);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(want));
+      await fs.promises.rename(tmp, file);
+      return want;
+    },
+    async delete(wantId) {
+      const file = fileFor(wantId);
+      if (!file) return false;
+      try {
+        await fs.promises.unlink(file);
+        return true;
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+    async list({ owner } = {}) {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const wants = await Promise.all(files.filter(f => f.endsWith(".json")).map(f => readWant(path.join(dir, f))));
+      return wants.filter(Boolean).filter(ownedBy(owner));
+    }
+  };
+}
+
+let wantStore = null;
+
+function getWantStore() {
+  if (!wantStore) {
+    wantStore = process.env.WANTS_STORE === "file"
+      ? createFileWantStore(process.env.WANTS_DIR || path.join(process.cwd(), ".wants"))
+      : createMemoryWantStore();
+  }
+  return wantStore;
+}
+
+// Replace the active store, e.g. with a fresh one in tests.
+function setWantStore(store) {
+  wantStore = store;
+}
+
+/* WANTS */
+
+// Whether a want covers this printing in this finish (price aside).
+function acceptsPrinting(want, card, finish) {
+  if (!cardNames(card).includes(normalizeName(want.name))) return false;
+  if (want.finishes.length > 0 && !want.finishes.includes(finish)) return false;
+  return want.printings.length === 0 || want.printings.some(printing =>
+    printing.set === card.set && (!printing.collector_number || printing.collector_number === card.collector_number));
+}
+
+const byPriority = (a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority) || a.name.localeCompare(b.name);
+
+/*
+Add a card to the owner's want list, or replace the want for that card. The name must be an exact card name and the
+printings must exist; throws otherwise.
+*/
+async function addWant(owner, { name, printings, finishes, max_price, currency, quantity, priority, notes } = {}, { signal } = {}) {
+  if (!name || typeof name !== "string") throw new Error("A want needs a card name");
+  const known = await findPrintingsByName(name, null, { signal });
+  if (known.length === 0) throw new Error(`No card named "${name}", look up its exact name first`);
+
+  const acceptable = (printings || []).map(printing => ({
+    set: String(printing.set).toLowerCase(),
+    collector_number: printing.collector_number ? String(printing.collector_number) : null
+  }));
+  for (const printing of acceptable) {
+    const exists = known.some(card => card.set === printing.set && (!printing.collector_number || card.collector_number === printing.collector_number));
+    if (!exists) {
+      throw new Error(`${known[0].name} has no printing ${printing.set.toUpperCase()}${printing.collector_number ? ` ${printing.collector_number}` : ""}`);
+    }
+  }
+
+  const store = getWantStore();
+  const existing = (await store.list({ owner })).find(want => normalizeName(want.name) === normalizeName(known[0].name));
+  const now = new Date().toISOString();
+  const want = {
+    want_id: existing?.want_id || crypto.randomUUID(),
+    owner: owner ?? null,
+    name: known[0].name,
+    printings: acceptable,
+    finishes: (finishes || []).filter(finish => FINISHES.includes(finish)),
+    max_price: typeof max_price === "number" && max_price >= 0 ? max_price : null,
+    currency: CURRENCIES.includes(currency) ? currency : "usd",
+    quantity: Number.isInteger(quantity) && quantity > 0 ? quantity : 1,
+    priority: PRIORITIES.includes(priority) ? priority : "normal",
+    notes: notes || null,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+  return await store.put(want);
+}
+
+// Remove a want by id or card name. Returns the removed want, or null when there was none.
+async function removeWant(owner, { want_id, name } = {}) {
+  const wants = await getWantStore().list({ owner });
+  const want = wants.find(w => (want_id && w.want_id === want_id) || (!want_id && name && normalizeName(w.name) === normalizeName(name)));
+  if (!want) return null;
+  await getWantStore().delete(want.want_id);
+  return want;
+}
+
+// The owner's wants, highest priority first. name matches partially, priority exactly.
+async function listWants(owner, { name, priority } = {}) {
+  const wants = await getWantStore().list({ owner });
+  return wants
+    .filter(want => !name || normalizeName(want.name).includes(normalizeName(name)))
+    .filter(want => !priority || want.priority === priority)
+    .sort(byPriority);
+}
+
+module.exports = {
+  PRIORITIES,
+  addWant,
+  removeWant,
+  listWants,
+  acceptsPrinting,
+  createMemoryWantStore,
+  createFileWantStore,
+  getWantStore,
+  setWantStore
+};
@@ -0,0 +1,912 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { startHarness, postStream, parseSSE } = require("./helpers/harness.js");
+const { signUserToken } = require("./helpers/fakeServers.js");
+const { registerProvider, createScriptedProvider } = require("../src/providers.js");
+const { clearTokenCache } = require("../src/executors.js");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({
+    cards: {
+      "m10:146": { set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 3, condition: "NM" } }, scryfall: { name: "Lightning Bolt" } }
+    }
+  });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+beforeEach(() => {
+  harness.tracker.requests.length = 0;
+  harness.scryfall.requests.length = 0;
+});
+
+// Register a fresh scripted model for one test and return it for assertions.
+function scriptModel(script) {
+  const provider = createScriptedProvider(script);
+  registerProvider("scripted", provider);
+  return provider;
+}
+
+const statuses = frames => frames.filter(f => f.event === "status").map(f => f.data.message);
+const finalMessages = frames => frames.find(f => f.event === "final").data.messages;
+// Compact "event: detail" view of a stream, leaving out status frames and collapsing runs of text deltas
+const timeline = frames => frames
+  .filter(f => f.event !== "status")
+  .map(f => `${f.event}${f.data.name ? `: ${f.data.name}` : ""}`)
+  .filter((entry, i, all) => !(entry === "text_delta" && all[i - 1] === "text_delta"));
+const streamedText = (frames, turn) => frames
+  .filter(f => f.event === "text_delta" && (turn === undefined || f.data.turn === turn))
+  .map(f => f.data.delta)
+  .join("");
+
+test("identifies a single printing and adds it to the collection", async () => {
+  const model = scriptModel([
+    [{ tool: "scryfall_search", call_id: "call_search", arguments: { name: "Ancient Tomb", set: "uma" } }],
+    [{ tool: "tracker_createCard", call_id: "call_create", arguments: { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2 } } } }],
+    [{ text: "Added 2 foil copies of Ancient Tomb (UMA 236) to your collection." }]
+  ]);
+
+  const { status, frames } = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    message: "add 2 foil Ancient Tomb from Ultimate Masters",
+    messages: []
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(timeline(frames), [
+    "tool_call_started: scryfall_search",
+    "tool_call_result: scryfall_search",
+    "tool_call_started: tracker_createCard",
+    "tool_call_result: tracker_createCard",
+    "text_delta",
+    "final"
+  ]);
+  assert.deepEqual(statuses(frames), [
+    "Initializing model provider...",
+    "Preparing tools and context...",
+    "Setting up conversational context...",
+    "Contacting scripted...",
+    "Preparing scryfall_search",
+    "Processing response...",
+    "Executing tools...",
+    "scryfall_search returned 1 results",
+    "Contacting scripted for follow-up...",
+    "Preparing tracker_createCard",
+    "Processing response...",
+    "Executing tools...",
+    "Contacting scripted for follow-up...",
+    "Processing response...",
+    "Finalizing response..."
+  ]);
+
+  // Every frame is versioned and carries a sequential id within the stream
+  const streamId = frames[0].id.split(":")[0];
+  frames.forEach((frame, index) => {
+    assert.equal(frame.data.v, 1);
+    assert.equal(frame.id, `${streamId}:${index + 1}`);
+  });
+  const started = frames.find(f => f.event === "tool_call_started" && f.data.name === "tracker_createCard");
+  assert.deepEqual(started.data.arguments, { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2 } } });
+  const searchResult = frames.find(f => f.event === "tool_call_result" && f.data.name === "scryfall_search");
+  assert.deepEqual(searchResult.data.output, [{ set: "uma", collector_number: "236" }]);
+  const final = frames[frames.length - 1];
+  assert.equal(final.event, "final");
+  assert.equal(final.data.text, "Added 2 foil copies of Ancient Tomb (UMA 236) to your collection.");
+  // The answer was streamed token by token during the last follow-up call
+  assert.ok(frames.filter(f => f.event === "text_delta").length > 1);
+  assert.equal(streamedText(frames, 2), final.data.text);
+  assert.equal(streamedText(frames, 0), "");
+
+  // Scryfall and the tracker were called with the model's arguments
+  assert.equal(harness.scryfall.requests.length, 1);
+  assert.match(harness.scryfall.requests[0].query.q, /name:"Ancient Tomb"/);
+  const create = harness.tracker.requests.find(r => r.method === "POST" && r.path === "/cards");
+  assert.deepEqual(create.body, { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2 } } });
+  assert.deepEqual(harness.tracker.collection["uma:236"].finishes, { foil: { quantity: 2 } });
+
+  // The final frame holds the full message history
+  const messages = finalMessages(frames);
+  assert.deepEqual(messages.map(m => m.type || m.role), [
+    "system",
+    "developer",
+    "user",
+    "function_call",
+    "function_call_output",
+    "function_call",
+    "function_call_output",
+    "developer",
+    "message"
+  ]);
+  assert.deepEqual(JSON.parse(messages[4].output), [{ set: "uma", collector_number: "236" }]);
+  assert.equal(JSON.parse(messages[6].output).status, "success");
+  assert.equal(messages[8].content[0].text, "Added 2 foil copies of Ancient Tomb (UMA 236) to your collection.");
+
+  // The model saw the scryfall result before deciding on the tracker call
+  assert.equal(model.requests.length, 3);
+  assert.ok(model.requests[1].input.some(m => m.type === "function_call_output" && m.call_id === "call_search"));
+});
+
+test("stops for user choice when Scryfall returns multiple printings", async () => {
+  const model = scriptModel([
+    [{ tool: "scryfall_search", call_id: "call_search", arguments: { name: "Ancient Tomb" } }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    message: "find Ancient Tomb",
+    messages: []
+  });
+
+  assert.ok(statuses(frames).includes("scryfall_search returned 2 results"));
+  assert.ok(!statuses(frames).includes("Contacting scripted for follow-up..."));
+  assert.equal(model.requests.length, 1);
+
+  const candidateEvent = frames.find(f => f.event === "card_candidates");
+  assert.equal(candidateEvent.data.call_id, "call_search");
+  assert.deepEqual(candidateEvent.data.cards.map(card => card.id), harness.scryfall.cards.slice(0, 2).map(card => card.id));
+  // Compact candidates instead of full Scryfall objects
+  assert.deepEqual(Object.keys(candidateEvent.data.cards[0]).sort(), [
+    "collector_number", "finishes", "id", "image_uris", "name", "prices", "rarity", "set", "set_name"
+  ]);
+  assert.equal(candidateEvent.data.cards[0].image_uris.normal, harness.scryfall.cards[0].image_uris.normal);
+
+  // The history only lists the printings
+  const messages = finalMessages(frames);
+  const candidates = messages[messages.length - 1];
+  assert.equal(candidates.role, "assistant");
+  assert.match(candidates.content[0].text, /1\. Ancient Tomb - Ultimate Masters \(UMA 236\)/);
+  assert.match(candidates.content[0].text, /2\. Ancient Tomb - Tempest \(TMP 315\)/);
+  assert.ok(!JSON.stringify(messages).includes("oracle_text"));
+  assert.equal(frames.find(f => f.event === "final").data.stop_reason, "card_candidates");
+  assert.equal(harness.tracker.requests.filter(r => r.path.startsWith("/cards")).length, 0);
+
+  // The candidates can be fetched again by reference
+  const res = await fetch(`${harness.url}/api/candidates/${candidateEvent.data.candidates_id}`);
+  assert.equal(res.status, 200);
+  const { v, ...payload } = candidateEvent.data;
+  assert.deepEqual(await res.json(), payload);
+  assert.equal((await fetch(`${harness.url}/api/candidates/unknown`)).status, 404);
+});
+
+test("answers from the collection using the tracker tools", async () => {
+  scriptModel([
+    [{ tool: "tracker_getCard", call_id: "call_get", arguments: { set_code: "m10", card_number: "146" } }],
+    [{ text: "You own 3 non-foil Lightning Bolts from Magic 2010." }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    message: "how many Lightning Bolts from M10 do I have?",
+    messages: []
+  });
+
+  const messages = finalMessages(frames);
+  const output = JSON.parse(messages.find(m => m.type === "function_call_output").output);
+  assert.equal(output.status, "success");
+  // The scryfall child is reduced to the card name
+  assert.equal(output.message.name, "Lightning Bolt");
+  assert.equal(output.message.scryfall, undefined);
+  assert.equal(output.message.finishes.nonfoil.quantity, 3);
+
+  // The tracker call was authenticated with the token from /gettoken
+  const getCard = harness.tracker.requests.find(r => r.path === "/cards/m10/146");
+  assert.equal(getCard.headers.authorization, "Bearer fake-tracker-token");
+});
+
+test("forwards the user's own token to the tracker", async () => {
+  scriptModel([
+    [{ tool: "tracker_getCard", call_id: "call_get", arguments: { set_code: "m10", card_number: "146" } }],
+    [{ text: "You own 3 non-foil Lightning Bolts from Magic 2010." }]
+  ]);
+  const token = signUserToken("alice");
+
+  const { status } = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    message: "how many Lightning Bolts from M10 do I have?",
+    messages: []
+  }, { Authorization: `Bearer ${token}` });
+
+  assert.equal(status, 200);
+  const getCard = harness.tracker.requests.find(r => r.path === "/cards/m10/146");
+  assert.equal(getCard.headers.authorization, `Bearer ${token}`);
+  // No service account token was needed
+  assert.equal(harness.tracker.requests.some(r => r.path === "/gettoken"), false);
+});
+
+test("rejects invalid and expired user tokens before streaming", async () => {
+  const model = scriptModel([[{ text: "should not be reached" }]]);
+  const body = { provider: "scripted", message: "hi", messages: [] };
+
+  for (const authorization of [
+    "Bearer not-a-jwt",
+    `Bearer ${jwt.sign({ sub: "mallory" }, "some-other-secret")}`,
+    `Bearer ${signUserToken("alice", { expiresIn: -10 })}`,
+    "Basic YWdlbnQ6c2VjcmV0"
+  ]) {
+    const res = await fetch(`${harness.url}/api/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: authorization },
+      body: JSON.stringify(body)
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get("www-authenticate"), "Bearer");
+    assert.ok((await res.json()).error);
+  }
+  assert.equal(model.requests.length, 0);
+});
+
+test("caches the service token and refreshes it when it expires or is rejected", async () => {
+  clearTokenCache();
+  const getCard = { tool: "tracker_getCard", arguments: { set_code: "m10", card_number: "146" } };
+  const run = () => {
+    scriptModel([
+      [{ ...getCard, call_id: "call_1" }, { ...getCard, call_id: "call_2" }],
+      [{ text: "done" }]
+    ]);
+    return postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "check m10 146", messages: [] });
+  };
+  const tokenRequests = () => harness.tracker.requests.filter(r => r.path === "/gettoken").length;
+
+  // Concurrent calls share one /gettoken request, and the next run reuses the token
+  await run();
+  await run();
+  assert.equal(tokenRequests(), 1);
+
+  // The tracker stops accepting the cached token: refresh once and retry
+  harness.tracker.serviceToken = "rotated-token";
+  const { frames } = await run();
+  assert.equal(tokenRequests(), 2);
+  const results = frames.filter(f => f.event === "tool_call_result");
+  assert.deepEqual(results.map(f => f.data.status), ["success", "success"]);
+  assert.equal(harness.tracker.requests.filter(r => r.path === "/cards/m10/146" && r.headers.authorization === "Bearer rotated-token").length, 2);
+
+  // A token that is about to expire is replaced before it is used
+  harness.tracker.serviceToken = jwt.sign({ sub: "agent" }, "any-secret", { expiresIn: 30 });
+  clearTokenCache();
+  await run();
+  await run();
+  assert.equal(tokenRequests(), 4);
+
+  harness.tracker.serviceToken = "fake-tracker-token";
+  clearTokenCache();
+});
+
+test("reports a failing /gettoken to the model instead of calling the tracker without a token", async () => {
+  clearTokenCache();
+  harness.tracker.tokenStatus = 503;
+  scriptModel([
+    [{ tool: "tracker_getCard", call_id: "call_get", arguments: { set_code: "m10", card_number: "146" } }],
+    [{ text: "The collection is unavailable right now." }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "check m10 146", messages: [] });
+  harness.tracker.tokenStatus = 200;
+
+  const output = JSON.parse(finalMessages(frames).find(m => m.type === "function_call_output").output);
+  assert.equal(output.status, "error");
+  assert.match(output.message, /\/gettoken answered HTTP 503/);
+  assert.equal(harness.tracker.requests.some(r => r.path.startsWith("/cards")), false);
+});
+
+test("keeps conversations private to the user who created them", async () => {
+  scriptModel([[{ text: "Hi Alice." }]]);
+  const alice = { Authorization: `Bearer ${signUserToken("alice")}` };
+  const bob = { Authorization: `Bearer ${signUserToken("bob")}` };
+
+  const created = await fetch(`${harness.url}/api/conversations`, { method: "POST", headers: alice });
+  const { conversation_id, owner } = await created.json();
+  assert.equal(owner, "alice");
+
+  assert.equal((await fetch(`${harness.url}/api/conversations/${conversation_id}`, { headers: bob })).status, 404);
+  assert.equal((await fetch(`${harness.url}/api/conversations/${conversation_id}`, { method: "DELETE", headers: bob })).status, 404);
+  const { conversations } = await (await fetch(`${harness.url}/api/conversations`, { headers: bob })).json();
+  assert.ok(!conversations.some(c => c.conversation_id === conversation_id));
+  const { status } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", conversation_id, message: "hi" }, bob);
+  assert.equal(status, 404);
+
+  assert.equal((await fetch(`${harness.url}/api/conversations/${conversation_id}`, { headers: alice })).status, 200);
+});
+
+test("keeps the history server-side for a conversation", async () => {
+  const model = scriptModel([
+    [{ text: "Hello! What can I do for your collection?" }],
+    [{ text: "You asked me to say hello." }]
+  ]);
+
+  const created = await fetch(`${harness.url}/api/conversations`, { method: "POST" });
+  assert.equal(created.status, 201);
+  const { conversation_id } = await created.json();
+
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", conversation_id, message: "say hello" });
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", conversation_id, message: "what did I ask?" });
+
+  // The second model call got the first turn from the store, not from the client
+  const secondInput = model.requests[1].input;
+  assert.ok(secondInput.some(m => m.role === "user" && m.content === "say hello"));
+  assert.ok(secondInput.some(m => m.type === "message" && m.content[0].text === "Hello! What can I do for your collection?"));
+  assert.equal(secondInput.filter(m => m.role === "system").length, 1);
+
+  const session = await (await fetch(`${harness.url}/api/conversations/${conversation_id}`)).json();
+  assert.equal(session.title, "say hello");
+  assert.equal(session.messages[session.messages.length - 1].content[0].text, "You asked me to say hello.");
+
+  const { conversations } = await (await fetch(`${harness.url}/api/conversations`)).json();
+  assert.ok(conversations.some(c => c.conversation_id === conversation_id && c.messages === undefined));
+
+  assert.equal((await fetch(`${harness.url}/api/conversations/${conversation_id}`, { method: "DELETE" })).status, 204);
+  assert.equal((await fetch(`${harness.url}/api/conversations/${conversation_id}`)).status, 404);
+  const { status } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", conversation_id, message: "hello?" });
+  assert.equal(status, 404);
+});
+
+test("replays missed events after Last-Event-ID", async () => {
+  scriptModel([
+    [{ text: "Replay me." }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "hi", messages: [] });
+  const [streamId] = frames[0].id.split(":");
+
+  const res = await fetch(`${harness.url}/api/stream/${streamId}`, { headers: { "Last-Event-ID": frames[2].id } });
+  assert.equal(res.status, 200);
+  const replayed = parseSSE(await res.text());
+  assert.deepEqual(replayed.map(f => f.id), frames.slice(3).map(f => f.id));
+  assert.equal(replayed[replayed.length - 1].event, "final");
+
+  assert.equal((await fetch(`${harness.url}/api/stream/unknown-stream`)).status, 404);
+});
+
+test("only replays a stream to the user who started it", async () => {
+  scriptModel([
+    [{ text: "Private." }]
+  ]);
+  const alice = { Authorization: `Bearer ${signUserToken("alice")}` };
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "hi", messages: [] }, alice);
+  const [streamId] = frames[0].id.split(":");
+
+  assert.equal((await fetch(`${harness.url}/api/stream/${streamId}`, { headers: alice })).status, 200);
+  const bob = { Authorization: `Bearer ${signUserToken("bob")}` };
+  assert.equal((await fetch(`${harness.url}/api/stream/${streamId}`, { headers: bob })).status, 404);
+  // Nor to the service account
+  assert.equal((await fetch(`${harness.url}/api/stream/${streamId}`)).status, 404);
+});
+
+test("returns tool failures to the model instead of ending the run", async () => {
+  const model = scriptModel([
+    [
+      { tool: "scryfall_search", call_id: "call_bad_json", arguments: "{not json" },
+      { tool: "summon_goblin", call_id: "call_unknown", arguments: {} }
+    ],
+    [{ text: "Sorry, let me try that differently." }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "find a card", messages: [] });
+
+  const results = frames.filter(f => f.event === "tool_call_result");
+  assert.deepEqual(results.map(f => [f.data.call_id, f.data.status, f.data.output.code]), [
+    ["call_bad_json", "error", "INVALID_ARGUMENTS"],
+    ["call_unknown", "error", "UNKNOWN_TOOL"]
+  ]);
+  // Every function call still got an output, so the follow-up request is valid
+  const followupInput = model.requests[1].input;
+  for (const callId of ["call_bad_json", "call_unknown"]) {
+    assert.ok(followupInput.some(m => m.type === "function_call_output" && m.call_id === callId));
+  }
+  assert.equal(frames[frames.length - 1].event, "final");
+});
+
+test("ends the stream with an error event when the model fails", async () => {
+  scriptModel([
+    () => { throw new Error("upstream exploded"); }
+  ]);
+
+  const { status, frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "hi", messages: [] });
+  assert.equal(status, 200);
+  const last = frames[frames.length - 1];
+  assert.equal(last.event, "error");
+  assert.deepEqual({ code: last.data.code, message: last.data.message }, { code: "MODEL_ERROR", message: "upstream exploded" });
+  assert.ok(!frames.some(f => f.event === "final"));
+
+  const unknown = await postStream(`${harness.url}/api/stream`, { provider: "nope", message: "hi", messages: [] });
+  assert.equal(unknown.frames[unknown.frames.length - 1].data.code, "INVALID_PROVIDER");
+});
+
+test("aborts the run when the client disconnects", async () => {
+  let releaseTurn;
+  const turnReached = new Promise(resolve => {
+    releaseTurn = resolve;
+  });
+  const model = scriptModel([
+    async () => {
+      releaseTurn();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return [{ tool: "scryfall_search", arguments: { name: "Ancient Tomb" } }];
+    }
+  ]);
+
+  const controller = new AbortController();
+  const res = await fetch(`${harness.url}/api/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ provider: "scripted", message: "find Ancient Tomb", messages: [] }),
+    signal: controller.signal
+  });
+  const streamId = res.headers.get("x-stream-id");
+  await turnReached;
+  controller.abort();
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  const replay = await fetch(`${harness.url}/api/stream/${streamId}`);
+  const frames = parseSSE(await replay.text());
+  assert.equal(frames[frames.length - 1].event, "error");
+  assert.equal(frames[frames.length - 1].data.code, "CLIENT_DISCONNECTED");
+  // The tool call the model asked for was never executed
+  assert.equal(model.requests.length, 1);
+  assert.equal(harness.scryfall.requests.length, 0);
+});
+
+test("stops cleanly when the model keeps asking for tools", async () => {
+  const model = scriptModel([
+    [{ tool: "tracker_getAllCards", call_id: "call_1", arguments: {} }],
+    [{ tool: "tracker_getAllCards", call_id: "call_2", arguments: {} }],
+    [{ tool: "tracker_getAllCards", call_id: "call_3", arguments: {} }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    message: "list everything, twice",
+    messages: [],
+    limits: { maxToolRounds: 2 }
+  });
+
+  const final = frames[frames.length - 1];
+  assert.equal(final.event, "final");
+  assert.equal(final.data.stop_reason, "max_tool_rounds");
+  assert.match(final.data.text, /more tool calls than I'm allowed/);
+  assert.equal(model.requests.length, 3);
+  // The third call was never executed and does not linger in the history
+  const callIds = final.data.messages.filter(m => m.type === "function_call").map(m => m.call_id);
+  assert.ok(!callIds.includes("call_3"));
+  assert.equal(frames.filter(f => f.event === "tool_call_started").length, 2);
+});
+
+test("stops when the token budget is spent", async () => {
+  const model = scriptModel([
+    [{ tool: "tracker_getAllCards", arguments: {}, usage: { input_tokens: 900, output_tokens: 200 } }],
+    [{ text: "never reached" }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    message: "what do I own?",
+    messages: [],
+    limits: { maxTokens: 1000 }
+  });
+
+  const final = frames[frames.length - 1];
+  assert.equal(final.data.stop_reason, "max_tokens");
+  assert.equal(model.requests.length, 1);
+});
+
+test("times out slow tools and reports it to the model", async () => {
+  harness.scryfall.delayMs = 300;
+  try {
+    const model = scriptModel([
+      [{ tool: "scryfall_search", call_id: "call_slow", arguments: { name: "Lightning Bolt" } }],
+      [{ text: "Scryfall is slow right now." }]
+    ]);
+
+    const { frames } = await postStream(`${harness.url}/api/stream`, {
+      provider: "scripted",
+      message: "find Lightning Bolt",
+      messages: [],
+      limits: { toolTimeoutMs: 50 }
+    });
+
+    const result = frames.find(f => f.event === "tool_call_result");
+    assert.equal(result.data.status, "error");
+    assert.equal(result.data.output.code, "TOOL_TIMEOUT");
+    assert.ok(model.requests[1].input.some(m => m.type === "function_call_output" && m.call_id === "call_slow"));
+    assert.equal(frames[frames.length - 1].data.stop_reason, "completed");
+  } finally {
+    harness.scryfall.delayMs = 0;
+  }
+});
+
+test("never raises limits above the configured ones", () => {
+  const { getLimits } = require("../src/limits.js");
+  process.env.AGENT_MAX_TOOL_ROUNDS = "3";
+  try {
+    assert.equal(getLimits({ maxToolRounds: 50 }).maxToolRounds, 3);
+    assert.equal(getLimits({ maxToolRounds: 2 }).maxToolRounds, 2);
+    assert.equal(getLimits({}).maxToolRounds, 3);
+  } finally {
+    delete process.env.AGENT_MAX_TOOL_ROUNDS;
+  }
+});
+
+test("runs read-only tool calls concurrently and keeps writes ordered", async () => {
+  harness.scryfall.delayMs = 150;
+  try {
+    scriptModel([
+      [
+        { tool: "scryfall_search", call_id: "call_search", arguments: { name: "Lightning Bolt" } },
+        { tool: "tracker_getCard", call_id: "call_get", arguments: { set_code: "m10", card_number: "146" } },
+        { tool: "tracker_createCard", call_id: "call_create", arguments: { set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 4 } } } },
+        { tool: "tracker_getAllCards", call_id: "call_all", arguments: {} }
+      ],
+      [{ text: "Done." }]
+    ]);
+
+    const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "bolt things", messages: [] });
+
+    const toolEvents = frames
+      .filter(f => f.event === "tool_call_started" || f.event === "tool_call_result")
+      .map(f => `${f.event === "tool_call_started" ? "start" : "done"} ${f.data.call_id}`);
+    assert.deepEqual(toolEvents, [
+      // Both reads start before either finishes; the fast tracker read overtakes the slow search
+      "start call_search",
+      "start call_get",
+      "done call_get",
+      "done call_search",
+      // The write waits for the reads, and the read after it waits for the write
+      "start call_create",
+      "done call_create",
+      "start call_all",
+      "done call_all"
+    ]);
+
+    // The read after the write sees the new quantity
+    const all = frames.find(f => f.event === "tool_call_result" && f.data.call_id === "call_all");
+    assert.equal(all.data.output.message["m10:146"].finishes.nonfoil.quantity, 4);
+
+    // The history lists the calls in the order the model made them
+    const messages = frames[frames.length - 1].data.messages;
+    assert.deepEqual(
+      messages.filter(m => m.type === "function_call_output").map(m => m.call_id),
+      ["call_search", "call_get", "call_create", "call_all"]
+    );
+  } finally {
+    harness.scryfall.delayMs = 0;
+  }
+});
+
+test("keeps every call of a round in the history when they share a tool", async () => {
+  scriptModel([
+    [
+      { tool: "tracker_getCard", call_id: "call_bolt", arguments: { set_code: "m10", card_number: "146" } },
+      { tool: "tracker_getCard", call_id: "call_tomb", arguments: { set_code: "uma", card_number: "236" } }
+    ],
+    [{ text: "You have the Bolts but no Ancient Tomb." }]
+  ]);
+
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "bolt and tomb?", messages: [] });
+
+  const messages = finalMessages(frames);
+  assert.deepEqual(messages.filter(m => m.type === "function_call").map(m => m.call_id), ["call_bolt", "call_tomb"]);
+  assert.deepEqual(messages.filter(m => m.type === "function_call_output").map(m => m.call_id), ["call_bolt", "call_tomb"]);
+});
+
+test("holds destructive tracker calls until the user confirms them", async () => {
+  harness.tracker.collection["tmp:315"] = { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "LP" } } };
+  scriptModel([
+    [
+      { tool: "tracker_getCard", call_id: "call_get", arguments: { set_code: "tmp", card_number: "315" } },
+      { tool: "tracker_deleteCard", call_id: "call_delete", arguments: { set_code: "tmp", card_number: "315" } }
+    ]
+  ]);
+  const first = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "remove my Tempest Ancient Tomb", messages: [] });
+
+  // The read ran, the delete did not
+  assert.equal(harness.tracker.requests.filter(r => r.method === "DELETE").length, 0);
+  assert.ok(harness.tracker.collection["tmp:315"]);
+  const pending = first.frames.find(f => f.event === "pending_action").data;
+  assert.deepEqual(pending.changes, [{
+    call_id: "call_delete",
+    name: "tracker_deleteCard",
+    request: "DELETE /cards/tmp/315",
+    reasons: ["removes cards from the collection"]
+  }]);
+  const final = first.frames[first.frames.length - 1].data;
+  assert.equal(final.stop_reason, "pending_confirmation");
+  assert.match(final.text, /DELETE \/cards\/tmp\/315/);
+  const heldOutput = JSON.parse(final.messages.find(m => m.call_id === "call_delete" && m.type === "function_call_output").output);
+  assert.deepEqual(heldOutput.status, "pending_confirmation");
+  assert.equal(heldOutput.action_id, pending.action_id);
+
+  // Confirming executes the delete and hands its real output to the model
+  const model = scriptModel([[{ text: "Removed it." }]]);
+  const confirmed = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    messages: final.messages,
+    confirm: { action_id: pending.action_id, approve: true }
+  });
+  assert.equal(confirmed.status, 200);
+  assert.equal(harness.tracker.collection["tmp:315"], undefined);
+  const input = model.requests[0].input;
+  const output = JSON.parse(input.find(m => m.type === "function_call_output" && m.call_id === "call_delete").output);
+  assert.equal(output.status, "success");
+  assert.equal(input[input.length - 1].content, "Yes, go ahead.");
+  assert.equal(confirmed.frames[confirmed.frames.length - 1].data.stop_reason, "completed");
+
+  // An action can only be confirmed once
+  const again = await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    messages: final.messages,
+    confirm: { action_id: pending.action_id, approve: true }
+  });
+  assert.equal(again.status, 404);
+});
+
+test("holds the writes after a held call with it", async () => {
+  harness.tracker.collection["tmp:315"] = { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "LP" } } };
+  scriptModel([
+    [
+      { tool: "tracker_deleteCard", call_id: "call_delete", arguments: { set_code: "tmp", card_number: "315" } },
+      { tool: "tracker_createCard", call_id: "call_create", arguments: { set_code: "uma", card_number: "236", finishes: { nonfoil: { quantity: 1 } } } },
+      { tool: "tracker_getCard", call_id: "call_get", arguments: { set_code: "m10", card_number: "146" } }
+    ]
+  ]);
+  const first = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "swap my Tempest Ancient Tomb for the UMA one", messages: [] });
+
+  // The create would not need confirmation by itself, but runs only with the delete; the read runs
+  assert.equal(harness.tracker.requests.filter(r => r.method !== "GET").length, 0);
+  assert.ok(harness.tracker.requests.some(r => r.method === "GET" && r.path === "/cards/m10/146"));
+  const pending = first.frames.find(f => f.event === "pending_action").data;
+  assert.deepEqual(pending.changes.map(c => [c.call_id, c.request, c.reasons]), [
+    ["call_delete", "DELETE /cards/tmp/315", ["removes cards from the collection"]],
+    ["call_create", "POST /cards", ["follows a change that needs confirmation"]]
+  ]);
+
+  scriptModel([[{ text: "Swapped." }]]);
+  await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    messages: first.frames[first.frames.length - 1].data.messages,
+    confirm: { action_id: pending.action_id, approve: true }
+  });
+  assert.deepEqual(harness.tracker.requests.filter(r => r.method !== "GET").map(r => `${r.method} ${r.path}`), [
+    "DELETE /cards/tmp/315",
+    "POST /cards"
+  ]);
+  assert.equal(harness.tracker.collection["tmp:315"], undefined);
+  delete harness.tracker.collection["uma:236"];
+});
+
+test("holds an import until the user confirms it and then prepares it again", async () => {
+  delete harness.tracker.collection["tmp:315"];
+  const args = { text: "1 Ancient Tomb (TMP) 315", format: null, choices: null, commit: true };
+  scriptModel([[{ tool: "import_card_list", call_id: "call_import", arguments: args }]]);
+  const first = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "import my list", messages: [] });
+  const pending = first.frames.find(f => f.event === "pending_action").data;
+  assert.deepEqual(pending.changes, [{
+    call_id: "call_import",
+    name: "import_card_list",
+    request: "POST /cards/batch",
+    body: { operations: [{ action: "create", set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1 } } }] },
+    reasons: ["changes 1 cards at once"]
+  }]);
+  assert.equal(harness.tracker.collection["tmp:315"], undefined);
+
+  // A copy added meanwhile is kept
+  harness.tracker.collection["tmp:315"] = { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "LP" } } };
+  scriptModel([[{ text: "Imported." }]]);
+  await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    messages: first.frames[first.frames.length - 1].data.messages,
+    confirm: { action_id: pending.action_id, approve: true }
+  });
+  assert.deepEqual(harness.tracker.collection["tmp:315"].finishes, { nonfoil: { quantity: 2, condition: "LP" } });
+  delete harness.tracker.collection["tmp:315"];
+});
+
+test("keeps a confirmation when the run fails before making the changes", async () => {
+  harness.tracker.collection["tmp:315"] = { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "LP" } } };
+  scriptModel([[{ tool: "tracker_deleteCard", call_id: "call_delete", arguments: { set_code: "tmp", card_number: "315" } }]]);
+  const first = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "remove my Tempest Ancient Tomb", messages: [] });
+  const pending = first.frames.find(f => f.event === "pending_action").data;
+  const messages = first.frames[first.frames.length - 1].data.messages;
+
+  const failed = await postStream(`${harness.url}/api/stream`, { provider: "nope", messages, confirm: { action_id: pending.action_id, approve: true } });
+  assert.equal(failed.frames[failed.frames.length - 1].data.code, "INVALID_PROVIDER");
+  assert.ok(harness.tracker.collection["tmp:315"]);
+
+  scriptModel([[{ text: "Removed it." }]]);
+  const retried = await postStream(`${harness.url}/api/stream`, { provider: "scripted", messages, confirm: { action_id: pending.action_id, approve: true } });
+  assert.equal(retried.status, 200);
+  assert.equal(harness.tracker.collection["tmp:315"], undefined);
+
+  // Once the changes are made, a failing run does not bring the action back
+  scriptModel([[{ tool: "tracker_deleteCard", call_id: "call_delete_2", arguments: { set_code: "m10", card_number: "146" } }]]);
+  const second = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "remove the bolts", messages: [] });
+  const action = second.frames.find(f => f.event === "pending_action").data;
+  scriptModel([() => { throw new Error("upstream exploded"); }]);
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", messages: [], confirm: { action_id: action.action_id, approve: false } });
+  scriptModel([[{ text: "Okay." }]]);
+  const again = await postStream(`${harness.url}/api/stream`, { provider: "scripted", messages: [], confirm: { action_id: action.action_id, approve: false } });
+  assert.equal(again.status, 404);
+});
+
+test("cancels held calls the user declines, and pauses on batches and large quantities", async () => {
+  scriptModel([
+    [
+      { tool: "tracker_updateCard", call_id: "call_update", arguments: { set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 40 } } } },
+      { tool: "tracker_batch", call_id: "call_batch", arguments: { operations: [{ action: "delete", set_code: "m10", card_number: "146" }] } }
+    ]
+  ]);
+  const first = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "make it 40 bolts, then drop them", messages: [] });
+  const pending = first.frames.find(f => f.event === "pending_action").data;
+  assert.deepEqual(pending.changes.map(c => [c.request, c.reasons]), [
+    ["PUT /cards/m10/146", ["changes a quantity by 10 or more"]],
+    ["POST /cards/batch", ["changes 1 cards at once"]]
+  ]);
+  assert.deepEqual(pending.changes[1].body, { operations: [{ action: "delete", set_code: "m10", card_number: "146" }] });
+
+  const model = scriptModel([[{ text: "Okay, I left your collection alone." }]]);
+  await postStream(`${harness.url}/api/stream`, {
+    provider: "scripted",
+    messages: first.frames[first.frames.length - 1].data.messages,
+    confirm: { action_id: pending.action_id, approve: false }
+  });
+  assert.equal(harness.tracker.requests.filter(r => r.path.startsWith("/cards") && r.method !== "GET").length, 0);
+  const outputs = model.requests[0].input.filter(m => m.type === "function_call_output").map(m => JSON.parse(m.output).status);
+  assert.deepEqual(outputs, ["cancelled", "cancelled"]);
+
+  // Another user cannot confirm someone else's action
+  scriptModel([[{ tool: "tracker_deleteCard", call_id: "call_delete", arguments: { set_code: "m10", card_number: "146" } }]]);
+  const mine = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "delete the bolts", messages: [] }, { Authorization: `Bearer ${signUserToken("alice")}` });
+  const { action_id } = mine.frames.find(f => f.event === "pending_action").data;
+  const theirs = await postStream(`${harness.url}/api/stream`, { provider: "scripted", messages: [], confirm: { action_id, approve: true } }, { Authorization: `Bearer ${signUserToken("bob")}` });
+  assert.equal(theirs.status, 404);
+});
+
+test("judges quantities by how much they change", async () => {
+  harness.tracker.collection["tmp:315"] = { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 40, condition: "NM" } } };
+  scriptModel([
+    [{ tool: "tracker_updateCard", call_id: "call_update", arguments: { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 41, condition: "NM" } } } }],
+    [{ text: "You now have 41." }]
+  ]);
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "one more Tempest Ancient Tomb", messages: [] });
+
+  // One more of 40 copies is a small change, so it runs right away
+  assert.equal(frames.find(f => f.event === "pending_action"), undefined);
+  assert.equal(harness.tracker.collection["tmp:315"].finishes.nonfoil.quantity, 41);
+  delete harness.tracker.collection["tmp:315"];
+});
+
+test("reports a call that cannot be classified as a tool error", async () => {
+  const { getAuditStore, setAuditStore, createMemoryAuditStore } = require("../src/auditLog.js");
+  const store = getAuditStore();
+  setAuditStore({ ...createMemoryAuditStore(), list: async () => { throw new Error("audit store unavailable"); } });
+  try {
+    scriptModel([
+      [{ tool: "undo_last_change", call_id: "call_undo", arguments: { change_id: null } }],
+      [{ text: "I could not undo that." }]
+    ]);
+    const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "undo", messages: [] });
+    const result = frames.find(f => f.event === "tool_call_result").data;
+    assert.equal(result.status, "error");
+    assert.equal(result.output.message, "audit store unavailable");
+    assert.equal(frames[frames.length - 1].event, "final");
+  } finally {
+    setAuditStore(store);
+  }
+});
+
+test("logs collection changes and undoes the last one", async () => {
+  harness.tracker.collection["uma:236"] = { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2, condition: "NM" } } };
+  const token = signUserToken("carol");
+  const headers = { Authorization: `Bearer ${token}` };
+  scriptModel([
+    [{ tool: "tracker_updateCard", call_id: "call_update", arguments: { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 3, condition: "NM" } } } }],
+    [{ text: "You now have 3 foil copies." }]
+  ]);
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "add a foil UMA Ancient Tomb", messages: [] }, headers);
+
+  const { changes } = await (await fetch(`${harness.url}/api/changes`, { headers })).json();
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].owner, "carol");
+  assert.equal(changes[0].tool, "tracker_updateCard");
+  assert.deepEqual(changes[0].cards.map(c => [c.key, c.before.finishes.foil.quantity, c.after.finishes.foil.quantity]), [["uma:236", 2, 3]]);
+  // Other users do not see it
+  const other = await (await fetch(`${harness.url}/api/changes`, { headers: { Authorization: `Bearer ${signUserToken("dave")}` } })).json();
+  assert.deepEqual(other.changes, []);
+
+  scriptModel([
+    [{ tool: "undo_last_change", call_id: "call_undo", arguments: { change_id: null } }],
+    [{ text: "Undone." }]
+  ]);
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "undo that", messages: [] }, headers);
+  const undo = frames.find(f => f.event === "tool_call_result" && f.data.name === "undo_last_change").data.output;
+  assert.equal(undo.status, "success");
+  assert.equal(undo.message.undone, changes[0].change_id);
+  assert.equal(harness.tracker.collection["uma:236"].finishes.foil.quantity, 2);
+
+  // The undo is logged as a change of its own, and the original is marked as undone
+  const after = (await (await fetch(`${harness.url}/api/changes`, { headers })).json()).changes;
+  assert.equal(after.length, 2);
+  assert.equal(after[0].undo_of, changes[0].change_id);
+  assert.ok(after[1].undone_at);
+
+  // Nothing left to undo
+  scriptModel([[{ tool: "undo_last_change", call_id: "call_undo", arguments: { change_id: null } }], [{ text: "Nothing to undo." }]]);
+  const again = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "undo again", messages: [] }, headers);
+  assert.equal(again.frames.find(f => f.event === "tool_call_result").data.output.message, "There is no change to undo");
+});
+
+test("refuses to undo a change when the card was edited since", async () => {
+  const headers = { Authorization: `Bearer ${signUserToken("erin")}` };
+  scriptModel([
+    [{ tool: "tracker_createCard", call_id: "call_create", arguments: { set_code: "m10", card_number: "147", finishes: { nonfoil: { quantity: 1 } } } }],
+    [{ text: "Added." }]
+  ]);
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "add m10 147", messages: [] }, headers);
+  const [created] = (await (await fetch(`${harness.url}/api/changes`, { headers })).json()).changes;
+  assert.equal(created.cards[0].before, null);
+
+  harness.tracker.collection["m10:147"].notes = "edited by hand";
+  scriptModel([[{ tool: "undo_last_change", call_id: "call_undo", arguments: { change_id: null } }], [{ text: "Could not undo." }]]);
+  const { frames } = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "undo", messages: [] }, headers);
+  const output = frames.find(f => f.event === "tool_call_result").data.output;
+  assert.equal(output.status, "error");
+  assert.match(output.message, /m10:147 was changed again/);
+  assert.ok(harness.tracker.collection["m10:147"]);
+  delete harness.tracker.collection["m10:147"];
+});
+
+test("asks before an undo that removes cards", async () => {
+  const headers = { Authorization: `Bearer ${signUserToken("frank")}` };
+  scriptModel([
+    [{ tool: "tracker_createCard", call_id: "call_create", arguments: { set_code: "m10", card_number: "148", finishes: { nonfoil: { quantity: 1 } } } }],
+    [{ text: "Added." }]
+  ]);
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "add m10 148", messages: [] }, headers);
+  const [created] = (await (await fetch(`${harness.url}/api/changes`, { headers })).json()).changes;
+
+  // Undoing the create deletes the card, so it waits for the user like a delete would
+  scriptModel([[{ tool: "undo_last_change", call_id: "call_undo", arguments: { change_id: null } }]]);
+  const first = await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "undo", messages: [] }, headers);
+  const pending = first.frames.find(f => f.event === "pending_action").data;
+  assert.deepEqual(pending.changes, [{
+    call_id: "call_undo",
+    name: "undo_last_change",
+    request: `Undo change ${created.change_id}: DELETE /cards/m10/148`,
+    reasons: ["removes cards from the collection"]
+  }]);
+  assert.ok(harness.tracker.collection["m10:148"]);
+
+  scriptModel([[{ text: "Undone." }]]);
+  const final = first.frames[first.frames.length - 1].data;
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", messages: final.messages, confirm: { action_id: pending.action_id, approve: true } }, headers);
+  assert.equal(harness.tracker.collection["m10:148"], undefined);
+  const changes = (await (await fetch(`${harness.url}/api/changes`, { headers })).json()).changes;
+  assert.equal(changes[0].undo_of, created.change_id);
+});
+
+test("reuses the cached tracker spec and revalidates it with its ETag", async () => {
+  const script = [
+    [{ tool: "tracker_getAllCards", arguments: {} }],
+    [{ text: "Here is your collection." }]
+  ];
+  const specRequests = () => harness.tracker.requests.filter(r => r.path === "/api-docs/swagger.json");
+
+  scriptModel(script);
+  await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "what do I own?", messages: [] });
+  // Tools and the tracker call were served from the cache filled by earlier runs
+  assert.equal(specRequests().length, 0);
+  assert.ok(harness.tracker.requests.some(r => r.path === "/cards"));
+
+  process.env.TRACKER_SPEC_TTL_MS = "0";
+  try {
+    scriptModel(script);
+    await postStream(`${harness.url}/api/stream`, { provider: "scripted", message: "what do I own?", messages: [] });
+    assert.ok(specRequests().length > 0);
+    assert.ok(specRequests().every(r => r.headers["if-none-match"]));
+  } finally {
+    delete process.env.TRACKER_SPEC_TTL_MS;
+  }
+});
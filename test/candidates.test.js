@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_CANDIDATE_SETS, MAX_LISTED_CANDIDATES, saveCandidates, getCandidates, candidatesMessage } = require("../src/candidates.js");
+
+const printing = number => ({
+  id: `id-${number}`,
+  name: "Plains",
+  set: "sld",
+  set_name: "Secret Lair Drop",
+  collector_number: String(number),
+  rarity: "common",
+  finishes: ["nonfoil"]
+});
+
+test("lists the first candidates in the history and points to the rest", () => {
+  const set = saveCandidates("alice", "call_1", Array.from({ length: 525 }, (_, i) => printing(i + 1)));
+  const lines = candidatesMessage(set).split("\n");
+  assert.equal(lines.length, 1 + MAX_LISTED_CANDIDATES + 1);
+  assert.equal(lines[1], "1. Plains - Secret Lair Drop (SLD 1), common, nonfoil");
+  assert.equal(lines[lines.length - 1], `... and ${525 - MAX_LISTED_CANDIDATES} more, see candidates_id ${set.candidates_id}`);
+  // The stored set keeps all of them
+  assert.equal(getCandidates(set.candidates_id, "alice").cards.length, 525);
+});
+
+test("keeps a bounded number of candidate sets, dropping the least recently used", () => {
+  const first = saveCandidates("bob", "call_first", [printing(1)]);
+  const second = saveCandidates("bob", "call_second", [printing(2)]);
+  assert.ok(getCandidates(first.candidates_id, "bob"));
+  for (let i = 0; i < MAX_CANDIDATE_SETS - 1; i++) saveCandidates("bob", `call_${i}`, [printing(i)]);
+
+  // The second set was used least recently, the first one was read after it was stored
+  assert.equal(getCandidates(second.candidates_id, "bob"), null);
+  assert.ok(getCandidates(first.candidates_id, "bob"));
+});
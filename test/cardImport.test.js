@@ -0,0 +1,144 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness.js");
+
+let harness;
+
+const LIST = [
+  "4 Lightning Bolt (M10) 146",
+  "2 Ancient Tomb",
+  "1 Ancient Tomb *F*",
+  "1 Goblin Guide",
+  "1 Ancient Tomb (TMP) 315 *F*"
+].join("\n");
+
+before(async () => {
+  harness = await startHarness({
+    cards: {
+      "m10:146": { set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 3, condition: "NM" } } }
+    }
+  });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+beforeEach(() => {
+  harness.tracker.requests.length = 0;
+});
+
+const postImport = async body => {
+  const res = await fetch(`${harness.url}/api/import`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test("reports how every line of a list resolves without changing anything", async () => {
+  const { status, body } = await postImport({ text: LIST });
+  assert.equal(status, 200);
+  assert.equal(body.format, "text");
+  assert.equal(body.committed, false);
+
+  assert.deepEqual(body.resolved.map(r => `${r.line}: ${r.quantity} ${r.set}:${r.collector_number} ${r.finish}`), [
+    "1: 4 m10:146 nonfoil",
+    "3: 1 uma:236 foil"
+  ]);
+  assert.equal(body.ambiguous.length, 1);
+  assert.equal(body.ambiguous[0].line, 2);
+  assert.deepEqual(body.ambiguous[0].candidates.map(c => c.set), ["uma", "tmp"]);
+  assert.deepEqual(body.unresolved.map(u => `${u.line}: ${u.reason}`), [
+    '4: No card named "Goblin Guide"',
+    "5: Ancient Tomb (TMP 315) is not printed in foil"
+  ]);
+
+  // Owned cards are updated with the added quantity, new ones created
+  assert.deepEqual(body.operations, [
+    { action: "update", set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 7, condition: "NM" } } },
+    { action: "create", set_code: "uma", card_number: "236", finishes: { foil: { quantity: 1 } } }
+  ]);
+  assert.equal(harness.tracker.requests.filter(r => r.method !== "GET").length, 0);
+});
+
+test("commits the list with one batch once every line is resolved", async () => {
+  const refused = await postImport({ text: LIST, commit: true });
+  assert.equal(refused.status, 409);
+  assert.equal(harness.tracker.requests.filter(r => r.method !== "GET").length, 0);
+
+  const tempest = harness.scryfall.cards.find(card => card.set === "tmp");
+  const { status, body } = await postImport({ text: LIST, choices: [{ line: 2, card_id: tempest.id }], commit: true });
+  assert.equal(status, 200);
+  assert.equal(body.committed, true);
+
+  const writes = harness.tracker.requests.filter(r => r.method !== "GET");
+  assert.deepEqual(writes.map(r => `${r.method} ${r.path}`), ["POST /cards/batch"]);
+  assert.equal(harness.tracker.collection["m10:146"].finishes.nonfoil.quantity, 7);
+  assert.deepEqual(harness.tracker.collection["uma:236"].finishes, { foil: { quantity: 1 } });
+  assert.deepEqual(harness.tracker.collection["tmp:315"].finishes, { nonfoil: { quantity: 2 } });
+
+  // Recorded like any other change, so it can be undone
+  const { changes } = await (await fetch(`${harness.url}/api/changes`)).json();
+  assert.equal(changes[0].tool, "tracker_batch");
+  assert.equal(changes[0].cards.length, 3);
+});
+
+test("accepts uploaded CSV files", async () => {
+  const csv = [
+    "Quantity,Name,Finish,Condition,Edition Code,Collector Number",
+    "1,Ancient Tomb,Normal,LP,UMA,236"
+  ].join("\n");
+  const res = await fetch(`${harness.url}/api/import?format=csv`, {
+    method: "POST",
+    headers: { "Content-Type": "text/csv" },
+    body: csv
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.format, "csv");
+  assert.deepEqual(body.operations, [
+    { action: "update", set_code: "uma", card_number: "236", finishes: { foil: { quantity: 1 }, nonfoil: { quantity: 1, condition: "LP" } } }
+  ]);
+});
+
+test("resolves the names of a long list in a few searches", async () => {
+  harness.scryfall.requests.length = 0;
+  const lines = Array.from({ length: 45 }, (_, i) => `1 Unknown Card ${i + 1}`);
+  const { status, body } = await postImport({ text: ["4 Lightning Bolt", ...lines].join("\n") });
+  assert.equal(status, 200);
+  assert.deepEqual(body.resolved.map(r => `${r.set}:${r.collector_number}`), ["m10:146"]);
+  assert.equal(body.unresolved.length, 45);
+  // 46 names, 20 per search
+  assert.deepEqual(harness.scryfall.requests.map(r => r.path), ["/cards/search", "/cards/search", "/cards/search"]);
+  assert.match(harness.scryfall.requests[0].query.q, /^\(!"Lightning Bolt" OR !"Unknown Card 1" OR .* game:paper unique:prints$/);
+});
+
+test("updates a card whose finishes are all at 0 instead of creating it", async () => {
+  harness.tracker.collection["tmp:315"] = { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 0, condition: "LP" } } };
+  try {
+    const { body } = await postImport({ text: "2 Ancient Tomb (TMP) 315" });
+    assert.deepEqual(body.operations, [
+      { action: "update", set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 2 } } }
+    ]);
+  } finally {
+    delete harness.tracker.collection["tmp:315"];
+  }
+});
+
+test("commits a previewed list against the collection as it is then", async () => {
+  const { toolExecutors } = require("../src/executors.js");
+  const args = { text: "2 Lightning Bolt (M10) 146", format: null, choices: null, commit: null };
+  const preview = await toolExecutors.import_card_list(args);
+  const before = harness.tracker.collection["m10:146"].finishes.nonfoil.quantity;
+  assert.equal(preview.message.operations[0].finishes.nonfoil.quantity, before + 2);
+  assert.equal(harness.tracker.requests.filter(r => r.method !== "GET").length, 0);
+
+  // Copies added after the preview are kept
+  harness.tracker.collection["m10:146"].finishes.nonfoil.quantity = before + 1;
+  const committed = await toolExecutors.import_card_list({ ...args, commit: true });
+  assert.equal(committed.status, "success");
+  assert.equal(committed.message.committed, true);
+  assert.equal(harness.tracker.collection["m10:146"].finishes.nonfoil.quantity, before + 3);
+});
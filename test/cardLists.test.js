@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCardList } = require("../src/cardLists.js");
+
+const summary = entries => entries.map(e =>
+  [e.line, e.quantity, e.name, e.set, e.collector_number, e.finish, e.condition, e.section].join("|"));
+
+test("parses Arena and hand-typed lists", () => {
+  const { format, entries } = parseCardList([
+    "Deck",
+    "4 Lightning Bolt (M10) 146",
+    "2x Ancient Tomb",
+    "Fire // Ice (MH2) 290 *F*",
+    "",
+    "Sideboard",
+    "1 Sol Ring [C21] 263 *E*"
+  ].join("\n"));
+  assert.equal(format, "text");
+  assert.deepEqual(summary(entries), [
+    "2|4|Lightning Bolt|m10|146|nonfoil||deck",
+    "3|2|Ancient Tomb|||nonfoil||deck",
+    "4|1|Fire // Ice|mh2|290|foil||deck",
+    "7|1|Sol Ring|c21|263|etched||sideboard"
+  ]);
+});
+
+test("parses Moxfield and Archidekt CSV exports", () => {
+  const moxfield = parseCardList([
+    '"Count","Tradelist Count","Name","Edition","Condition","Language","Foil","Tags","Last Modified","Collector Number"',
+    '"2","2","Ancient Tomb","uma","Near Mint","English","foil","","2024-01-01","236"',
+    '"1","0","Jace, the Mind Sculptor","a25","Lightly Played","English","","","","62"'
+  ].join("\r\n"));
+  assert.equal(moxfield.format, "csv");
+  assert.deepEqual(summary(moxfield.entries), [
+    "2|2|Ancient Tomb|uma|236|foil|NM|",
+    "3|1|Jace, the Mind Sculptor|a25|62|nonfoil|LP|"
+  ]);
+
+  const archidekt = parseCardList([
+    "Quantity,Name,Finish,Condition,Edition Name,Edition Code,Collector Number,Scryfall ID",
+    "3,Lightning Bolt,Etched,MP,Magic 2010,M10,146,A3B2E1B0-0B5A-4B0E-9A5E-5E0A0C5A1D03"
+  ].join("\n"));
+  assert.deepEqual(summary(archidekt.entries), ["2|3|Lightning Bolt|m10|146|etched|MP|"]);
+  assert.equal(archidekt.entries[0].scryfall_id, "a3b2e1b0-0b5a-4b0e-9a5e-5e0a0c5a1d03");
+});
+
+test("parses MTGO .dek files", () => {
+  const { format, entries } = parseCardList([
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema">',
+    '  <Cards CatID="31745" Quantity="4" Sideboard="false" Name="Lightning Bolt" />',
+    '  <Cards CatID="49472" Quantity="1" Sideboard="true" Name="Jace, the Mind Sculptor" />',
+    "</Deck>"
+  ].join("\n"));
+  assert.equal(format, "dek");
+  assert.deepEqual(summary(entries), [
+    "3|4|Lightning Bolt|||nonfoil||deck",
+    "4|1|Jace, the Mind Sculptor|||nonfoil||sideboard"
+  ]);
+});
@@ -0,0 +1,105 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startFakeScryfall } = require("./helpers/fakeServers.js");
+const { importDefaultCards, clearMirror } = require("../src/scryfallMirror.js");
+const { toolExecutors } = require("../src/executors.js");
+const { findPrintingsByNames, nameKey } = require("../src/cardResolver.js");
+
+let scryfall;
+let mirrorDir;
+
+before(async () => {
+  scryfall = await startFakeScryfall();
+  process.env.SCRYFALL_API_URL = scryfall.url;
+  process.env.SCRYFALL_RETRY_BASE_MS = "0";
+  mirrorDir = fs.mkdtempSync(path.join(os.tmpdir(), "scryfall-mirror-"));
+  process.env.SCRYFALL_MIRROR_DIR = mirrorDir;
+  await importDefaultCards();
+});
+
+after(async () => {
+  await scryfall.close();
+  fs.rmSync(mirrorDir, { recursive: true, force: true });
+  delete process.env.SCRYFALL_SOURCE;
+  delete process.env.SCRYFALL_MIRROR_DIR;
+});
+
+beforeEach(() => {
+  delete process.env.SCRYFALL_SOURCE;
+  clearMirror();
+  scryfall.requests.length = 0;
+});
+
+// Every lookup should give the same answer from Scryfall and from the mirror
+for (const source of ["remote", "offline"]) {
+  test(`looks up exact printings (${source})`, async () => {
+    process.env.SCRYFALL_SOURCE = source;
+    const { scryfall_get_printing, scryfall_get_card_by_id } = toolExecutors;
+
+    const printing = await scryfall_get_printing({ set: "UMA", collector_number: "236" });
+    assert.equal(printing.status, "success");
+    assert.equal(printing.card.name, "Ancient Tomb");
+    assert.equal(printing.card.set_name, "Ultimate Masters");
+    assert.deepEqual(printing.card.finishes, ["nonfoil", "foil"]);
+
+    const byId = await scryfall_get_card_by_id({ id: printing.card.id });
+    assert.equal(byId.card.collector_number, "236");
+
+    const missing = await scryfall_get_printing({ set: "uma", collector_number: "999" });
+    assert.equal(missing.status, "error");
+    assert.equal(missing.not_found, true);
+
+    assert.equal(scryfall.requests.length, source === "remote" ? 3 : 0);
+  });
+
+  test(`finds cards by fuzzy name and autocompletes names (${source})`, async () => {
+    process.env.SCRYFALL_SOURCE = source;
+    const { scryfall_get_card_by_name, scryfall_autocomplete } = toolExecutors;
+
+    const newest = await scryfall_get_card_by_name({ name: "ancient tomb" });
+    assert.equal(newest.card.set, "uma");
+    const inSet = await scryfall_get_card_by_name({ name: "ancient tomb", set: "tmp" });
+    assert.equal(inSet.card.collector_number, "315");
+    const partial = await scryfall_get_card_by_name({ name: "bolt" });
+    assert.equal(partial.card.name, "Lightning Bolt");
+
+    // "t" appears in both names
+    const ambiguous = await scryfall_get_card_by_name({ name: "t" });
+    assert.equal(ambiguous.status, "error");
+    assert.equal(ambiguous.not_found, true);
+
+    const names = await scryfall_autocomplete({ q: "anc" });
+    assert.deepEqual(names, { status: "success", names: ["Ancient Tomb"] });
+  });
+}
+
+test("local lookups fall back to Scryfall for printings the mirror lacks", async () => {
+  process.env.SCRYFALL_SOURCE = "local";
+  const result = await toolExecutors.scryfall_get_printing({ set: "uma", collector_number: "236", language: "ja" });
+  assert.equal(result.status, "error");
+  assert.equal(scryfall.requests.length, 1);
+  assert.equal(scryfall.requests[0].path, "/cards/uma/236/ja");
+});
+
+test("searches names on their own when their printings do not fit in the page cap", async () => {
+  const printings = (name, count) => Array.from({ length: count }, (_, i) => ({
+    object: "card", id: `${name}-${i}`, name, set: `s${i}`, collector_number: "1", games: ["paper"], finishes: ["nonfoil"]
+  }));
+  const many = await startFakeScryfall({ cards: [...printings("Plains", 12), ...printings("Island", 10)] });
+  many.pageSize = 2;
+  process.env.SCRYFALL_API_URL = many.url;
+  process.env.SCRYFALL_SOURCE = "remote";
+  try {
+    const found = await findPrintingsByNames([{ name: "Plains" }, { name: "Island" }]);
+    assert.equal(found.get(nameKey("Plains")).length, 12);
+    assert.equal(found.get(nameKey("Island")).length, 10);
+    // 11 pages for both names, so after 10 of them: 6 pages for Plains and 5 for Island
+    assert.equal(many.requests.length, 10 + 6 + 5);
+  } finally {
+    process.env.SCRYFALL_API_URL = scryfall.url;
+    await many.close();
+  }
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness.js");
+const { toolExecutors } = require("../src/executors.js");
+const { parseCardList } = require("../src/cardLists.js");
+const { signUserToken } = require("./helpers/fakeServers.js");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({
+    cards: {
+      "m10:146": {
+        set_code: "m10",
+        card_number: "146",
+        finishes: { nonfoil: { quantity: 3, condition: "NM" }, foil: { quantity: 1, condition: "LP" } }
+      },
+      "uma:236": { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2, condition: "NM" }, nonfoil: { quantity: 0 } } },
+      "tmp:315": { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "MP" } } },
+      "xyz:1": { set_code: "xyz", card_number: "1", finishes: { nonfoil: { quantity: 4, condition: "NM" } } }
+    }
+  });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const download = async query => {
+  const res = await fetch(`${harness.url}/api/export?${query}`);
+  return { status: res.status, type: res.headers.get("content-type"), disposition: res.headers.get("content-disposition"), body: await res.text() };
+};
+
+test("downloads the collection as a Moxfield CSV", async () => {
+  const { status, type, disposition, body } = await download("format=moxfield");
+  assert.equal(status, 200);
+  assert.match(type, /^text\/csv/);
+  assert.match(disposition, /filename="collection-moxfield.csv"/);
+  assert.deepEqual(body.trim().split("\r\n"), [
+    '"Count","Tradelist Count","Name","Edition","Condition","Language","Foil","Tags","Last Modified","Collector Number","Alter","Proxy","Purchase Price"',
+    '"1","1","Lightning Bolt","m10","Lightly Played","English","foil","","","146","False","False",""',
+    '"3","3","Lightning Bolt","m10","Near Mint","English","","","","146","False","False",""',
+    '"1","1","Ancient Tomb","tmp","Moderately Played","English","","","","315","False","False",""',
+    '"2","2","Ancient Tomb","uma","Near Mint","English","foil","","","236","False","False",""'
+  ]);
+});
+
+test("downloads a tradelist grouped by set that imports back", async () => {
+  const { status, body } = await download("format=text&finish=nonfoil");
+  assert.equal(status, 200);
+  assert.equal(body, [
+    "// Magic 2010 (M10)",
+    "3 Lightning Bolt (M10) 146",
+    "",
+    "// Tempest (TMP)",
+    "1 Ancient Tomb (TMP) 315 *MP*",
+    ""
+  ].join("\n"));
+
+  const { entries } = parseCardList(body);
+  assert.deepEqual(entries.map(e => [e.quantity, e.name, e.set, e.collector_number, e.finish, e.condition]), [
+    [3, "Lightning Bolt", "m10", "146", "nonfoil", null],
+    [1, "Ancient Tomb", "tmp", "315", "nonfoil", "MP"]
+  ]);
+});
+
+test("exports cards above a minimum value with their prices", async () => {
+  const result = await toolExecutors.export_collection({ format: "json", min_value: 10 });
+  assert.equal(result.status, "success");
+  const exported = result.message;
+  assert.match(exported.download, /^\/api\/export\/[\w-]+$/);
+  assert.equal(exported.count, 2);
+  assert.equal(exported.quantity, 3);
+  assert.equal(exported.total, 123);
+  assert.deepEqual(JSON.parse(exported.content).cards.map(row => `${row.set}:${row.collector_number} ${row.finish} ${row.unit_price}`), [
+    "tmp:315 nonfoil 95",
+    "uma:236 foil 14"
+  ]);
+  // xyz:1 is not a Scryfall printing
+  assert.deepEqual(exported.unresolved, [{ set_code: "xyz", card_number: "1", name: null, finish: "nonfoil", quantity: 4 }]);
+});
+
+test("hands out download links that work without the Authorization header", async () => {
+  const user = { id: "alice", token: signUserToken("alice") };
+  const result = await toolExecutors.export_collection({ format: "text", set: null, finish: "foil", condition: null, min_value: null, currency: null }, { user });
+  const { download, download_expires_at } = result.message;
+  assert.ok(Date.parse(download_expires_at) > Date.now());
+
+  harness.tracker.requests.length = 0;
+  const res = await fetch(`${harness.url}${download}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-disposition"), /filename="collection-text.txt"/);
+  assert.equal(await res.text(), result.message.content);
+  // The collection was read as the user who asked for the export
+  assert.equal(harness.tracker.requests.find(r => r.path === "/cards").headers.authorization, `Bearer ${user.token}`);
+
+  assert.equal((await fetch(`${harness.url}/api/export/not-a-link`)).status, 404);
+});
+
+test("rejects unknown formats", async () => {
+  const { status, body } = await download("format=xlsx");
+  assert.equal(status, 400);
+  assert.match(JSON.parse(body).error, /format must be one of/);
+});
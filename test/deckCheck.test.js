@@ -0,0 +1,101 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTracker, startFakeScryfall, TRACKER_USERNAME, TRACKER_PASSWORD } = require("./helpers/fakeServers.js");
+const { toolExecutors } = require("../src/executors.js");
+
+let tracker;
+let scryfall;
+
+before(async () => {
+  tracker = await startFakeTracker({
+    cards: {
+      "m10:146": { set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 3, condition: "NM" } } },
+      "uma:236": { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 1, condition: "NM" } } },
+      "tmp:315": { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "LP" } } }
+    }
+  });
+  scryfall = await startFakeScryfall();
+  process.env.MTG_BACKEND_API_URL = tracker.url;
+  process.env.SCRYFALL_API_URL = scryfall.url;
+  process.env.JWT_CREDENTIALS = `${TRACKER_USERNAME}:${TRACKER_PASSWORD}`;
+  delete process.env.JWT_CREDENTIALS_SECRET_ARN;
+  delete process.env.SCRYFALL_SOURCE;
+});
+
+after(async () => {
+  await tracker.close();
+  await scryfall.close();
+});
+
+const check = async args => {
+  const result = await toolExecutors.check_deck({ format: null, exact_printings: null, currency: null, ...args });
+  assert.equal(result.status, "success");
+  return result.message;
+};
+
+test("compares a decklist with the collection, counting any printing", async () => {
+  const report = await check({
+    decklist: "Deck\n4 Lightning Bolt\n3 Ancient Tomb\n1 Goblin Guide\n\nSideboard\n1 Lightning Bolt (M10) 146",
+    format: "modern"
+  });
+
+  // The Bolts of deck and sideboard add up; both Ancient Tomb printings count
+  assert.deepEqual(report.owned, []);
+  assert.deepEqual(report.missing.map(c => `${c.name} ${c.owned}/${c.quantity} ${c.cheapest.set} ${c.cheapest.finish} ${c.cost}`), [
+    "Lightning Bolt 3/5 m10 nonfoil 4.2",
+    "Ancient Tomb 2/3 uma nonfoil 8.5"
+  ]);
+  assert.equal(report.missing_cost, 12.7);
+  assert.deepEqual(report.totals, { main: 7, sideboard: 1, owned: 5, missing: 3 });
+  assert.deepEqual(report.unresolved.map(u => `${u.line}: ${u.reason}`), ['4: No card named "Goblin Guide"']);
+
+  assert.equal(report.legality.legal, false);
+  assert.deepEqual(report.legality.problems, [
+    { name: "Lightning Bolt", problem: "5 copies, at most 4" },
+    { name: "Ancient Tomb", problem: "Not legal in modern" },
+    { problem: "The deck has 7 cards, at least 60 are needed" }
+  ]);
+});
+
+test("only counts the exact printings when asked to", async () => {
+  const report = await check({
+    decklist: "3 Lightning Bolt (M10) 146\n1 Ancient Tomb (UMA) 236 *F*\n2 Ancient Tomb (TMP) 315",
+    exact_printings: true
+  });
+  assert.deepEqual(report.owned.map(c => `${c.set}:${c.collector_number} ${c.finish || ""} ${c.owned}`), ["m10:146  3", "uma:236 foil 1"]);
+  assert.deepEqual(report.missing.map(c => `${c.set}:${c.collector_number} ${c.missing} ${c.cost}`), ["tmp:315 1 95"]);
+  assert.equal(report.legality, null);
+});
+
+test("checks singleton rules and the commander's color identity", async () => {
+  const report = await check({
+    decklist: "Commander\n1 Ancient Tomb\n\nDeck\n1 Lightning Bolt\n1 Lightning Bolt (M10) 146",
+    format: "commander"
+  });
+  assert.deepEqual(report.legality.problems, [
+    { name: "Lightning Bolt", problem: "2 copies, at most 1" },
+    { problem: "The deck has 3 cards, commander decks have exactly 100" },
+    { name: "Lightning Bolt", problem: "Outside the commander's color identity (colorless)" }
+  ]);
+  assert.deepEqual(report.legality.warnings, []);
+});
+
+test("resolves a full commander deck in a couple of Scryfall requests", async () => {
+  scryfall.requests.length = 0;
+  const others = Array.from({ length: 97 }, (_, i) => `1 Unknown Card ${i + 1}`);
+  const report = await check({
+    decklist: ["Commander", "1 Ancient Tomb", "", "Deck", "1 Lightning Bolt", "1 Lightning Bolt (M10) 146", ...others].join("\n"),
+    format: "commander"
+  });
+  assert.equal(report.unresolved.length, 97);
+  assert.deepEqual(report.owned.map(c => `${c.name} ${c.owned}/${c.quantity}`), ["Ancient Tomb 2/1", "Lightning Bolt 3/2"]);
+  assert.equal(report.totals.main, 3);
+  // One lookup for the decklist's printing, two for its 99 names (75 per request), one for the collection's printings;
+  // pricing looks nothing up again
+  assert.deepEqual(scryfall.requests.map(r => `${r.method} ${r.path}`), [
+    "POST /cards/collection",
+    "POST /cards/collection",
+    "POST /cards/collection",
+    "POST /cards/collection"
+  ]);
+});
@@ -0,0 +1,276 @@
+/*
+
+Fake versions of the external services the agent talks to, for the test harness:
+- a tracker API serving a local Swagger spec at /api-docs/swagger.json, /gettoken and the card CRUD endpoints.
+  It accepts the service account token from /gettoken and user tokens from signUserToken().
+- a Scryfall API serving /cards/search, the single-card lookups and the default_cards bulk file from fixture cards
+
+Both record the requests they receive so tests can assert on them.
+
+*/
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const trackerSpec = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "fixtures", "tracker-swagger.json"), "utf8"));
+const scryfallCards = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "fixtures", "scryfall-cards.json"), "utf8"));
+
+const TRACKER_USERNAME = "agent";
+const TRACKER_PASSWORD = "secret";
+const TRACKER_TOKEN = "fake-tracker-token";
+// The key the fake tracker signs user tokens with
+const TRACKER_JWT_SECRET = "fake-tracker-jwt-secret";
+
+// A user token as the tracker would issue it.
+function signUserToken(sub, options = { expiresIn: "1h" }) {
+  return jwt.sign({ sub }, TRACKER_JWT_SECRET, options);
+}
+
+// Start an express app on a random local port.
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, url, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+async function startFakeTracker({ cards = {} } = {}) {
+  const app = express();
+  app.use(express.json());
+  const requests = [];
+  const collection = JSON.parse(JSON.stringify(cards));
+  // Tests can rotate the service account token (fake.serviceToken) or break /gettoken (fake.tokenStatus)
+  const fake = { serviceToken: TRACKER_TOKEN, tokenStatus: 200 };
+  let baseUrl = null;
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+    next();
+  });
+
+  app.get("/api-docs/swagger.json", (req, res) => {
+    res.json({ ...trackerSpec, servers: [{ url: baseUrl }] });
+  });
+
+  app.get("/gettoken", (req, res) => {
+    const expected = `Basic ${Buffer.from(`${TRACKER_USERNAME}:${TRACKER_PASSWORD}`).toString("base64")}`;
+    if (req.headers.authorization !== expected) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    if (fake.tokenStatus !== 200) {
+      return res.status(fake.tokenStatus).json({ error: "Token service unavailable" });
+    }
+    res.json({ token: fake.serviceToken });
+  });
+
+  // Everything below requires the service account token or a valid user token
+  app.use((req, res, next) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    if (token === fake.serviceToken) return next();
+    try {
+      jwt.verify(token, TRACKER_JWT_SECRET);
+      next();
+    } catch {
+      res.status(401).json({ error: "Unauthorized" });
+    }
+  });
+
+  const key = (setCode, cardNumber) => `${setCode}:${cardNumber}`;
+
+  app.get("/cards", (req, res) => {
+    res.json(collection);
+  });
+
+  app.post("/cards/batch", (req, res) => {
+    const results = (req.body.operations || []).map(op => {
+      const k = key(op.set_code, op.card_number);
+      if (op.action === "delete") {
+        delete collection[k];
+      } else {
+        collection[k] = { ...collection[k], set_code: op.set_code, card_number: op.card_number, finishes: op.finishes, ...(op.notes !== undefined && { notes: op.notes }) };
+      }
+      return { action: op.action, key: k, status: "ok" };
+    });
+    res.json({ results });
+  });
+
+  app.post("/cards", (req, res) => {
+    const { set_code, card_number } = req.body;
+    collection[key(set_code, card_number)] = { ...req.body };
+    res.status(201).json(collection[key(set_code, card_number)]);
+  });
+
+  app.get("/cards/:set_code/:card_number", (req, res) => {
+    const card = collection[key(req.params.set_code, req.params.card_number)];
+    if (!card) return res.status(404).json({ error: "Card not found" });
+    res.json(card);
+  });
+
+  app.put("/cards/:set_code/:card_number", (req, res) => {
+    const k = key(req.params.set_code, req.params.card_number);
+    if (!collection[k]) return res.status(404).json({ error: "Card not found" });
+    collection[k] = { ...collection[k], ...req.body };
+    res.json(collection[k]);
+  });
+
+  app.delete("/cards/:set_code/:card_number", (req, res) => {
+    const k = key(req.params.set_code, req.params.card_number);
+    if (!collection[k]) return res.status(404).json({ error: "Card not found" });
+    delete collection[k];
+    res.json({ deleted: k });
+  });
+
+  const running = await listen(app);
+  baseUrl = running.url;
+  return Object.assign(fake, running, { requests, collection });
+}
+
+// Very small subset of the Scryfall query language: name:"...", set:xxx and exact names !"..." (any of them matches,
+// as in (!"a" OR !"b")). Other terms are ignored.
+function matchesQuery(card, q) {
+  const exact = [...q.matchAll(/!"([^"]+)"/g)].map(match => match[1].toLowerCase());
+  if (exact.length > 0 && !exact.includes(card.name.toLowerCase())) return false;
+  const name = q.match(/name:"([^"]+)"/);
+  if (name && !card.name.toLowerCase().includes(name[1].toLowerCase())) return false;
+  const set = q.match(/(?:^|\s)set:(\S+)/);
+  if (set && card.set !== set[1].toLowerCase()) return false;
+  return true;
+}
+
+async function startFakeScryfall({ cards = scryfallCards } = {}) {
+  const app = express();
+  const requests = [];
+  // Tests can set fake.delayMs to simulate a slow Scryfall, fake.failures to answer the next requests with these
+  // HTTP statuses, fake.pageSize to force pagination, fake.warnings to add query warnings and fake.bulkUpdatedAt to
+  // publish a new bulk file.
+  const fake = { delayMs: 0, failures: [], pageSize: 175, warnings: [], bulkUpdatedAt: "2026-01-01T09:00:00.000+00:00" };
+  let baseUrl = null;
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, headers: req.headers });
+    setTimeout(next, fake.delayMs);
+  });
+
+  app.use((req, res, next) => {
+    if (fake.failures.length === 0) return next();
+    const status = fake.failures.shift();
+    res.set("Retry-After", "0");
+    res.status(status).json({ object: "error", code: status === 429 ? "rate_limited" : "server_error", status, details: `Fake failure ${status}` });
+  });
+
+  app.get("/cards/search", (req, res) => {
+    const q = req.query.q || "";
+    if (/(^|\s)invalid:/.test(q)) {
+      return res.status(400).json({
+        object: "error",
+        code: "bad_request",
+        status: 400,
+        details: "All of your terms were ignored.",
+        warnings: ["Invalid expression \u201cinvalid:term\u201d was ignored. Unknown keyword \u201cinvalid\u201d."]
+      });
+    }
+    const data = cards.filter(card => matchesQuery(card, q));
+    if (data.length === 0) {
+      return res.status(404).json({
+        object: "error",
+        code: "not_found",
+        status: 404,
+        details: "Your query didn't match any cards. Adjust your search terms or refer to the syntax guide at https://scryfall.com/docs/reference"
+      });
+    }
+    const page = parseInt(req.query.page, 10) || 1;
+    const hasMore = page * fake.pageSize < data.length;
+    const next = new URLSearchParams({ ...req.query, page: String(page + 1) });
+    res.json({
+      object: "list",
+      total_cards: data.length,
+      has_more: hasMore,
+      ...(hasMore && { next_page: `${baseUrl}/cards/search?${next}` }),
+      data: data.slice((page - 1) * fake.pageSize, page * fake.pageSize),
+      ...(fake.warnings.length > 0 && { warnings: fake.warnings })
+    });
+  });
+
+  const notFound = (res, extra = {}) => res.status(404).json({
+    object: "error", code: "not_found", status: 404, details: "No card found with the given criteria.", ...extra
+  });
+
+  // Fuzzy names: every word of the name must appear in the card name
+  app.get("/cards/named", (req, res) => {
+    const words = String(req.query.fuzzy || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = cards.filter(card =>
+      words.every(word => card.name.toLowerCase().includes(word)) && (!req.query.set || card.set === req.query.set));
+    const names = [...new Set(matches.map(card => card.name))];
+    if (names.length > 1) {
+      return notFound(res, { type: "ambiguous", details: "Too many cards match ambiguous name. Add more words to refine your search." });
+    }
+    if (names.length === 0) return notFound(res);
+    res.json(matches.reduce((a, b) => (b.released_at > a.released_at ? b : a)));
+  });
+
+  app.post("/cards/collection", express.json(), (req, res) => {
+    const data = [];
+    const notFound = [];
+    for (const identifier of req.body.identifiers || []) {
+      const card = identifier.name
+        ? cards.filter(c => c.name.toLowerCase() === identifier.name.toLowerCase() && (!identifier.set || c.set === identifier.set))
+          .reduce((a, b) => (!a || b.released_at > a.released_at ? b : a), null)
+        : cards.find(c => c.set === identifier.set && c.collector_number === identifier.collector_number);
+      if (card) data.push(card);
+      else notFound.push(identifier);
+    }
+    res.json({ object: "list", not_found: notFound, data });
+  });
+
+  app.get("/cards/autocomplete", (req, res) => {
+    const q = String(req.query.q || "").toLowerCase();
+    const names = q.length < 2 ? [] : [...new Set(cards.map(card => card.name))].filter(name => name.toLowerCase().includes(q));
+    res.json({ object: "catalog", total_values: names.length, data: names });
+  });
+
+  app.get("/cards/:set/:number{/:lang}", (req, res) => {
+    const card = cards.find(c =>
+      c.set === req.params.set && c.collector_number === req.params.number && (!req.params.lang || c.lang === req.params.lang));
+    return card ? res.json(card) : notFound(res);
+  });
+
+  app.get("/cards/:id", (req, res) => {
+    const card = cards.find(c => c.id === req.params.id);
+    return card ? res.json(card) : notFound(res);
+  });
+
+  app.get("/bulk-data/default-cards", (req, res) => {
+    res.json({
+      object: "bulk_data",
+      type: "default_cards",
+      updated_at: fake.bulkUpdatedAt,
+      download_uri: `${baseUrl}/file/default-cards.json`,
+      content_type: "application/json"
+    });
+  });
+
+  // Formatted like Scryfall's bulk files: one card per line
+  app.get("/file/default-cards.json", (req, res) => {
+    res.type("application/json").send(`[\n${cards.map(card => JSON.stringify(card)).join(",\n")}\n]\n`);
+  });
+
+  const running = await listen(app);
+  baseUrl = running.url;
+  return Object.assign(fake, running, { requests, cards });
+}
+
+module.exports = {
+  startFakeTracker,
+  startFakeScryfall,
+  listen,
+  scryfallCards,
+  TRACKER_USERNAME,
+  TRACKER_PASSWORD,
+  TRACKER_TOKEN,
+  TRACKER_JWT_SECRET,
+  signUserToken
+};
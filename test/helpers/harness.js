@@ -0,0 +1,72 @@
+/*
+
+End-to-end harness: boots the agent's express app against the fake tracker and fake Scryfall,
+with a scripted model registered as the "scripted" provider.
+
+*/
+
+const { startFakeTracker, startFakeScryfall, listen, TRACKER_USERNAME, TRACKER_PASSWORD, TRACKER_JWT_SECRET } = require("./fakeServers.js");
+
+async function startHarness({ cards } = {}) {
+  const tracker = await startFakeTracker({ cards });
+  const scryfall = await startFakeScryfall();
+
+  process.env.MTG_BACKEND_API_URL = tracker.url;
+  process.env.SCRYFALL_API_URL = scryfall.url;
+  process.env.JWT_CREDENTIALS = `${TRACKER_USERNAME}:${TRACKER_PASSWORD}`;
+  process.env.TRACKER_JWT_SECRET = TRACKER_JWT_SECRET;
+  delete process.env.JWT_CREDENTIALS_SECRET_ARN;
+  delete process.env.OPENAI_API_KEY_SECRET_ARN;
+  process.env.LLM_ALLOWED_PROVIDERS = "scripted";
+
+  const app = require("../../src/index.js");
+  const agent = await listen(app);
+
+  return {
+    url: agent.url,
+    tracker,
+    scryfall,
+    close: async () => {
+      await agent.close();
+      await tracker.close();
+      await scryfall.close();
+    }
+  };
+}
+
+// Parse a text/event-stream body into a list of { id, event, data } frames.
+function parseSSE(text) {
+  return text
+    .split("\n\n")
+    .filter(frame => frame.trim() !== "")
+    .map(frame => {
+      const parsed = { id: undefined, event: "message", data: "" };
+      for (const line of frame.split("\n")) {
+        const separator = line.indexOf(":");
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+        if (field === "data") parsed.data += (parsed.data ? "\n" : "") + value;
+        if (field === "event") parsed.event = value;
+        if (field === "id") parsed.id = value;
+      }
+      try {
+        parsed.data = JSON.parse(parsed.data);
+      } catch {
+        // Leave non-JSON data as a string
+      }
+      return parsed;
+    });
+}
+
+// POST to a streaming endpoint and collect all frames once the stream closes.
+async function postStream(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, frames: parseSSE(text) };
+}
+
+module.exports = { startHarness, parseSSE, postStream };
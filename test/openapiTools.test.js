@@ -0,0 +1,158 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const trackerSpec = require("./fixtures/tracker-swagger.json");
+const { convertSpec, bindArguments } = require("../src/openapiTools.js");
+
+const toolNamed = (result, name) => result.tools.find(tool => tool.name === name);
+
+test("keeps nested body schemas, enums and required fields from the tracker spec", () => {
+  const result = convertSpec(trackerSpec);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.tools.map(tool => tool.name), [
+    "tracker_getAllCards",
+    "tracker_createCard",
+    "tracker_batch",
+    "tracker_getCard",
+    "tracker_updateCard",
+    "tracker_deleteCard"
+  ]);
+
+  const update = toolNamed(result, "tracker_updateCard");
+  assert.equal(update.strict, true);
+  assert.deepEqual(update.parameters.required, ["set_code", "card_number", "finishes", "notes"]);
+  assert.equal(update.parameters.additionalProperties, false);
+  // $ref'd Finishes -> Finish objects are expanded, optional fields accept null in strict mode
+  const foil = update.parameters.properties.finishes.properties.foil;
+  assert.deepEqual(foil.type, ["object", "null"]);
+  assert.deepEqual(foil.properties.condition.enum, ["NM", "LP", "MP", "HP", "DMG", null]);
+  assert.equal(foil.properties.quantity.type, "integer");
+
+  const batch = toolNamed(result, "tracker_batch");
+  const operation = batch.parameters.properties.operations.items;
+  assert.deepEqual(operation.properties.action.enum, ["create", "update", "delete"]);
+  assert.equal(operation.additionalProperties, false);
+
+  assert.deepEqual(result.bindings.tracker_getCard.params, [
+    { arg: "set_code", name: "set_code", in: "path" },
+    { arg: "card_number", name: "card_number", in: "path" }
+  ]);
+});
+
+test("renames colliding body fields and maps them back onto the request", () => {
+  const spec = {
+    openapi: "3.0.0",
+    paths: {
+      "/decks/{id}": {
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+        put: {
+          operationId: "renameDeck",
+          parameters: [{ name: "id", in: "query", schema: { type: "integer" } }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "object", required: ["id", "name"], properties: { id: { type: "string" }, name: { type: "string" } } }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+  const { tools, bindings, warnings } = convertSpec(spec);
+  assert.deepEqual(Object.keys(tools[0].parameters.properties), ["id", "query_id", "body_id", "name"]);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /body field id collides/);
+
+  const bound = bindArguments(bindings.tracker_renameDeck, { id: "d1", query_id: null, body_id: "d2", name: "Burn" });
+  assert.deepEqual(bound, { parameters: { "path.id": "d1" }, requestBody: { id: "d2", name: "Burn" } });
+});
+
+test("warns about operations and schemas it cannot represent", () => {
+  const spec = {
+    openapi: "3.0.0",
+    paths: {
+      "/images": {
+        post: {
+          operationId: "uploadImage",
+          requestBody: { required: true, content: { "image/png": { schema: { type: "string", format: "binary" } } } }
+        }
+      },
+      "/folders": {
+        post: {
+          operationId: "createFolder",
+          requestBody: { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/Folder" } } } }
+        }
+      },
+      "/tags": {
+        put: {
+          operationId: "setTags",
+          requestBody: { required: true, content: { "application/json": { schema: { type: "array", items: { type: "string" } } } } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Folder: {
+          type: "object",
+          required: ["name"],
+          properties: { name: { type: "string" }, children: { type: "array", items: { $ref: "#/components/schemas/Folder" } } }
+        }
+      }
+    }
+  };
+  const { tools, bindings, warnings } = convertSpec(spec);
+  assert.deepEqual(tools.map(tool => tool.name), ["tracker_createFolder", "tracker_setTags"]);
+  assert.ok(warnings.some(w => /POST \/images: skipped/.test(w)));
+  assert.ok(warnings.some(w => /recursive schema #\/components\/schemas\/Folder/.test(w)));
+
+  // The recursive schema cannot be strict; the optional field does not need to accept null then
+  const folder = toolNamed({ tools }, "tracker_createFolder");
+  assert.equal(folder.strict, false);
+  assert.deepEqual(folder.parameters.required, ["name"]);
+  assert.equal(folder.parameters.properties.children.type, "array");
+
+  // A non-object body is passed as a whole
+  assert.deepEqual(bindings.tracker_setTags.body, { mode: "whole", arg: "body" });
+  assert.deepEqual(bindArguments(bindings.tracker_setTags, { body: ["promo"] }).requestBody, ["promo"]);
+});
+
+test("keeps nulls the spec allows and schemas without a type valid", () => {
+  const spec = {
+    openapi: "3.0.0",
+    paths: {
+      "/cards/{id}": {
+        patch: {
+          operationId: "patchCard",
+          parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["meta"],
+                  properties: {
+                    meta: {
+                      type: "object",
+                      required: ["notes"],
+                      properties: { notes: { type: "string", nullable: true }, extra: { description: "Anything" }, tag: { type: "string" } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+  const { tools, bindings } = convertSpec(spec);
+  const meta = tools[0].parameters.properties.meta;
+  // An optional property without a type accepts null as it is
+  assert.deepEqual(meta.properties.extra, { description: "Anything" });
+  assert.ok(!JSON.stringify(tools).includes("[null,"));
+
+  const bound = bindArguments(bindings.tracker_patchCard, { id: "c1", meta: { notes: null, extra: null, tag: null } });
+  assert.deepEqual(bound.requestBody, { meta: { notes: null } });
+});
@@ -0,0 +1,81 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTracker, startFakeScryfall, TRACKER_USERNAME, TRACKER_PASSWORD } = require("./helpers/fakeServers.js");
+const { toolExecutors } = require("../src/executors.js");
+
+let tracker;
+let scryfall;
+
+before(async () => {
+  tracker = await startFakeTracker({
+    cards: {
+      "m10:146": {
+        set_code: "m10",
+        card_number: "146",
+        finishes: { nonfoil: { quantity: 3, condition: "NM" }, foil: { quantity: 1, condition: "LP" } },
+        scryfall: { name: "Lightning Bolt" }
+      },
+      "uma:236": { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2, condition: "NM" }, nonfoil: { quantity: 0 } } },
+      "tmp:315": { set_code: "tmp", card_number: "315", finishes: { foil: { quantity: 1, condition: "NM" } } },
+      "xyz:1": { set_code: "xyz", card_number: "1", finishes: { nonfoil: { quantity: 4, condition: "NM" } } }
+    }
+  });
+  scryfall = await startFakeScryfall();
+  process.env.MTG_BACKEND_API_URL = tracker.url;
+  process.env.SCRYFALL_API_URL = scryfall.url;
+  process.env.JWT_CREDENTIALS = `${TRACKER_USERNAME}:${TRACKER_PASSWORD}`;
+  delete process.env.JWT_CREDENTIALS_SECRET_ARN;
+  delete process.env.SCRYFALL_SOURCE;
+});
+
+after(async () => {
+  await tracker.close();
+  await scryfall.close();
+});
+
+beforeEach(() => {
+  scryfall.requests.length = 0;
+});
+
+test("returns the prices of a printing per finish", async () => {
+  const result = await toolExecutors.scryfall_get_prices({ set: "uma", collector_number: "236" });
+  assert.equal(result.status, "success");
+  assert.equal(result.card.name, "Ancient Tomb");
+  assert.deepEqual(result.card.prices, {
+    nonfoil: { usd: 8.5, eur: 7.2, tix: 1.05 },
+    foil: { usd: 14, eur: 12.1, tix: null }
+  });
+});
+
+test("values the collection by finish and condition", async () => {
+  const result = await toolExecutors.collection_value({});
+  assert.equal(result.status, "success");
+  const valuation = result.message;
+
+  // 3 x 2.10 + 1 x 9.99 + 2 x 14.00; Tempest Ancient Tomb has no foil price and xyz:1 does not exist
+  assert.equal(valuation.currency, "usd");
+  assert.equal(valuation.total, 44.29);
+  assert.equal(valuation.quantity, 6);
+  assert.deepEqual(valuation.by_finish, { nonfoil: { quantity: 3, value: 6.3 }, foil: { quantity: 3, value: 37.99 } });
+  assert.deepEqual(valuation.by_condition, { NM: { quantity: 5, value: 34.3 }, LP: { quantity: 1, value: 9.99 } });
+  assert.deepEqual(valuation.most_valuable[0], {
+    set_code: "uma", card_number: "236", name: "Ancient Tomb", finish: "foil", condition: "NM", quantity: 2, unit_price: 14, value: 28
+  });
+  assert.deepEqual(valuation.unpriced.map(entry => `${entry.set_code}:${entry.card_number} ${entry.reason}`), [
+    "tmp:315 no usd price for foil",
+    "xyz:1 printing not found"
+  ]);
+
+  // All printings in one request
+  assert.equal(scryfall.requests.filter(r => r.path === "/cards/collection").length, 1);
+});
+
+test("values a filtered part of the collection in another currency", async () => {
+  const foils = await toolExecutors.collection_value({ finish: "foil", currency: "eur", set: null, condition: null, name: null });
+  assert.equal(foils.message.currency, "eur");
+  assert.equal(foils.message.total, 31.7);
+  assert.deepEqual(Object.keys(foils.message.by_finish), ["foil"]);
+
+  const bolts = await toolExecutors.collection_value({ name: "bolt", condition: "NM" });
+  assert.equal(bolts.message.total, 6.3);
+});
@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createChatCompletionsProvider, requestProvider, toChatMessages, toChatTools } = require("../src/providers.js");
+
+// A Chat Completions client that streams the given chunks and records the request.
+function fakeChatClient(chunks) {
+  const client = {
+    requests: [],
+    chat: {
+      completions: {
+        create: async request => {
+          client.requests.push(request);
+          return (async function* () {
+            yield* chunks;
+          })();
+        }
+      }
+    }
+  };
+  return client;
+}
+
+async function collect(provider, request = { input: [] }) {
+  const events = [];
+  for await (const event of provider.stream(request)) events.push(event);
+  return events;
+}
+
+test("turns Responses input into Chat Completions messages", () => {
+  const messages = toChatMessages([
+    { role: "developer", content: "Be brief." },
+    { role: "user", content: [{ type: "input_text", text: "bolt?" }] },
+    { type: "function_call", call_id: "c1", name: "scryfall_search", arguments: "{\"name\":\"Bolt\"}" },
+    { type: "function_call", call_id: "c2", name: "tracker_getAllCards", arguments: "" },
+    { type: "function_call_output", call_id: "c1", output: "[{\"name\":\"Lightning Bolt\"}]" },
+    { type: "function_call_output", call_id: "c2", output: "{}" },
+    { type: "message", role: "assistant", content: [{ type: "output_text", text: "Found it." }] }
+  ]);
+  assert.deepEqual(messages, [
+    { role: "system", content: "Be brief." },
+    { role: "user", content: "bolt?" },
+    {
+      role: "assistant",
+      content: null,
+      tool_calls: [
+        { id: "c1", type: "function", function: { name: "scryfall_search", arguments: "{\"name\":\"Bolt\"}" } },
+        { id: "c2", type: "function", function: { name: "tracker_getAllCards", arguments: "{}" } }
+      ]
+    },
+    { role: "tool", tool_call_id: "c1", content: "[{\"name\":\"Lightning Bolt\"}]" },
+    { role: "tool", tool_call_id: "c2", content: "{}" },
+    { role: "assistant", content: "Found it." }
+  ]);
+});
+
+test("keeps function tools and drops hosted ones", () => {
+  const parameters = { type: "object", properties: {}, required: [], additionalProperties: false };
+  assert.deepEqual(toChatTools([
+    { type: "function", name: "undo_last_change", description: "Undo", parameters, strict: true },
+    { type: "file_search", vector_store_ids: ["vs_1"] },
+    { type: "function", name: "scryfall_search", description: "Search", parameters }
+  ]), [
+    { type: "function", function: { name: "undo_last_change", description: "Undo", parameters, strict: true } },
+    { type: "function", function: { name: "scryfall_search", description: "Search", parameters } }
+  ]);
+});
+
+test("reassembles tool calls that arrive in fragments", async () => {
+  const client = fakeChatClient([
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: "call_a", function: { name: "tracker_", arguments: "" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: "getCard", arguments: "{\"set_code\":" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 1, id: "call_b", function: { name: "scryfall_search", arguments: "{}" } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: "\"m10\"}" } }] } }] },
+    { choices: [{ delta: {}, finish_reason: "tool_calls" }] }
+  ]);
+  const events = await collect(createChatCompletionsProvider({ model: "test", client }));
+
+  assert.deepEqual(events.filter(e => e.type === "tool_call_started").map(e => [e.call_id, e.name]), [
+    ["call_a", "tracker_"],
+    ["call_b", "scryfall_search"]
+  ]);
+  const { output } = events[events.length - 1];
+  assert.deepEqual(output, [
+    { type: "function_call", call_id: "call_a", name: "tracker_getCard", arguments: "{\"set_code\":\"m10\"}" },
+    { type: "function_call", call_id: "call_b", name: "scryfall_search", arguments: "{}" }
+  ]);
+  assert.equal(client.requests[0].tool_choice, undefined);
+});
+
+test("streams text next to tool calls and reads usage from the last chunk", async () => {
+  const client = fakeChatClient([
+    { choices: [{ delta: { role: "assistant", content: "Let me " } }] },
+    { choices: [{ delta: { content: "check." } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: "call_a", function: { name: "tracker_getAllCards", arguments: "{}" } }] } }] },
+    { choices: [], usage: { prompt_tokens: 120, completion_tokens: 15 } }
+  ]);
+  const events = await collect(createChatCompletionsProvider({ model: "test", client }), {
+    input: [{ role: "user", content: "what do I own?" }],
+    tools: [{ type: "function", name: "tracker_getAllCards", description: "All cards", parameters: { type: "object", properties: {} } }]
+  });
+
+  assert.deepEqual(events.filter(e => e.type === "text_delta").map(e => e.delta), ["Let me ", "check."]);
+  const completed = events[events.length - 1];
+  assert.deepEqual(completed.output, [
+    { type: "message", role: "assistant", content: [{ type: "output_text", text: "Let me check." }] },
+    { type: "function_call", call_id: "call_a", name: "tracker_getAllCards", arguments: "{}" }
+  ]);
+  assert.deepEqual(completed.usage, { input_tokens: 120, output_tokens: 15 });
+  assert.deepEqual(client.requests[0].stream_options, { include_usage: true });
+  assert.equal(client.requests[0].tool_choice, "auto");
+});
+
+test("only lets clients pick allowlisted providers and models", async () => {
+  const saved = { ...process.env };
+  try {
+    process.env.LLM_PROVIDER = "scripted";
+    process.env.LLM_MODEL = "";
+    process.env.LLM_ALLOWED_PROVIDERS = "";
+    process.env.LLM_ALLOWED_MODELS = "gpt-4o";
+
+    assert.equal((await requestProvider({})).name, "scripted");
+    assert.equal((await requestProvider({ provider: "scripted" })).name, "scripted");
+    await assert.rejects(requestProvider({ provider: "local" }), { code: "INVALID_PROVIDER" });
+    await assert.rejects(requestProvider({ model: "o1-pro" }), { code: "INVALID_PROVIDER" });
+
+    process.env.LLM_ALLOWED_PROVIDERS = "scripted, openai-chat";
+    const chat = await requestProvider({ provider: "openai-chat", model: "gpt-4o" });
+    assert.deepEqual([chat.name, chat.model], ["openai-chat", "gpt-4o"]);
+  } finally {
+    for (const name of ["LLM_PROVIDER", "LLM_MODEL", "LLM_ALLOWED_PROVIDERS", "LLM_ALLOWED_MODELS"]) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  }
+});
@@ -0,0 +1,76 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeScryfall } = require("./helpers/fakeServers.js");
+const { searchCards, ScryfallError } = require("../src/scryfallClient.js");
+
+let scryfall;
+
+before(async () => {
+  scryfall = await startFakeScryfall();
+  process.env.SCRYFALL_API_URL = scryfall.url;
+  process.env.SCRYFALL_RETRY_BASE_MS = "0";
+});
+
+after(async () => {
+  await scryfall.close();
+});
+
+beforeEach(() => {
+  scryfall.requests.length = 0;
+  scryfall.failures.length = 0;
+  scryfall.pageSize = 175;
+  delete process.env.SCRYFALL_MAX_PAGES;
+});
+
+test("sends the headers Scryfall requires and spaces requests", async () => {
+  const startedAt = Date.now();
+  await Promise.all([searchCards('name:"Ancient Tomb"'), searchCards('name:"Lightning Bolt"'), searchCards("set:m10")]);
+  // Three requests need at least two gaps of 100ms between them
+  assert.ok(Date.now() - startedAt >= 200);
+
+  const [first] = scryfall.requests;
+  assert.match(first.headers["user-agent"], /^mtg-trades-agent\/\d+\.\d+\.\d+$/);
+  assert.match(first.headers.accept, /application\/json/);
+});
+
+test("follows next_page up to the page cap", async () => {
+  scryfall.pageSize = 1;
+  const all = await searchCards("game:paper");
+  assert.deepEqual(all.cards.map(card => card.collector_number), ["236", "315", "146"]);
+  assert.equal(all.has_more, false);
+
+  process.env.SCRYFALL_MAX_PAGES = "2";
+  const capped = await searchCards("game:paper");
+  assert.equal(capped.cards.length, 2);
+  assert.equal(capped.total_cards, 3);
+  assert.equal(capped.has_more, true);
+});
+
+test("returns an empty result when nothing matches", async () => {
+  const result = await searchCards('name:"Goblin Guide"');
+  assert.equal(result.not_found, true);
+  assert.deepEqual(result.cards, []);
+});
+
+test("retries rate limits and server errors", async () => {
+  scryfall.failures.push(429, 503);
+  const result = await searchCards('name:"Lightning Bolt"');
+  assert.equal(result.cards.length, 1);
+  assert.equal(scryfall.requests.length, 3);
+
+  scryfall.failures.push(500, 500, 500, 500);
+  await assert.rejects(searchCards('name:"Lightning Bolt"'), err => err instanceof ScryfallError && err.status === 500);
+});
+
+test("reports Scryfall's error details and warnings", async () => {
+  await assert.rejects(searchCards("invalid:term"), err => {
+    assert.ok(err instanceof ScryfallError);
+    assert.equal(err.status, 400);
+    assert.equal(err.code, "bad_request");
+    assert.equal(err.message, "All of your terms were ignored.");
+    assert.equal(err.warnings.length, 1);
+    return true;
+  });
+  // Client errors are not retried
+  assert.equal(scryfall.requests.length, 1);
+});
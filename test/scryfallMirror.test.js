@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startFakeScryfall } = require("./helpers/fakeServers.js");
+const { importDefaultCards, getMirror, clearMirror } = require("../src/scryfallMirror.js");
+const { searchMirror } = require("../src/cardResolver.js");
+const { toolExecutors } = require("../src/executors.js");
+
+let scryfall;
+let mirrorDir;
+
+before(async () => {
+  scryfall = await startFakeScryfall();
+  process.env.SCRYFALL_API_URL = scryfall.url;
+  process.env.SCRYFALL_RETRY_BASE_MS = "0";
+});
+
+after(async () => {
+  await scryfall.close();
+  delete process.env.SCRYFALL_SOURCE;
+  delete process.env.SCRYFALL_MIRROR_DIR;
+});
+
+beforeEach(() => {
+  mirrorDir = fs.mkdtempSync(path.join(os.tmpdir(), "scryfall-mirror-"));
+  process.env.SCRYFALL_MIRROR_DIR = mirrorDir;
+  delete process.env.SCRYFALL_SOURCE;
+  clearMirror();
+  scryfall.requests.length = 0;
+});
+
+afterEach(() => {
+  fs.rmSync(mirrorDir, { recursive: true, force: true });
+});
+
+test("imports the default_cards bulk file once per update", async () => {
+  const first = await importDefaultCards();
+  assert.equal(first.imported, true);
+  assert.equal(first.count, 3);
+
+  const mirror = await getMirror();
+  assert.equal(mirror.byPrinting.get("m10:146").name, "Lightning Bolt");
+  assert.equal(mirror.byName.get("ancient tomb").length, 2);
+  assert.equal(mirror.byId.get(mirror.cards[0].id), mirror.cards[0]);
+  assert.equal(mirror.cards[0].object, undefined);
+  // Printings share what they have in common
+  assert.equal(mirror.byPrinting.get("uma:236").legalities, mirror.byPrinting.get("tmp:315").legalities);
+  assert.deepEqual(Object.keys(mirror.cards[0].image_uris), ["small", "normal", "large"]);
+
+  const unchanged = await importDefaultCards();
+  assert.equal(unchanged.imported, false);
+
+  scryfall.bulkUpdatedAt = "2026-01-02T09:00:00.000+00:00";
+  const updated = await importDefaultCards();
+  assert.equal(updated.imported, true);
+  assert.equal(scryfall.requests.filter(r => r.path === "/file/default-cards.json").length, 2);
+});
+
+test("answers scryfall_search arguments from the mirror", async () => {
+  await importDefaultCards();
+  const mirror = await getMirror();
+  const printings = args => searchMirror(mirror, args).cards.map(card => `${card.set}:${card.collector_number}`);
+
+  assert.deepEqual(printings({ name: "ancient", order: "released", dir: "asc" }), ["tmp:315", "uma:236"]);
+  assert.deepEqual(printings({ name: "Ancient Tomb", finishes: ["foil"] }), ["uma:236"]);
+  assert.deepEqual(printings({ set: "Magic 2010" }), ["m10:146"]);
+  assert.deepEqual(printings({ type: "land", unique: "cards" }), ["uma:236"]);
+  assert.deepEqual(printings({ colors: ["R"], mana_value_max: 1, legal_in: ["modern"] }), ["m10:146"]);
+  // Prices sort most expensive first unless asked otherwise
+  assert.deepEqual(printings({ order: "usd" }), ["tmp:315", "uma:236", "m10:146"]);
+  assert.deepEqual(printings({ price_max: 5 }), ["m10:146"]);
+
+  const none = searchMirror(mirror, { name: "Goblin Guide" });
+  assert.equal(none.not_found, true);
+  assert.equal(none.total_cards, 0);
+});
+
+test("scryfall_search prefers the mirror when SCRYFALL_SOURCE is local", async () => {
+  await importDefaultCards();
+  scryfall.requests.length = 0;
+  process.env.SCRYFALL_SOURCE = "local";
+
+  const local = await toolExecutors.scryfall_search({ name: "Lightning Bolt" });
+  assert.deepEqual(local.summary, [{ set: "m10", collector_number: "146" }]);
+  assert.equal(scryfall.requests.length, 0);
+
+  // raw_query needs Scryfall itself
+  const remote = await toolExecutors.scryfall_search({ name: "Lightning Bolt", raw_query: "kw:flying" });
+  assert.equal(remote.summary.length, 1);
+  assert.equal(scryfall.requests.filter(r => r.path === "/cards/search").length, 1);
+});
+
+test("offline searches never reach Scryfall", async () => {
+  process.env.SCRYFALL_SOURCE = "offline";
+  const missing = await toolExecutors.scryfall_search({ name: "Lightning Bolt" });
+  assert.equal(missing.status, "error");
+  assert.match(missing.message, /has not been imported/);
+
+  await importDefaultCards();
+  clearMirror();
+  scryfall.requests.length = 0;
+  const found = await toolExecutors.scryfall_search({ name: "Ancient Tomb" });
+  assert.equal(found.total_cards, 2);
+  const raw = await toolExecutors.scryfall_search({ raw_query: "kw:flying" });
+  assert.equal(raw.status, "error");
+  assert.equal(scryfall.requests.length, 0);
+});
@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildScryfallQuery } = require("../src/scryfallQuery.js");
+const { scryfallTool } = require("../src/tools.js");
+
+test("keeps the original filters and paper/prints defaults", () => {
+  assert.equal(
+    buildScryfallQuery({ name: "Ancient Tomb", oracle_text: "two colorless", type: "land", reserved: true, colors: ["R", "G"], set: "uma" }),
+    'name:"Ancient Tomb" o:"two" o:"colorless" t:"land" is:reserved c>=RG set:uma game:paper unique:prints'
+  );
+});
+
+test("answers 'all foil-etched commanders legal in Pauper' style questions", () => {
+  assert.equal(
+    buildScryfallQuery({ is: ["commander"], finishes: ["etched"], legal_in: ["paupercommander"], unique: "cards" }),
+    "legal:paupercommander is:commander is:etched game:paper unique:cards"
+  );
+});
+
+test("builds ranges, alternatives and identity filters", () => {
+  assert.equal(
+    buildScryfallQuery({
+      color_identity: ["W", "U", "B"],
+      mana_value_min: 2,
+      mana_value_max: 4,
+      power_min: 3,
+      power_max: 3,
+      rarity: ["rare", "mythic"],
+      artist: 'Rebecca "Becca" Guay',
+      frame: "1997",
+      border: "black",
+      language: "ja",
+      set: "tmp",
+      collector_number_min: 300,
+      collector_number_max: 350,
+      price_max: 5,
+      currency: "eur"
+    }),
+    'id<=WUB mv>=2 mv<=4 pow=3 (r:rare OR r:mythic) a:"Rebecca Becca Guay" frame:1997 border:black lang:ja set:tmp cn>=300 cn<=350 eur<=5 game:paper unique:prints'
+  );
+  assert.equal(buildScryfallQuery({ colors: [], colors_match: "exactly" }), "c=c game:paper unique:prints");
+});
+
+test("appends the raw query and lets it override the defaults", () => {
+  assert.equal(buildScryfallQuery({ name: "Bolt", raw_query: "kw:flying" }), 'name:"Bolt" game:paper unique:prints (kw:flying)');
+  assert.equal(buildScryfallQuery({ raw_query: "game:mtgo unique:art t:goblin" }), "(game:mtgo unique:art t:goblin)");
+  assert.equal(buildScryfallQuery({ raw_query: "in:arena t:goblin" }), "unique:prints (in:arena t:goblin)");
+  // in:<set> and in:<rarity> keep the paper default
+  assert.equal(buildScryfallQuery({ raw_query: "in:lea in:rare" }), "game:paper unique:prints (in:lea in:rare)");
+});
+
+test("keeps an or in the raw query from widening the other filters", () => {
+  assert.equal(
+    buildScryfallQuery({ type: "goblin", rarity: ["rare"], raw_query: "kw:haste or kw:flying" }),
+    't:"goblin" r:rare game:paper unique:prints (kw:haste or kw:flying)'
+  );
+});
+
+test("ignores the nulls strict mode sends for filters that are not used", () => {
+  const search = scryfallTool.find(tool => tool.name === "scryfall_search");
+  assert.equal(search.strict, true);
+  assert.deepEqual(search.parameters.required, Object.keys(search.parameters.properties));
+  const unused = Object.fromEntries(search.parameters.required.map(name => [name, null]));
+  assert.equal(buildScryfallQuery({ ...unused, name: "Ancient Tomb" }), 'name:"Ancient Tomb" game:paper unique:prints');
+});
@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileSessionStore, createMemorySessionStore, newSession, compactHistory } = require("../src/sessions.js");
+
+for (const [kind, createStore] of [
+  ["memory", () => createMemorySessionStore()],
+  ["file", () => createFileSessionStore(fs.mkdtempSync(path.join(os.tmpdir(), "sessions-")))]
+]) {
+  test(`${kind} store saves, lists and deletes sessions`, async () => {
+    const store = createStore();
+    const older = { ...newSession({ title: "older" }), updated_at: "2024-01-01T00:00:00.000Z" };
+    const newer = { ...newSession({ title: "newer" }), messages: [{ role: "user", content: "hi" }] };
+    await store.put(older);
+    await store.put(newer);
+
+    assert.deepEqual((await store.get(newer.conversation_id)).messages, [{ role: "user", content: "hi" }]);
+    assert.equal(await store.get("does-not-exist"), null);
+    assert.deepEqual((await store.list()).map(s => s.title), ["newer", "older"]);
+    assert.equal((await store.list())[0].message_count, 1);
+
+    assert.equal(await store.delete(older.conversation_id), true);
+    assert.equal(await store.delete(older.conversation_id), false);
+    assert.equal((await store.list()).length, 1);
+  });
+}
+
+test("file store rejects ids that would escape its directory", async () => {
+  const store = createFileSessionStore(fs.mkdtempSync(path.join(os.tmpdir(), "sessions-")));
+  assert.equal(await store.get("../../etc/passwd"), null);
+  await assert.rejects(store.put({ conversation_id: "../x", messages: [] }));
+});
+
+test("compactHistory drops prompts, candidate details and older turns and keeps the last five", () => {
+  const turns = [];
+  for (let i = 0; i < 7; i++) {
+    turns.push({ role: i % 2 === 0 ? "user" : "assistant", content: `turn ${i}` });
+  }
+  const history = [
+    { role: "system", content: "system prompt" },
+    { role: "developer", content: "developer prompt" },
+    { type: "function_call", call_id: "c1", name: "scryfall_search", arguments: "{}" },
+    { type: "function_call_output", call_id: "c1", output: "[]" },
+    ...turns,
+    { role: "assistant", content: [{ set: "uma", collector_number: "236" }] }
+  ];
+
+  const compacted = compactHistory(history);
+  assert.deepEqual(compacted.map(m => m.type || m.content), [
+    "turn 2",
+    "turn 3",
+    "turn 4",
+    "turn 5",
+    "turn 6"
+  ]);
+  // The input is left untouched
+  assert.equal(history.length, 12);
+});
+
+test("compactHistory keeps a long session bounded and in order", () => {
+  let history = [];
+  for (let i = 0; i < 50; i++) {
+    history = compactHistory([
+      { role: "system", content: "system prompt" },
+      { role: "developer", content: "developer prompt" },
+      ...history,
+      { role: "user", content: `question ${i}` },
+      { type: "function_call", call_id: `c${i}`, name: "tracker_getCard", arguments: "{}" },
+      { type: "function_call_output", call_id: `c${i}`, output: "{}" },
+      { role: "developer", content: "You have just completed a tracker_ operation." },
+      { type: "message", role: "assistant", content: [{ type: "output_text", text: `answer ${i}` }] }
+    ]);
+  }
+
+  const describe = m => m.type === "function_call" || m.type === "function_call_output" ? `${m.type} ${m.call_id}`
+    : m.role === "developer" ? "developer" : m.content[0]?.text || m.content;
+  assert.deepEqual(history.map(describe), [
+    "answer 47",
+    "question 48",
+    "function_call c48",
+    "function_call_output c48",
+    "developer",
+    "answer 48",
+    "question 49",
+    "function_call c49",
+    "function_call_output c49",
+    "developer",
+    "answer 49"
+  ]);
+});
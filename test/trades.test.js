@@ -0,0 +1,107 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness.js");
+const { toolExecutors } = require("../src/executors.js");
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({
+    cards: {
+      "m10:146": { set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 3, condition: "NM" } } },
+      "uma:236": { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2, condition: "NM" }, nonfoil: { quantity: 1, condition: "NM" } } },
+      "tmp:315": { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "LP" } } }
+    }
+  });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+const postTrade = async body => {
+  const res = await fetch(`${harness.url}/api/trades`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const lines = side => side.cards.map(card => `${card.quantity} ${card.set}:${card.collector_number} ${card.finish} ${card.value}`);
+
+test("prices both sides and suggests owned cards to balance the trade", async () => {
+  const result = await toolExecutors.evaluate_trade({ mine: "2 Lightning Bolt", theirs: "1 Ancient Tomb (UMA) 236", choices: null, currency: null });
+  assert.equal(result.status, "success");
+  const trade = result.message;
+
+  assert.deepEqual(lines(trade.mine), ["2 m10:146 nonfoil 4.2"]);
+  assert.deepEqual(lines(trade.theirs), ["1 uma:236 nonfoil 8.5"]);
+  assert.equal(trade.delta, 4.3);
+  assert.equal(trade.verdict, "favors_you");
+  // Tempest Ancient Tomb (95.00) and the Ultimate Masters ones are worth too much; one more Bolt comes closest
+  assert.deepEqual(trade.balance, {
+    owed_by: "you",
+    amount: 4.3,
+    suggestions: [{ name: "Lightning Bolt", set: "m10", collector_number: "146", finish: "nonfoil", condition: "NM", quantity: 1, unit_price: 2.1 }],
+    remaining: 2.2
+  });
+  assert.deepEqual(trade.operations, [
+    { action: "update", set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 1, condition: "NM" } } },
+    { action: "update", set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2, condition: "NM" }, nonfoil: { quantity: 2, condition: "NM" } } }
+  ]);
+});
+
+test("only offers cards the user owns, in the quantity they own", async () => {
+  const { status, body } = await postTrade({
+    mine: "1 Goblin Guide\n4 Lightning Bolt (M10) 146\n1 Ancient Tomb",
+    theirs: "2 Ancient Tomb"
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.unresolved.map(u => `${u.side} ${u.line}: ${u.reason}`), [
+    "mine 1: You do not own Goblin Guide in nonfoil",
+    "mine 2: You own only 3 Lightning Bolt (M10 146) in nonfoil"
+  ]);
+  assert.deepEqual(body.ambiguous.map(a => `${a.side} ${a.line}: ${a.candidates.map(c => c.set).sort().join(",")}`), [
+    "mine 3: tmp,uma",
+    "theirs 1: tmp,uma"
+  ]);
+  assert.deepEqual(body.ambiguous[0].candidates.find(c => c.set === "tmp").owned, { quantity: 1, condition: "LP" });
+});
+
+test("applies an accepted trade to the collection", async () => {
+  const tempest = harness.scryfall.cards.find(card => card.set === "tmp");
+  const trade = {
+    mine: "1 Ancient Tomb",
+    theirs: "4 Lightning Bolt (M10) 146\n1 Ancient Tomb (UMA) 236 *F*",
+    accept: true
+  };
+  const refused = await postTrade(trade);
+  assert.equal(refused.status, 409);
+  assert.equal(harness.tracker.collection["tmp:315"].finishes.nonfoil.quantity, 1);
+
+  const { status, body } = await postTrade({ ...trade, choices: [{ side: "mine", line: 1, card_id: tempest.id }] });
+  assert.equal(status, 200);
+  assert.equal(body.accepted, true);
+  assert.equal(body.mine.total, 95);
+  assert.equal(body.theirs.total, 22.4);
+  assert.equal(body.verdict, "favors_them");
+  assert.deepEqual(body.balance, { owed_by: "them", amount: 72.6, suggestions: [], remaining: 72.6 });
+
+  assert.equal(harness.tracker.collection["tmp:315"], undefined);
+  assert.deepEqual(harness.tracker.collection["m10:146"].finishes, { nonfoil: { quantity: 7, condition: "NM" } });
+  assert.deepEqual(harness.tracker.collection["uma:236"].finishes, { foil: { quantity: 3, condition: "NM" }, nonfoil: { quantity: 1, condition: "NM" } });
+
+  const { changes } = await (await fetch(`${harness.url}/api/changes`)).json();
+  assert.equal(changes[0].tool, "tracker_batch");
+  assert.equal(changes[0].cards.length, 3);
+});
+
+test("sends a finish traded away completely as quantity 0", async () => {
+  const result = await toolExecutors.evaluate_trade({ mine: "1 Ancient Tomb (UMA) 236", theirs: "1 Lightning Bolt (M10) 146", choices: null, currency: null });
+  assert.deepEqual(result.message.operations, [
+    // Also removed by a tracker that merges the finishes of an update instead of replacing them
+    { action: "update", set_code: "uma", card_number: "236", finishes: { foil: { quantity: 3, condition: "NM" }, nonfoil: { quantity: 0, condition: "NM" } } },
+    { action: "update", set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 8, condition: "NM" } } }
+  ]);
+});
@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTracker, startFakeScryfall, TRACKER_USERNAME, TRACKER_PASSWORD } = require("./helpers/fakeServers.js");
+const { toolExecutors } = require("../src/executors.js");
+const { setWantStore, createMemoryWantStore } = require("../src/wantList.js");
+
+let tracker;
+let scryfall;
+
+before(async () => {
+  tracker = await startFakeTracker({
+    cards: {
+      "m10:146": { set_code: "m10", card_number: "146", finishes: { nonfoil: { quantity: 3, condition: "NM" } } },
+      "uma:236": { set_code: "uma", card_number: "236", finishes: { foil: { quantity: 2, condition: "NM" } } },
+      "tmp:315": { set_code: "tmp", card_number: "315", finishes: { nonfoil: { quantity: 1, condition: "LP" } } }
+    }
+  });
+  scryfall = await startFakeScryfall();
+  process.env.MTG_BACKEND_API_URL = tracker.url;
+  process.env.SCRYFALL_API_URL = scryfall.url;
+  process.env.JWT_CREDENTIALS = `${TRACKER_USERNAME}:${TRACKER_PASSWORD}`;
+  delete process.env.JWT_CREDENTIALS_SECRET_ARN;
+  delete process.env.SCRYFALL_SOURCE;
+});
+
+after(async () => {
+  await tracker.close();
+  await scryfall.close();
+});
+
+beforeEach(() => {
+  setWantStore(createMemoryWantStore());
+});
+
+const want = fields => ({ printings: null, finishes: null, max_price: null, currency: null, quantity: null, priority: null, notes: null, ...fields });
+
+test("adds, replaces, lists and removes wants", async () => {
+  const tomb = await toolExecutors.want_list_add(want({
+    name: "ancient tomb", printings: [{ set: "UMA", collector_number: null }], finishes: ["foil"], max_price: 20, priority: "high"
+  }));
+  assert.equal(tomb.status, "success");
+  assert.equal(tomb.message.name, "Ancient Tomb");
+  assert.deepEqual(tomb.message.printings, [{ set: "uma", collector_number: null }]);
+
+  const bolt = await toolExecutors.want_list_add(want({ name: "Lightning Bolt" }));
+  assert.deepEqual([bolt.message.quantity, bolt.message.priority, bolt.message.currency], [1, "normal", "usd"]);
+
+  assert.match((await toolExecutors.want_list_add(want({ name: "Goblin Guide" }))).message, /No card named "Goblin Guide"/);
+  assert.match((await toolExecutors.want_list_add(want({ name: "Ancient Tomb", printings: [{ set: "m10", collector_number: null }] }))).message,
+    /Ancient Tomb has no printing M10/);
+
+  // A card already on the list is replaced, not added twice
+  const more = await toolExecutors.want_list_add(want({ name: "Lightning Bolt", quantity: 4 }));
+  assert.equal(more.message.want_id, bolt.message.want_id);
+
+  const { message } = await toolExecutors.want_list_query({ name: null, priority: null });
+  assert.deepEqual(message.wants.map(w => `${w.name} ${w.priority} ${w.quantity}`), ["Ancient Tomb high 1", "Lightning Bolt normal 4"]);
+
+  assert.equal((await toolExecutors.want_list_remove({ want_id: null, name: "lightning bolt" })).status, "success");
+  assert.equal((await toolExecutors.want_list_remove({ want_id: null, name: "lightning bolt" })).status, "error");
+  assert.deepEqual((await toolExecutors.want_list_query({ name: null, priority: null })).message.wants.map(w => w.name), ["Ancient Tomb"]);
+});
+
+test("matches their tradelist against the wants", async () => {
+  await toolExecutors.want_list_add(want({ name: "Ancient Tomb", printings: [{ set: "uma", collector_number: "236" }], finishes: ["foil"], max_price: 10 }));
+  await toolExecutors.want_list_add(want({ name: "Lightning Bolt", max_price: 5, priority: "high" }));
+
+  const { status, message } = await toolExecutors.want_list_match({
+    tradelist: "1 Ancient Tomb (UMA) 236 *F*\n4 Lightning Bolt\n1 Sol Ring\n2 Ancient Tomb\n1 Lightning Bolt (XYZ) 1",
+    their_wants: null,
+    currency: null
+  });
+  assert.equal(status, "success");
+  assert.deepEqual(message.they_have.map(m => `${m.line} ${m.name} ${m.exact} ${m.printings.map(p => `${p.set}:${p.collector_number}=${p.unit_price}`)}`), [
+    "2 Lightning Bolt false m10:146=2.1"
+  ]);
+  // The Ultimate Masters foil costs 14.00
+  assert.deepEqual(message.over_max_price.map(m => `${m.line} ${m.name} ${m.printings[0].unit_price}`), ["1 Ancient Tomb 14"]);
+  assert.deepEqual(message.unresolved.map(u => `${u.line}: ${u.reason}`), ["5: No printing XYZ 1"]);
+  // Everything the user owns is on their own want list
+  assert.deepEqual(message.they_might_want, []);
+});
+
+test("lists owned cards they might want", async () => {
+  await toolExecutors.want_list_add(want({ name: "Lightning Bolt" }));
+  const summary = cards => cards.map(c => `${c.set}:${c.collector_number} ${c.finish} ${c.unit_price}`);
+
+  const valuable = (await toolExecutors.want_list_match({ tradelist: "", their_wants: null, currency: null })).message;
+  assert.equal(valuable.they_might_want_basis, "most_valuable");
+  assert.deepEqual(summary(valuable.they_might_want), ["tmp:315 nonfoil 95", "uma:236 foil 14"]);
+
+  const matched = (await toolExecutors.want_list_match({ tradelist: "", their_wants: "1 Ancient Tomb *F*\n4 Lightning Bolt", currency: null })).message;
+  assert.equal(matched.they_might_want_basis, "their_wants");
+  assert.deepEqual(summary(matched.they_might_want), ["uma:236 foil 14"]);
+  assert.equal(matched.they_might_want[0].line, 1);
+});